@@ -0,0 +1,138 @@
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import BroadcastServer from "./broadcast_server.mjs";
+import { openInput, lineReader } from "./inputs.mjs";
+import { LABELS, STATUS, decodeWord } from "./protocols/arinc429.mjs";
+import { STANDARD_PRESSURE } from "./protocols/pressure.mjs";
+
+/**
+ * Forwards ARINC 429 words from an avionics bench to the panel. Words are read as text, one
+ * per line in hex, optionally after a timestamp or channel e.g. "12.345 1 6080C3A1", or with
+ * --binary as 4 byte little endian words. Words with a failure warning or no computed data
+ * flag their property, so the instrument showing it displays an OFF flag.
+ *
+ *   node bridge/arinc429_bridge.mjs --input tcp:bench:5000 [--labels labels.json]
+ *     [--binary] [--ws-port 8181]
+ *
+ * The labels file replaces the label map, see LABELS in ./protocols/arinc429.mjs e.g.
+ *
+ *   { "203": { "property": "altitude", "encoding": "BNR", "range": 131072, "pressureAltitude": true } }
+ *
+ * see ./inputs.mjs for the inputs, then open the panel with ?source=ws://localhost:8181
+ */
+
+// the last 8 digit hex number on a line
+const HEX_WORD = /(?:0x)?([0-9a-f]{8})\s*$/i;
+
+export class ARINC429Bridge {
+  /**
+   * requires a send function, which receives objects of airplane properties or { error }
+   * @param options
+   */
+  constructor(options) {
+    Object.assign(
+      this,
+      {
+        labels: LABELS,
+        send: () => {},
+        log: console.log
+      },
+      options
+    );
+    this.onText = lineReader(line => this.onLine(line));
+    // bytes of a partial binary word
+    this.partial = Buffer.alloc(0);
+  }
+
+  /**
+   * decode a line of text containing a word
+   * @param line
+   */
+  onLine(line) {
+    const match = line.match(HEX_WORD);
+    if (match) {
+      this.onWord(parseInt(match[1], 16));
+    } else {
+      this.send({ error: `ARINC 429: no word in ${line.slice(0, 40)}` });
+    }
+  }
+
+  /**
+   * decode binary words
+   * @param data
+   */
+  onBinary(data) {
+    const bytes = Buffer.concat([this.partial, data]);
+    const whole = bytes.length - (bytes.length % 4);
+    for (let offset = 0; offset < whole; offset += 4) {
+      this.onWord(bytes.readUInt32LE(offset));
+    }
+    this.partial = bytes.subarray(whole);
+  }
+
+  /**
+   * decode a word and send its value, or flag its property if it has failed
+   * @param word
+   */
+  onWord(word) {
+    let decoded;
+    try {
+      decoded = decodeWord(word, this.labels);
+    } catch (error) {
+      this.send({ error: `ARINC 429: ${error.message}` });
+      return;
+    }
+    const { property, status } = decoded;
+    if (!property) {
+      return;
+    }
+    if (status === STATUS.FAILURE || status === STATUS.NO_DATA) {
+      this.send({ flags: { [property]: true } });
+    } else {
+      const properties = {
+        [property]: decoded.value,
+        flags: { [property]: false }
+      };
+      // pressure altitudes are relative to the standard sea level pressure
+      if (decoded.pressureAltitude) {
+        properties.seaLevelPressure = STANDARD_PRESSURE;
+      }
+      this.send(properties);
+    }
+  }
+}
+
+/**
+ * run the bridge from the command line until interrupted
+ * @param argv
+ */
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      input: { type: "string", default: "-" },
+      labels: { type: "string" },
+      binary: { type: "boolean", default: false },
+      "ws-port": { type: "string", default: "8181" }
+    }
+  });
+  const server = new BroadcastServer({ port: Number(values["ws-port"]) });
+  const bridge = new ARINC429Bridge({
+    labels: values.labels
+      ? JSON.parse(readFileSync(values.labels, "utf8"))
+      : LABELS,
+    send: properties => server.broadcast(properties)
+  });
+  const close = openInput(values.input, data =>
+    values.binary ? bridge.onBinary(data) : bridge.onText(data.toString())
+  );
+  process.on("SIGINT", () => {
+    close();
+    server.close().then(() => process.exit(0));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
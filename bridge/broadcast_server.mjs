@@ -0,0 +1,47 @@
+import { WebSocketServer } from "ws";
+
+/**
+ * A WebSocket server that sends every message to every connected panel. All the bridges use
+ * one of these to forward the data they decode to the browser, where it is received by
+ * src/sources/websocket_source.js. Messages are objects of airplane properties in the units
+ * the airplane keeps them in, see src/sources/units.js.
+ */
+export default class BroadcastServer {
+  /**
+   * options are the port and an optional logger
+   * @param options
+   */
+  constructor(options = {}) {
+    Object.assign(this, { port: 8181, log: console.log }, options);
+    this.server = new WebSocketServer({ port: this.port });
+    this.server.on("listening", () =>
+      this.log(`panels can connect to ws://localhost:${this.port}`)
+    );
+    this.server.on("connection", (socket, request) => {
+      this.log(`panel connected from ${request.socket.remoteAddress}`);
+      socket.on("close", () => this.log("panel disconnected"));
+    });
+  }
+
+  /**
+   * send a message to every connected panel
+   * @param message
+   */
+  broadcast(message) {
+    const data = JSON.stringify(message);
+    this.server.clients.forEach(client => {
+      if (client.readyState === client.OPEN) {
+        client.send(data);
+      }
+    });
+  }
+
+  /**
+   * close all connections and stop listening
+   * @returns {Promise}
+   */
+  close() {
+    this.server.clients.forEach(client => client.terminate());
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
@@ -0,0 +1,92 @@
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import BroadcastServer from "./broadcast_server.mjs";
+import { openInput, lineReader } from "./inputs.mjs";
+import {
+  IDENTIFIERS,
+  parseFrame,
+  decodeFrame
+} from "./protocols/canaerospace.mjs";
+
+/**
+ * Forwards CANaerospace flight and engine data to the panel. Frames are read as text, one
+ * per line, from candump or a serial line CAN adapter, e.g. on Linux with SocketCAN
+ *
+ *   candump -L can0 | node bridge/canaerospace_bridge.mjs [--ids ids.json] [--ws-port 8181]
+ *
+ * The identifiers file replaces the identifier map, see IDENTIFIERS in
+ * ./protocols/canaerospace.mjs e.g.
+ *
+ *   { "315": { "property": "airspeed", "scale": 1.943844 } }
+ *
+ * see ./inputs.mjs for the inputs, then open the panel with ?source=ws://localhost:8181
+ */
+export class CANaerospaceBridge {
+  /**
+   * requires a send function, which receives objects of airplane properties or { error }
+   * @param options
+   */
+  constructor(options) {
+    Object.assign(
+      this,
+      {
+        identifiers: IDENTIFIERS,
+        send: () => {},
+        log: console.log
+      },
+      options
+    );
+    this.onText = lineReader(line => this.onLine(line));
+  }
+
+  /**
+   * decode one frame and send the result
+   * @param line
+   */
+  onLine(line) {
+    let properties;
+    try {
+      properties = decodeFrame(parseFrame(line), this.identifiers);
+    } catch (error) {
+      this.send({ error: `CANaerospace: ${error.message}` });
+      return;
+    }
+    if (Object.keys(properties).length) {
+      this.send(properties);
+    }
+  }
+}
+
+/**
+ * run the bridge from the command line until interrupted
+ * @param argv
+ */
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      input: { type: "string", default: "-" },
+      ids: { type: "string" },
+      "ws-port": { type: "string", default: "8181" }
+    }
+  });
+  const server = new BroadcastServer({ port: Number(values["ws-port"]) });
+  const bridge = new CANaerospaceBridge({
+    identifiers: values.ids
+      ? JSON.parse(readFileSync(values.ids, "utf8"))
+      : IDENTIFIERS,
+    send: properties => server.broadcast(properties)
+  });
+  const close = openInput(values.input, data =>
+    bridge.onText(data.toString("latin1"))
+  );
+  process.on("SIGINT", () => {
+    close();
+    server.close().then(() => process.exit(0));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
@@ -0,0 +1,81 @@
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import BroadcastServer from "./broadcast_server.mjs";
+import { openInput, lineReader } from "./inputs.mjs";
+import { decodeSentence } from "./protocols/dynon.mjs";
+
+/**
+ * Forwards the ADAHRS serial output of a Dynon SkyView EFIS to the panel, so the analog
+ * instruments can serve as backup or remote displays. Set the EFIS serial port to output
+ * Dynon ADAHRS data. Fields the EFIS reports as unavailable flag their instruments.
+ *
+ *   stty -F /dev/ttyUSB0 115200 raw
+ *   node bridge/dynon_bridge.mjs --input /dev/ttyUSB0 [--ws-port 8181]
+ *
+ * see ./inputs.mjs for the inputs, then open the panel with ?source=ws://localhost:8181
+ */
+export class DynonBridge {
+  /**
+   * requires a send function, which receives objects of airplane properties or { error }
+   * @param options
+   */
+  constructor(options) {
+    Object.assign(
+      this,
+      {
+        send: () => {},
+        log: console.log
+      },
+      options
+    );
+    this.onText = lineReader(line => this.onSentence(line));
+  }
+
+  /**
+   * decode one sentence and send the result. Sentences of other types e.g. engine data
+   * are ignored.
+   * @param line
+   */
+  onSentence(line) {
+    if (/^!\d/.test(line) && !line.startsWith("!1")) {
+      return;
+    }
+    let properties;
+    try {
+      properties = decodeSentence(line);
+    } catch (error) {
+      this.send({ error: `Dynon: ${error.message}` });
+      return;
+    }
+    this.send(properties);
+  }
+}
+
+/**
+ * run the bridge from the command line until interrupted
+ * @param argv
+ */
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      input: { type: "string", default: "-" },
+      "ws-port": { type: "string", default: "8181" }
+    }
+  });
+  const server = new BroadcastServer({ port: Number(values["ws-port"]) });
+  const bridge = new DynonBridge({
+    send: properties => server.broadcast(properties)
+  });
+  const close = openInput(values.input, data =>
+    bridge.onText(data.toString("latin1"))
+  );
+  process.on("SIGINT", () => {
+    close();
+    server.close().then(() => process.exit(0));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
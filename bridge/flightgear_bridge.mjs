@@ -0,0 +1,124 @@
+import dgram from "dgram";
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import BroadcastServer from "./broadcast_server.mjs";
+import {
+  parseProtocol,
+  parseLine,
+  splitLines
+} from "./protocols/flightgear.mjs";
+
+/**
+ * Forwards FlightGear to the panel. FlightGear sends lines of values over UDP using a generic
+ * protocol, by default protocols/sixpack.xml, which must be installed in FlightGear and
+ * given to the bridge so it knows what each value is.
+ *
+ *   fgfs --generic=socket,out,20,127.0.0.1,5500,udp,sixpack
+ *   node bridge/flightgear_bridge.mjs [--protocol file.xml] [--port 5500] [--ws-port 8181]
+ *
+ * then open the panel with ?source=ws://localhost:8181
+ */
+
+const DEFAULT_PROTOCOL = fileURLToPath(
+  new URL("./protocols/sixpack.xml", import.meta.url)
+);
+
+export class FlightGearBridge {
+  /**
+   * requires a protocol ( see parseProtocol ) and a send function, which receives objects
+   * of airplane properties
+   * @param options
+   */
+  constructor(options) {
+    Object.assign(
+      this,
+      {
+        protocol: null,
+        // the port FlightGear sends to
+        port: 5500,
+        send: () => {},
+        log: console.log
+      },
+      options
+    );
+    console.assert(this.protocol, "missing or invalid configuration options");
+    this.socket = null;
+    // text received after the last complete line
+    this.remainder = "";
+  }
+
+  /**
+   * bind the port
+   * @returns {Promise}
+   */
+  start() {
+    this.socket = dgram.createSocket("udp4");
+    this.socket.on("message", buffer => this.onText(buffer.toString("latin1")));
+    this.socket.on("error", error => this.log(`udp error: ${error.message}`));
+    return new Promise(resolve => {
+      this.socket.bind(this.port, () => {
+        this.log(`listening for FlightGear on udp port ${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * close the port
+   */
+  stop() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * parse and send every complete line, keeping any partial line for the next packet
+   * @param text
+   */
+  onText(text) {
+    const { lines, remainder } = splitLines(
+      this.remainder + text,
+      this.protocol
+    );
+    this.remainder = remainder;
+    lines.forEach(line => {
+      const properties = parseLine(line, this.protocol);
+      if (Object.keys(properties).length) {
+        this.send(properties);
+      }
+    });
+  }
+}
+
+/**
+ * run the bridge from the command line until interrupted
+ * @param argv
+ */
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      protocol: { type: "string", default: DEFAULT_PROTOCOL },
+      port: { type: "string", default: "5500" },
+      "ws-port": { type: "string", default: "8181" }
+    }
+  });
+  const server = new BroadcastServer({ port: Number(values["ws-port"]) });
+  const bridge = new FlightGearBridge({
+    protocol: parseProtocol(readFileSync(values.protocol, "utf8")),
+    port: Number(values.port),
+    send: properties => server.broadcast(properties)
+  });
+  bridge.start();
+  process.on("SIGINT", () => {
+    bridge.stop();
+    server.close().then(() => process.exit(0));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
@@ -0,0 +1,87 @@
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import BroadcastServer from "./broadcast_server.mjs";
+import { openInput } from "./inputs.mjs";
+import { GDL90Parser, decodeMessage } from "./protocols/gdl90.mjs";
+
+/**
+ * Forwards GDL90 from a portable ADS-B receiver with AHRS, such as a Stratux, to the panel.
+ * Receivers broadcast to UDP port 4000. A capture of the raw bytes can be replayed by giving
+ * its path as the input.
+ *
+ *   node bridge/gdl90_bridge.mjs [--input udp:4000] [--ws-port 8181]
+ *
+ * see ./inputs.mjs for the inputs, then open the panel with ?source=ws://localhost:8181
+ */
+export class GDL90Bridge {
+  /**
+   * requires a send function, which receives objects of airplane properties or { error }
+   * @param options
+   */
+  constructor(options) {
+    Object.assign(
+      this,
+      {
+        send: () => {},
+        log: console.log
+      },
+      options
+    );
+    this.parser = new GDL90Parser({
+      onMessage: message => this.onMessage(message),
+      onError: error => this.send({ error: `GDL90: ${error}` })
+    });
+  }
+
+  /**
+   * add received bytes
+   * @param data
+   */
+  push(data) {
+    this.parser.push(data);
+  }
+
+  /**
+   * decode a message and send the result
+   * @param message
+   */
+  onMessage(message) {
+    let properties;
+    try {
+      properties = decodeMessage(message);
+    } catch (error) {
+      this.send({ error: `GDL90: ${error.message}` });
+      return;
+    }
+    if (Object.keys(properties).length) {
+      this.send(properties);
+    }
+  }
+}
+
+/**
+ * run the bridge from the command line until interrupted
+ * @param argv
+ */
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      input: { type: "string", default: "udp:4000" },
+      "ws-port": { type: "string", default: "8181" }
+    }
+  });
+  const server = new BroadcastServer({ port: Number(values["ws-port"]) });
+  const bridge = new GDL90Bridge({
+    send: properties => server.broadcast(properties)
+  });
+  const close = openInput(values.input, data => bridge.push(data));
+  process.on("SIGINT", () => {
+    close();
+    server.close().then(() => process.exit(0));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
@@ -0,0 +1,64 @@
+import dgram from "dgram";
+import net from "net";
+import { createReadStream } from "fs";
+
+/**
+ * Inputs for bridges that read a stream of data from a device or the network. An input is
+ * given on the command line as
+ *
+ *   -                 standard input
+ *   udp:PORT          datagrams sent to PORT
+ *   tcp:HOST:PORT     a TCP connection to HOST:PORT
+ *   PATH              a file or device e.g. /dev/ttyUSB0. Set up serial ports first with
+ *                     e.g. stty -F /dev/ttyUSB0 4800 raw
+ */
+
+/**
+ * open an input and call onData with each Buffer received until the returned function is called
+ * @param spec
+ * @param onData
+ * @param log
+ * @returns {function()}
+ */
+export function openInput(spec, onData, log = console.log) {
+  const [kind, ...parts] = spec.split(":");
+  if (spec === "-") {
+    process.stdin.on("data", onData);
+    return () => process.stdin.off("data", onData);
+  }
+  if (kind === "udp") {
+    const socket = dgram.createSocket("udp4");
+    socket.on("message", onData);
+    socket.on("error", error => log(`udp error: ${error.message}`));
+    socket.bind(Number(parts[0]), () =>
+      log(`listening on udp port ${parts[0]}`)
+    );
+    return () => socket.close();
+  }
+  if (kind === "tcp") {
+    const socket = net.connect(Number(parts[1]), parts[0], () =>
+      log(`connected to ${parts[0]}:${parts[1]}`)
+    );
+    socket.on("data", onData);
+    socket.on("error", error => log(`tcp error: ${error.message}`));
+    return () => socket.destroy();
+  }
+  const stream = createReadStream(spec);
+  stream.on("data", onData);
+  stream.on("error", error => log(`cannot read ${spec}: ${error.message}`));
+  return () => stream.destroy();
+}
+
+/**
+ * returns a function that accepts chunks of text and calls onLine with each complete line
+ * @param onLine
+ * @returns {function(string)}
+ */
+export function lineReader(onLine) {
+  let remainder = "";
+  return chunk => {
+    const lines = (remainder + chunk).split(/\r?\n/);
+    remainder = lines.pop();
+    lines.filter(line => line.trim()).forEach(onLine);
+  };
+}
@@ -0,0 +1,111 @@
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import BroadcastServer from "./broadcast_server.mjs";
+import { openInput } from "./inputs.mjs";
+import { Replayer } from "./replay_server.mjs";
+import {
+  MAVLinkParser,
+  decodeMessage,
+  parseTlog
+} from "./protocols/mavlink.mjs";
+
+/**
+ * Forwards MAVLink v2 telemetry from a UAV to the panel, live or from a telemetry log.
+ *
+ *   node bridge/mavlink_bridge.mjs [--input udp:14550] [--sysid 1] [--key hex]
+ *     [--ws-port 8181]
+ *   node bridge/mavlink_bridge.mjs --tlog flight.tlog [--speed 1]
+ *
+ * see ./inputs.mjs for the inputs, then open the panel with ?source=ws://localhost:8181
+ */
+export class MAVLinkBridge {
+  /**
+   * requires a send function, which receives objects of airplane properties or { error }
+   * @param options
+   */
+  constructor(options) {
+    Object.assign(
+      this,
+      {
+        // only use this vehicle, 0 for any
+        sysid: 0,
+        // 32 byte secret key to verify signed frames, if any
+        key: null,
+        send: () => {},
+        log: console.log
+      },
+      options
+    );
+    this.parser = new MAVLinkParser({
+      key: this.key,
+      onFrame: frame => this.onFrame(frame),
+      onError: error => this.send({ error: `MAVLink: ${error}` })
+    });
+  }
+
+  /**
+   * add received bytes
+   * @param data
+   */
+  push(data) {
+    this.parser.push(data);
+  }
+
+  /**
+   * decode a frame and send the result
+   * @param frame
+   */
+  onFrame(frame) {
+    if (!this.sysid || frame.sysid === this.sysid) {
+      const properties = decodeMessage(frame);
+      if (Object.keys(properties).length) {
+        this.send(properties);
+      }
+    }
+  }
+}
+
+/**
+ * run the bridge from the command line until interrupted
+ * @param argv
+ */
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      input: { type: "string", default: "udp:14550" },
+      tlog: { type: "string" },
+      speed: { type: "string", default: "1" },
+      sysid: { type: "string", default: "0" },
+      key: { type: "string" },
+      "ws-port": { type: "string", default: "8181" }
+    }
+  });
+  const server = new BroadcastServer({ port: Number(values["ws-port"]) });
+  const bridge = new MAVLinkBridge({
+    sysid: Number(values.sysid),
+    key: values.key ? Buffer.from(values.key, "hex") : null,
+    send: properties => server.broadcast(properties)
+  });
+  let close;
+  if (values.tlog) {
+    const replayer = new Replayer({
+      messages: parseTlog(readFileSync(values.tlog)),
+      send: record => bridge.push(record.data),
+      speed: Number(values.speed)
+    });
+    replayer.start();
+    close = () => replayer.stop();
+  } else {
+    close = openInput(values.input, data => bridge.push(data));
+  }
+  process.on("SIGINT", () => {
+    close();
+    server.close().then(() => process.exit(0));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
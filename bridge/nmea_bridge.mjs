@@ -0,0 +1,83 @@
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import BroadcastServer from "./broadcast_server.mjs";
+import { openInput, lineReader } from "./inputs.mjs";
+import { decodeSentence } from "./protocols/nmea.mjs";
+
+/**
+ * Forwards NMEA 0183 from a GPS receiver or heading sensor to the panel. Malformed sentences
+ * are logged and sent to the panel as errors.
+ *
+ *   node bridge/nmea_bridge.mjs --input /dev/ttyUSB0 [--allow-missing-checksum]
+ *     [--ws-port 8181]
+ *
+ * see ./inputs.mjs for the inputs, then open the panel with ?source=ws://localhost:8181
+ */
+export class NMEABridge {
+  /**
+   * requires a send function, which receives objects of airplane properties or { error }
+   * @param options
+   */
+  constructor(options) {
+    Object.assign(
+      this,
+      {
+        // accept sentences without a checksum, e.g. from devices that never send one
+        allowMissingChecksum: false,
+        send: () => {},
+        log: console.log
+      },
+      options
+    );
+    this.onText = lineReader(line => this.onSentence(line));
+  }
+
+  /**
+   * decode one sentence and send the result
+   * @param line
+   */
+  onSentence(line) {
+    let properties;
+    try {
+      properties = decodeSentence(line, this.allowMissingChecksum);
+    } catch (error) {
+      this.log(`malformed sentence, ${error.message}`);
+      this.send({ error: `NMEA: ${error.message}` });
+      return;
+    }
+    if (Object.keys(properties).length) {
+      this.send(properties);
+    }
+  }
+}
+
+/**
+ * run the bridge from the command line until interrupted
+ * @param argv
+ */
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      input: { type: "string", default: "udp:10110" },
+      "allow-missing-checksum": { type: "boolean", default: false },
+      "ws-port": { type: "string", default: "8181" }
+    }
+  });
+  const server = new BroadcastServer({ port: Number(values["ws-port"]) });
+  const bridge = new NMEABridge({
+    allowMissingChecksum: values["allow-missing-checksum"],
+    send: properties => server.broadcast(properties)
+  });
+  const close = openInput(values.input, data =>
+    bridge.onText(data.toString("latin1"))
+  );
+  process.on("SIGINT", () => {
+    close();
+    server.close().then(() => process.exit(0));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
@@ -0,0 +1,226 @@
+/**
+ * Decoding of ARINC 429 words. A word is 32 bits, numbered 1 ( least significant ) to 32:
+ *
+ *   1-8    label, transmitted most significant bit first so reversed in the word,
+ *          and written in octal e.g. 203
+ *   9-10   source / destination identifier ( SDI )
+ *   11-29  data, binary ( BNR ) with the sign in bit 29 or binary coded decimal ( BCD )
+ *   30-31  sign / status matrix ( SSM )
+ *   32     parity, odd
+ *
+ * What each label means and how it is encoded comes from a label map, by default LABELS.
+ */
+
+/**
+ * the status of a word from its SSM, which has different meanings for BNR and BCD data
+ * @type {object}
+ */
+export const STATUS = {
+  NORMAL: "normal",
+  FAILURE: "failure warning",
+  NO_DATA: "no computed data",
+  TEST: "functional test"
+};
+
+const BNR_STATUS = [STATUS.FAILURE, STATUS.NO_DATA, STATUS.TEST, STATUS.NORMAL];
+// for BCD 0 is plus and 3 is minus, both normal
+const BCD_STATUS = [STATUS.NORMAL, STATUS.NO_DATA, STATUS.TEST, STATUS.NORMAL];
+
+/**
+ * the default label map, keyed by octal label. For BNR range is the value of the sign bit
+ * ( so the most significant data bit is range / 2 ), for BCD resolution is the value of
+ * the least significant digit and digits the number of digits, 5 unless given, the bits
+ * after the last digit are padding. pressureAltitude marks an altitude relative to the
+ * standard sea level pressure, which is sent with it. Label definitions are from ARINC 429
+ * part 1. Computed airspeed ( 206, CAS ) is used as the indicated airspeed, the difference
+ * is the position error of the static system, a few knots at most. The baro corrected
+ * altitude ( 204 ) is not used, the altimeter corrects the pressure altitude with its own
+ * setting, and nor is true heading ( 314 ), the heading indicator shows the magnetic
+ * heading ( 320 ).
+ * @type {object}
+ */
+export const LABELS = {
+  "203": {
+    property: "altitude",
+    encoding: "BNR",
+    range: 131072,
+    pressureAltitude: true
+  },
+  "206": { property: "airspeed", encoding: "BNR", range: 1024 },
+  "212": { property: "altitudeRate", encoding: "BNR", range: 32768 },
+  "235": { property: "barometer", encoding: "BNR", range: 64 },
+  "310": { property: "latitude", encoding: "BNR", range: 180 },
+  "311": { property: "longitude", encoding: "BNR", range: 180 },
+  "312": { property: "groundSpeed", encoding: "BNR", range: 4096 },
+  "313": { property: "groundTrack", encoding: "BNR", range: 180, angle: true },
+  "320": { property: "heading", encoding: "BNR", range: 180, angle: true },
+  "324": { property: "pitch", encoding: "BNR", range: 180 },
+  "325": { property: "roll", encoding: "BNR", range: 180 },
+  "326": { property: "pitchRate", encoding: "BNR", range: 128 },
+  "327": { property: "rollRate", encoding: "BNR", range: 128 },
+  "330": { property: "headingRate", encoding: "BNR", range: 128 },
+  "012": { property: "groundSpeed", encoding: "BCD", resolution: 1, digits: 4 },
+  "013": {
+    property: "groundTrack",
+    encoding: "BCD",
+    resolution: 0.1,
+    digits: 4
+  }
+};
+
+/**
+ * true if the word has odd parity, as it should
+ * @param word
+ * @returns {boolean}
+ */
+export function parityOK(word) {
+  let bits = word >>> 0;
+  let count = 0;
+  while (bits) {
+    count += bits & 1;
+    bits >>>= 1;
+  }
+  return count % 2 === 1;
+}
+
+/**
+ * the octal label of a word, reversing the bits of the first byte
+ * @param word
+ * @returns {string}
+ */
+export function label(word) {
+  let reversed = 0;
+  for (let bit = 0; bit < 8; bit += 1) {
+    reversed = (reversed << 1) | ((word >>> bit) & 1);
+  }
+  return reversed.toString(8).padStart(3, "0");
+}
+
+/**
+ * the value of the BNR data in bits 11-29, the sign in bit 29
+ * @param word
+ * @param range
+ * @returns {number}
+ */
+export function bnr(word, range) {
+  // bits 11-29 as a 19 bit two's complement number
+  const raw = (word >>> 10) & 0x7ffff;
+  const signed = raw & 0x40000 ? raw - 0x80000 : raw;
+  return (signed * range) / 0x40000;
+}
+
+/**
+ * the value of the BCD data in bits 11-29, up to five digits with the most significant in
+ * bits 27-29. Returns NaN if any digit is not decimal.
+ * @param word
+ * @param resolution
+ * @param digits
+ * @returns {number}
+ */
+export function bcd(word, resolution, digits = 5) {
+  let value = 0;
+  for (let shift = 26; shift > 26 - digits * 4; shift -= 4) {
+    const digit = (word >>> shift) & (shift === 26 ? 0x07 : 0x0f);
+    if (digit > 9) {
+      return NaN;
+    }
+    value = value * 10 + digit;
+  }
+  return value * resolution;
+}
+
+/**
+ * create a word, useful for sending test data. Parity is set.
+ * @param octal - label e.g. "203"
+ * @param data - the 19 bits of data for bits 11-29
+ * @param ssm
+ * @param sdi
+ * @returns {number}
+ */
+export function encodeWord(octal, data, ssm = 3, sdi = 0) {
+  const value = parseInt(octal, 8);
+  let reversed = 0;
+  for (let bit = 0; bit < 8; bit += 1) {
+    reversed = (reversed << 1) | ((value >>> bit) & 1);
+  }
+  let word =
+    (reversed | (sdi << 8) | ((data & 0x7ffff) << 10) | (ssm << 29)) >>> 0;
+  if (!parityOK(word)) {
+    word = (word | 0x80000000) >>> 0;
+  }
+  return word;
+}
+
+/**
+ * encode a value as BNR data for encodeWord
+ * @param value
+ * @param range
+ * @returns {number}
+ */
+export function encodeBNR(value, range) {
+  return Math.round((value * 0x40000) / range) & 0x7ffff;
+}
+
+/**
+ * encode a positive value as BCD data for encodeWord, the sign is sent in the SSM
+ * @param value
+ * @param resolution
+ * @param digits
+ * @returns {number}
+ */
+export function encodeBCD(value, resolution, digits = 5) {
+  const text = String(Math.round(value / resolution)).padStart(digits, "0");
+  let data = 0;
+  for (let i = 0; i < digits; i += 1) {
+    data |= Number(text[i]) << (16 - i * 4);
+  }
+  return data;
+}
+
+/**
+ * decode a word using the label map. Throws an Error for a parity error.
+ * @param word
+ * @param labels - see LABELS
+ * @returns {{label: string, sdi: number, ssm: number, status: string, property: string, value: number, pressureAltitude: boolean}}
+ * property and value are undefined for labels that are not in the map
+ */
+export function decodeWord(word, labels = LABELS) {
+  if (!parityOK(word)) {
+    throw new Error(`parity error in ${(word >>> 0).toString(16)}`);
+  }
+  const octal = label(word);
+  const sdi = (word >>> 8) & 0x03;
+  const ssm = (word >>> 29) & 0x03;
+  const definition = labels[octal];
+  if (!definition) {
+    return { label: octal, sdi, ssm, status: BNR_STATUS[ssm] };
+  }
+  // a definition may be limited to one SDI e.g. the captains side
+  if ("sdi" in definition && definition.sdi !== sdi) {
+    return { label: octal, sdi, ssm, status: BNR_STATUS[ssm] };
+  }
+  let value;
+  let status;
+  if (definition.encoding === "BCD") {
+    status = BCD_STATUS[ssm];
+    value =
+      bcd(word, definition.resolution, definition.digits) *
+      (ssm === 3 ? -1 : 1);
+  } else {
+    status = BNR_STATUS[ssm];
+    value = bnr(word, definition.range);
+    // angles are sent as +/- 180
+    if (definition.angle && value < 0) {
+      value += 360;
+    }
+  }
+  return {
+    label: octal,
+    sdi,
+    ssm,
+    status,
+    property: definition.property,
+    value,
+    pressureAltitude: !!definition.pressureAltitude
+  };
+}
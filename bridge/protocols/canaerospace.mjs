@@ -0,0 +1,229 @@
+import { STANDARD_PRESSURE } from "./pressure.mjs";
+
+/**
+ * Decoding of CANaerospace, the CAN bus protocol used by many experimental aircraft avionics
+ * and engine monitors. Each 11 bit CAN identifier carries one parameter and every frame has the
+ * same layout, a 4 byte header followed by up to 4 bytes of big endian data:
+ *
+ *   0  node id of the sender
+ *   1  data type, see DATA_TYPES
+ *   2  service code, 0 for normal operation data
+ *   3  message code, incremented with each frame
+ *   4  data
+ *
+ * The standard identifiers for flight and engine data are decoded to airplane properties in
+ * the units the airplane keeps them in. A frame with the ERROR or NODATA type flags its
+ * property as failed. CAN frames are read as text, in the formats written by the Linux
+ * can-utils ( candump ) or a serial line CAN adapter ( slcan ).
+ *
+ * See the CANaerospace Interface specification for the aeronautical CAN bus, version 1.7
+ */
+
+const FEET_PER_METER = 1 / 0.3048;
+const KNOTS_PER_METER_PER_SECOND = 3600 / 1852;
+const HECTOPASCALS_PER_INCH_OF_MERCURY = 33.8639;
+
+/**
+ * data type codes, the second byte of a frame
+ * @type {object}
+ */
+export const DATA_TYPES = {
+  NODATA: 0,
+  ERROR: 1,
+  FLOAT: 2,
+  LONG: 3,
+  ULONG: 4,
+  SHORT: 6,
+  USHORT: 7,
+  CHAR: 9,
+  UCHAR: 10
+};
+
+// read a value of each numeric data type from the data bytes
+const READERS = {
+  [DATA_TYPES.FLOAT]: data => data.readFloatBE(0),
+  [DATA_TYPES.LONG]: data => data.readInt32BE(0),
+  [DATA_TYPES.ULONG]: data => data.readUInt32BE(0),
+  [DATA_TYPES.SHORT]: data => data.readInt16BE(0),
+  [DATA_TYPES.USHORT]: data => data.readUInt16BE(0),
+  [DATA_TYPES.CHAR]: data => data.readInt8(0),
+  [DATA_TYPES.UCHAR]: data => data.readUInt8(0)
+};
+
+// bytes written by each numeric data type
+const SIZES = {
+  [DATA_TYPES.FLOAT]: 4,
+  [DATA_TYPES.LONG]: 4,
+  [DATA_TYPES.ULONG]: 4,
+  [DATA_TYPES.SHORT]: 2,
+  [DATA_TYPES.USHORT]: 2,
+  [DATA_TYPES.CHAR]: 1,
+  [DATA_TYPES.UCHAR]: 1
+};
+
+/**
+ * the standard identifiers that are decoded, with the airplane property each sets and the
+ * scale from the CANaerospace unit to the airplane's. Angles marked wrap are headings that
+ * may be sent as -180 .. 180. pressureAltitude marks an altitude relative to the standard
+ * sea level pressure, which is sent with it.
+ * @type {object}
+ */
+export const IDENTIFIERS = {
+  // body rates, deg/s. The body yaw rate ( 305 ) is not the slip ball's yawRate, the turn
+  // rate comes from the heading rate ( 327 )
+  303: { property: "pitchRate", scale: 1 },
+  304: { property: "rollRate", scale: 1 },
+  // body angles, deg
+  311: { property: "pitch", scale: 1 },
+  312: { property: "roll", scale: 1 },
+  // m/s
+  314: { property: "altitudeRate", scale: FEET_PER_METER * 60 },
+  315: { property: "airspeed", scale: KNOTS_PER_METER_PER_SECOND },
+  // hPa
+  319: { property: "barometer", scale: 1 / HECTOPASCALS_PER_INCH_OF_MERCURY },
+  // deg
+  321: { property: "heading", scale: 1, wrap: true },
+  // standard ( pressure ) altitude, m
+  322: { property: "altitude", scale: FEET_PER_METER, pressureAltitude: true },
+  // deg/s
+  327: { property: "headingRate", scale: 1 },
+  // engine #1 N1, which for a piston engine is its RPM
+  500: { property: "rpm", scale: 1 },
+  // GPS, deg and m/s
+  1036: { property: "latitude", scale: 1 },
+  1037: { property: "longitude", scale: 1 },
+  1039: { property: "groundSpeed", scale: KNOTS_PER_METER_PER_SECOND },
+  1040: { property: "groundTrack", scale: 1, wrap: true }
+};
+
+// the text formats of a frame, each matching the identifier and data in hex
+const FORMATS = [
+  // candump -L and log files e.g. "(1600000000.000000) can0 12C#0A0200003F800000"
+  {
+    pattern: /\b([0-9a-f]{3}|[0-9a-f]{8})#([0-9a-f]*)\s*$/i,
+    data: match => match[2]
+  },
+  // candump e.g. "  can0  12C   [8]  0A 02 00 00 3F 80 00 00"
+  {
+    pattern: /\b([0-9a-f]{3}|[0-9a-f]{8})\s+\[(\d)\]((?:\s+[0-9a-f]{2})*)\s*$/i,
+    data: match => match[3].replace(/\s/g, "")
+  },
+  // slcan standard frames e.g. "t12C80A0200003F800000"
+  {
+    pattern: /^t([0-9a-f]{3})(\d)([0-9a-f]*)\s*$/i,
+    data: match => match[3].slice(0, Number(match[2]) * 2)
+  }
+];
+
+/**
+ * parse a line of text to a CAN frame
+ * @param line
+ * @returns {{id: number, data: Buffer}}
+ */
+export function parseFrame(line) {
+  for (let i = 0; i < FORMATS.length; i += 1) {
+    const match = line.trim().match(FORMATS[i].pattern);
+    if (match) {
+      const hex = FORMATS[i].data(match);
+      if (hex.length % 2 || hex.length > 16) {
+        throw new Error(`invalid data ${hex}`);
+      }
+      return { id: parseInt(match[1], 16), data: Buffer.from(hex, "hex") };
+    }
+  }
+  throw new Error(`not a CAN frame: ${line.slice(0, 40)}`);
+}
+
+/**
+ * split the data of a CAN frame into the CANaerospace header and data
+ * @param data
+ * @returns {{nodeId: number, dataType: number, serviceCode: number, messageCode: number, data: Buffer}}
+ */
+export function parseMessage(data) {
+  if (data.length < 4) {
+    throw new Error(`frame has ${data.length} bytes, expected at least 4`);
+  }
+  return {
+    nodeId: data[0],
+    dataType: data[1],
+    serviceCode: data[2],
+    messageCode: data[3],
+    data: data.subarray(4)
+  };
+}
+
+/**
+ * decode a frame to airplane properties, with its property flagged as failed or not e.g.
+ * { airspeed: 95, flags: { airspeed: false } }. Frames with other identifiers decode to no
+ * properties.
+ * @param frame - { id, data } from parseFrame
+ * @param identifiers - see IDENTIFIERS
+ * @returns {object}
+ */
+export function decodeFrame(frame, identifiers = IDENTIFIERS) {
+  const parameter = identifiers[frame.id];
+  if (!parameter) {
+    return {};
+  }
+  const { property } = parameter;
+  const message = parseMessage(frame.data);
+  if (
+    message.dataType === DATA_TYPES.NODATA ||
+    message.dataType === DATA_TYPES.ERROR
+  ) {
+    return { flags: { [property]: true } };
+  }
+  const read = READERS[message.dataType];
+  if (!read) {
+    throw new Error(
+      `unsupported data type ${message.dataType} for ${frame.id}`
+    );
+  }
+  if (message.data.length < SIZES[message.dataType]) {
+    throw new Error(`missing data for ${frame.id}`);
+  }
+  let value = read(message.data) * parameter.scale;
+  if (parameter.wrap) {
+    value = ((value % 360) + 360) % 360;
+  }
+  const properties = { [property]: value, flags: { [property]: false } };
+  // the altimeter corrects pressure altitudes with its setting
+  if (parameter.pressureAltitude) {
+    properties.seaLevelPressure = STANDARD_PRESSURE;
+  }
+  return properties;
+}
+
+/**
+ * create the data of a frame, useful for sending test data
+ * @param value
+ * @param dataType
+ * @param nodeId
+ * @param messageCode
+ * @returns {Buffer}
+ */
+export function encodeMessage(
+  value,
+  dataType = DATA_TYPES.FLOAT,
+  nodeId = 1,
+  messageCode = 0
+) {
+  const data = Buffer.alloc(4 + (SIZES[dataType] || 0));
+  data.writeUInt8(nodeId, 0);
+  data.writeUInt8(dataType, 1);
+  data.writeUInt8(0, 2);
+  data.writeUInt8(messageCode & 0xff, 3);
+  const writers = {
+    [DATA_TYPES.FLOAT]: () => data.writeFloatBE(value, 4),
+    [DATA_TYPES.LONG]: () => data.writeInt32BE(value, 4),
+    [DATA_TYPES.ULONG]: () => data.writeUInt32BE(value, 4),
+    [DATA_TYPES.SHORT]: () => data.writeInt16BE(value, 4),
+    [DATA_TYPES.USHORT]: () => data.writeUInt16BE(value, 4),
+    [DATA_TYPES.CHAR]: () => data.writeInt8(value, 4),
+    [DATA_TYPES.UCHAR]: () => data.writeUInt8(value, 4)
+  };
+  if (writers[dataType]) {
+    writers[dataType]();
+  }
+  return data;
+}
@@ -0,0 +1,175 @@
+import { STANDARD_PRESSURE } from "./pressure.mjs";
+
+/**
+ * Decoding of the ADAHRS serial output of Dynon SkyView EFIS units, which experimental
+ * aircraft panels commonly export to other displays. Each sentence is a fixed width line of
+ * text, "!1" followed by the version, the fields below and a checksum, sent 16 times a
+ * second. Fields the EFIS does not have e.g. with a failed pitot are filled with X. Sentences
+ * are decoded to airplane properties in the units the airplane keeps them in, with the
+ * properties whose fields are missing flagged as failed. Malformed sentences throw an Error
+ * describing the problem.
+ *
+ * See the Dynon SkyView System Installation Guide, Serial Data Output
+ */
+
+// the start and type of an ADAHRS sentence, and the only version decoded
+const START = "!1";
+const VERSION = "1";
+
+/**
+ * the fields of a sentence, in order, with their width in characters, whether they have a
+ * sign and the scale and offset that convert them to their units
+ * @type {Array}
+ */
+export const FIELDS = [
+  // HHMMSSFF, FF is 64ths of a second
+  { name: "time", width: 8 },
+  { name: "pitch", width: 4, scale: 0.1, signed: true },
+  { name: "roll", width: 5, scale: 0.1, signed: true },
+  { name: "heading", width: 3, scale: 1 },
+  // knots
+  { name: "airspeed", width: 4, scale: 0.1 },
+  // feet
+  { name: "pressureAltitude", width: 6, scale: 1, signed: true },
+  // degrees per second
+  { name: "turnRate", width: 4, scale: 0.1, signed: true },
+  // g
+  { name: "lateralAcceleration", width: 3, scale: 0.01, signed: true },
+  { name: "verticalAcceleration", width: 3, scale: 0.1, signed: true },
+  // percent of the stall angle
+  { name: "angleOfAttack", width: 2, scale: 1 },
+  // feet per minute
+  { name: "verticalSpeed", width: 4, scale: 10, signed: true },
+  // celsius
+  { name: "outsideAirTemperature", width: 3, scale: 1, signed: true },
+  { name: "trueAirspeed", width: 4, scale: 0.1 },
+  // inches of mercury
+  { name: "barometer", width: 3, scale: 0.01, offset: 27.5 },
+  { name: "densityAltitude", width: 6, scale: 1, signed: true },
+  { name: "windDirection", width: 3, scale: 1 },
+  { name: "windSpeed", width: 2, scale: 1 }
+];
+
+// length of a sentence without its line ending, the start, version, fields and checksum
+const LENGTH =
+  START.length +
+  VERSION.length +
+  FIELDS.reduce((length, field) => length + field.width, 0) +
+  2;
+
+// airplane properties for each field
+const PROPERTIES = {
+  pitch: "pitch",
+  roll: "roll",
+  heading: "heading",
+  airspeed: "airspeed",
+  pressureAltitude: "altitude",
+  turnRate: "headingRate",
+  verticalSpeed: "altitudeRate",
+  barometer: "barometer"
+};
+
+/**
+ * the checksum of the text before it, the low byte of the sum of its characters as two hex digits
+ * @param text
+ * @returns {string}
+ */
+export function checksum(text) {
+  let sum = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    sum += text.charCodeAt(i);
+  }
+  return (sum & 0xff)
+    .toString(16)
+    .toUpperCase()
+    .padStart(2, "0");
+}
+
+/**
+ * split a sentence into its fields, validating the length and checksum. Missing fields
+ * are null, the time is left as text and the others are numbers in the units above.
+ * @param line - e.g. "!1121144703-014-00201359...\r\n"
+ * @returns {object}
+ */
+export function parseSentence(line) {
+  const sentence = line.replace(/[\r\n]+$/, "");
+  if (!sentence.startsWith(START)) {
+    throw new Error(`not an ADAHRS sentence: ${sentence.slice(0, 20)}`);
+  }
+  if (sentence.length !== LENGTH) {
+    throw new Error(
+      `sentence is ${sentence.length} characters, expected ${LENGTH}`
+    );
+  }
+  if (sentence[START.length] !== VERSION) {
+    throw new Error(`unsupported version ${sentence[START.length]}`);
+  }
+  const expected = sentence.slice(-2).toUpperCase();
+  const actual = checksum(sentence.slice(0, -2));
+  if (expected !== actual) {
+    throw new Error(`checksum ${expected} should be ${actual}`);
+  }
+  const fields = {};
+  let position = START.length + VERSION.length;
+  FIELDS.forEach(({ name, width, scale, offset = 0 }) => {
+    const text = sentence.slice(position, position + width);
+    position += width;
+    if (/^X+$/.test(text)) {
+      fields[name] = null;
+    } else if (!scale) {
+      fields[name] = text;
+    } else if (/^[+-]?\d+$/.test(text)) {
+      fields[name] = Number(text) * scale + offset;
+    } else {
+      throw new Error(`invalid ${name} ${text}`);
+    }
+  });
+  return fields;
+}
+
+/**
+ * decode a sentence to airplane properties. Missing fields are flagged e.g.
+ * { pitch: 2.5, ..., flags: { pitch: false, airspeed: true, ... } }
+ * @param line
+ * @returns {object}
+ */
+export function decodeSentence(line) {
+  const fields = parseSentence(line);
+  const properties = { flags: {} };
+  Object.keys(PROPERTIES).forEach(name => {
+    const property = PROPERTIES[name];
+    properties.flags[property] = fields[name] === null;
+    if (fields[name] !== null) {
+      properties[property] = fields[name];
+    }
+  });
+  // the EFIS reports pressure altitude, the altimeter corrects it with its setting
+  if (fields.pressureAltitude !== null) {
+    properties.seaLevelPressure = STANDARD_PRESSURE;
+  }
+  return properties;
+}
+
+/**
+ * create a sentence, useful for sending test data
+ * @param fields - values by name in the units above, missing ones are sent as X
+ * @returns {string}
+ */
+export function encodeSentence(fields) {
+  const text = FIELDS.map(({ name, width, scale, signed, offset = 0 }) => {
+    const value = fields[name];
+    if (value === undefined || value === null) {
+      return "X".repeat(width);
+    }
+    if (!scale) {
+      return String(value).padStart(width, "0");
+    }
+    const scaled = Math.round((value - offset) / scale);
+    return signed
+      ? (scaled < 0 ? "-" : "+") +
+          String(Math.abs(scaled)).padStart(width - 1, "0")
+      : String(scaled).padStart(width, "0");
+  }).join("");
+  const sentence = START + VERSION + text;
+  return `${sentence}${checksum(sentence)}\r\n`;
+}
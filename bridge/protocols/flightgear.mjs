@@ -0,0 +1,92 @@
+/**
+ * Parsing of FlightGear generic protocol output. The protocol XML lists the chunks FlightGear
+ * sends on each line, in order, and the separators between them. The chunk names are the
+ * airplane properties the values are for, see sixpack.xml. Panels ignore any values that are
+ * not airplane properties.
+ */
+
+// the names FlightGear accepts for separators, anything else is used literally
+const SEPARATORS = {
+  newline: "\n",
+  tab: "\t",
+  space: " ",
+  formfeed: "\f",
+  carriagereturn: "\r",
+  verticaltab: "\v",
+  semicolon: ";",
+  colon: ":",
+  comma: ",",
+  pipe: "|"
+};
+
+/**
+ * the text of the first element with the given tag, or undefined
+ * @param xml
+ * @param tag
+ * @returns {string}
+ */
+const element = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : undefined;
+};
+
+/**
+ * read the output section of a generic protocol XML file
+ * @param xml
+ * @returns {{lineSeparator: string, varSeparator: string, chunks: Array}}
+ * chunks are { name, type } in the order they appear on each line
+ */
+export function parseProtocol(xml) {
+  const output = element(xml.replace(/<!--[\s\S]*?-->/g, ""), "output");
+  console.assert(output, "the protocol has no output section");
+  const separator = (tag, otherwise) => {
+    const text = element(output, tag);
+    return text === undefined ? otherwise : SEPARATORS[text.trim()] || text;
+  };
+  const chunks = (output.match(/<chunk>[\s\S]*?<\/chunk>/g) || []).map(
+    chunk => ({
+      name: (element(chunk, "name") || "").trim(),
+      type: (element(chunk, "type") || "int").trim()
+    })
+  );
+  console.assert(chunks.length, "the protocol has no chunks");
+  return {
+    lineSeparator: separator("line_separator", "\n"),
+    varSeparator: separator("var_separator", ","),
+    chunks
+  };
+}
+
+/**
+ * parse one line of output into airplane properties
+ * @param line
+ * @param protocol - from parseProtocol
+ * @returns {object}
+ */
+export function parseLine(line, protocol) {
+  const values = line.split(protocol.varSeparator);
+  const result = {};
+  protocol.chunks.forEach(({ name, type }, index) => {
+    const text = values[index];
+    if (name && text !== undefined) {
+      const value =
+        type === "bool" ? (text.trim() === "1" ? 1 : 0) : parseFloat(text);
+      if (isFinite(value)) {
+        result[name] = value;
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * split received text into complete lines, returning the lines and any incomplete remainder
+ * @param text
+ * @param protocol
+ * @returns {{lines: Array, remainder: string}}
+ */
+export function splitLines(text, protocol) {
+  const parts = text.split(protocol.lineSeparator);
+  const remainder = parts.pop();
+  return { lines: parts.filter(line => line.trim()), remainder };
+}
@@ -0,0 +1,251 @@
+import { STANDARD_PRESSURE } from "./pressure.mjs";
+
+/**
+ * Decoding of GDL90 from portable ADS-B receivers such as Stratux, including the AHRS
+ * extensions that Stratux and ForeFlight define. Messages are delimited by flag bytes, byte
+ * stuffed and protected by a CRC. These messages are decoded to airplane properties in the
+ * units the airplane keeps them in, others such as traffic and weather are ignored. Pressure
+ * altitudes are sent as they are, with the standard sea level pressure, and corrected for the
+ * local pressure by the altimeter setting.
+ *
+ *   0x0A  ownship report, position, pressure altitude, ground track and speed
+ *   0x4C  Stratux AHRS, attitude, heading, slip, turn rate, airspeed, altitude and VSI
+ *   0x65  ForeFlight AHRS ( sub id 1 ), attitude, heading and airspeed
+ *
+ * See the GDL 90 Data Interface Specification, 560-1058-00 Rev A
+ */
+
+const FLAG = 0x7e;
+const ESCAPE = 0x7d;
+const ESCAPE_XOR = 0x20;
+// message ids
+const OWNSHIP = 0x0a;
+const STRATUX_AHRS = 0x4c;
+const FOREFLIGHT = 0x65;
+// values a sensor does not have
+const INVALID = 0x7fff;
+const INVALID_UNSIGNED = 0xffff;
+
+// CRC-CCITT table, polynomial 0x1021
+const CRC_TABLE = Array.from({ length: 256 }, (_, i) => {
+  let crc = i << 8;
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = (crc << 1) ^ (crc & 0x8000 ? 0x1021 : 0);
+  }
+  return crc & 0xffff;
+});
+
+/**
+ * the CRC of a message, its id and data before byte stuffing
+ * @param bytes
+ * @returns {number}
+ */
+export function crc16(bytes) {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = (CRC_TABLE[crc >> 8] ^ (crc << 8) ^ bytes[i]) & 0xffff;
+  }
+  return crc;
+}
+
+/**
+ * create a complete message, flags, stuffing and CRC, useful for sending test data
+ * @param id
+ * @param data
+ * @returns {Buffer}
+ */
+export function encodeMessage(id, data) {
+  const message = Buffer.concat([Buffer.from([id]), data]);
+  const crc = crc16(message);
+  const bytes = [FLAG];
+  Buffer.concat([message, Buffer.from([crc & 0xff, crc >> 8])]).forEach(b => {
+    if (b === FLAG || b === ESCAPE) {
+      bytes.push(ESCAPE, b ^ ESCAPE_XOR);
+    } else {
+      bytes.push(b);
+    }
+  });
+  bytes.push(FLAG);
+  return Buffer.from(bytes);
+}
+
+export class GDL90Parser {
+  /**
+   * options are the callbacks for messages and errors
+   * @param options
+   */
+  constructor(options = {}) {
+    Object.assign(
+      this,
+      {
+        // called with { id, data } for each valid message
+        onMessage: () => {},
+        // called with a description of each invalid message
+        onError: () => {}
+      },
+      options
+    );
+    // bytes of the current message after unstuffing, null until the first flag
+    this.bytes = null;
+    this.escaped = false;
+    this.stats = { messages: 0, crcErrors: 0 };
+  }
+
+  /**
+   * add received bytes and deliver any complete messages
+   * @param data
+   */
+  push(data) {
+    data.forEach(b => {
+      if (b === FLAG) {
+        // flags both end one message and start the next
+        if (this.bytes && this.bytes.length) {
+          this.complete(Buffer.from(this.bytes));
+        }
+        this.bytes = [];
+        this.escaped = false;
+      } else if (this.bytes) {
+        if (b === ESCAPE) {
+          this.escaped = true;
+        } else {
+          this.bytes.push(this.escaped ? b ^ ESCAPE_XOR : b);
+          this.escaped = false;
+        }
+      }
+    });
+  }
+
+  /**
+   * check the CRC of a message and deliver it
+   * @param message - id, data and CRC
+   */
+  complete(message) {
+    if (message.length < 3) {
+      this.onError(`message of ${message.length} bytes is too short`);
+      return;
+    }
+    const body = message.subarray(0, message.length - 2);
+    if (crc16(body) !== message.readUInt16LE(message.length - 2)) {
+      this.stats.crcErrors += 1;
+      this.onError(`message 0x${body[0].toString(16)} failed its CRC`);
+      return;
+    }
+    this.stats.messages += 1;
+    this.onMessage({ id: body[0], data: body.subarray(1) });
+  }
+}
+
+/**
+ * a signed big endian 16 bit value scaled by 0.1, undefined if invalid
+ * @param data
+ * @param offset
+ * @returns {number}
+ */
+const tenths = (data, offset) => {
+  const value = data.readInt16BE(offset);
+  return value === INVALID ? undefined : value / 10;
+};
+
+/**
+ * a signed big endian 16 bit value, undefined if invalid
+ * @param data
+ * @param offset
+ * @returns {number}
+ */
+const whole = (data, offset) => {
+  const value = data.readInt16BE(offset);
+  return value === INVALID ? undefined : value;
+};
+
+/**
+ * a signed 24 bit big endian latitude or longitude in degrees
+ * @param data
+ * @param offset
+ * @returns {number}
+ */
+const degrees24 = (data, offset) =>
+  (data.readIntBE(offset, 3) * 180) / 0x800000;
+
+// decoders for each message id, from the message data to airplane properties
+const DECODERS = {
+  [OWNSHIP]: data => {
+    if (data.length < 27) {
+      throw new Error("ownship report is too short");
+    }
+    const properties = {};
+    // a position of exactly zero means there is no fix
+    const latitude = degrees24(data, 4);
+    const longitude = degrees24(data, 7);
+    if (latitude || longitude) {
+      Object.assign(properties, { latitude, longitude });
+    }
+    // pressure altitude in 25 foot steps from -1000 feet
+    const altitude = (data[10] << 4) | (data[11] >> 4);
+    if (altitude !== 0xfff) {
+      properties.altitude = altitude * 25 - 1000;
+      properties.seaLevelPressure = STANDARD_PRESSURE;
+    }
+    const speed = (data[13] << 4) | (data[14] >> 4);
+    if (speed !== 0xfff) {
+      properties.groundSpeed = speed;
+    }
+    // the low two bits of the misc field say what the track angle is, 1 is true track
+    if ((data[11] & 0x03) === 1) {
+      properties.groundTrack = (data[16] * 360) / 256;
+    }
+    return properties;
+  },
+  [STRATUX_AHRS]: data => {
+    // the first data bytes are "E", the sub id and the version
+    if (data.length < 21 || data[0] !== 0x45 || data[1] !== 0x01) {
+      return {};
+    }
+    const pressureAltitude = data.readUInt16BE(17);
+    const valid = pressureAltitude !== INVALID_UNSIGNED;
+    return {
+      roll: tenths(data, 3),
+      pitch: tenths(data, 5),
+      heading: tenths(data, 7),
+      yaw: tenths(data, 9),
+      headingRate: tenths(data, 11),
+      airspeed: whole(data, 15),
+      altitude: valid ? pressureAltitude - 5000 : undefined,
+      seaLevelPressure: valid ? STANDARD_PRESSURE : undefined,
+      altitudeRate: whole(data, 19)
+    };
+  },
+  [FOREFLIGHT]: data => {
+    if (data.length < 11 || data[0] !== 0x01) {
+      return {};
+    }
+    const heading = data.readUInt16BE(5);
+    const airspeed = data.readUInt16BE(7);
+    const properties = {
+      roll: tenths(data, 1),
+      pitch: tenths(data, 3),
+      airspeed: airspeed === INVALID_UNSIGNED ? undefined : airspeed
+    };
+    // the top bit of the heading is set for a magnetic heading, clear for true
+    if (heading !== INVALID_UNSIGNED) {
+      properties[heading & 0x8000 ? "heading" : "trueHeading"] =
+        (heading & 0x7fff) / 10;
+    }
+    return properties;
+  }
+};
+
+/**
+ * decode a message to airplane properties, dropping values the sender marked invalid
+ * @param message - { id, data } from the parser
+ * @returns {object}
+ */
+export function decodeMessage(message) {
+  const decoder = DECODERS[message.id];
+  const properties = decoder ? decoder(message.data) : {};
+  Object.keys(properties).forEach(key => {
+    if (properties[key] === undefined) {
+      delete properties[key];
+    }
+  });
+  return properties;
+}
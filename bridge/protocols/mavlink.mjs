@@ -0,0 +1,358 @@
+import { createHash } from "crypto";
+import { STANDARD_PRESSURE, pressureAltitude } from "./pressure.mjs";
+
+/**
+ * Decoding of MAVLink v2 telemetry from UAV autopilots such as ArduPilot and PX4. A parser
+ * finds frames in a stream of bytes, validates their CRC and, given the link's secret key,
+ * their signature. The messages below are decoded to airplane properties in the units the
+ * airplane keeps them in, other messages are ignored.
+ *
+ *   ATTITUDE             pitch, roll, true heading and their rates
+ *   VFR_HUD              airspeed, ground speed, altitude, climb rate and heading
+ *   GLOBAL_POSITION_INT  position, ground track and speed
+ *   SCALED_PRESSURE      pressure altitude, with the standard sea level pressure, and
+ *                        airspeed from the pitot
+ *   RPM                  engine RPM ( ArduPilot )
+ *
+ * See https://mavlink.io/en/guide/serialization.html
+ */
+
+// start of a MAVLink v2 frame
+const STX = 0xfd;
+// bytes in the header, from the start byte up to the payload, and the checksum
+const HEADER_LENGTH = 10;
+const CHECKSUM_LENGTH = 2;
+// incompatibility flag for a signed frame, and the signature length
+const SIGNED = 0x01;
+const SIGNATURE_LENGTH = 13;
+
+const RAD_TO_DEG = 180 / Math.PI;
+const MS_TO_KNOTS = 3600 / 1852;
+const METERS_TO_FEET = 1 / 0.3048;
+// ISA sea level pressure in hectopascals and speed of sound in knots
+const SEA_LEVEL_HPA = 1013.25;
+const SPEED_OF_SOUND = 661.4788;
+const HPA_PER_INHG = 33.8639;
+
+/**
+ * indicated airspeed in knots for the difference between pitot and static pressure
+ * @param hPa
+ * @returns {number}
+ */
+const pitotAirspeed = hPa =>
+  SPEED_OF_SOUND *
+  Math.sqrt(5 * (Math.pow(Math.max(0, hPa) / SEA_LEVEL_HPA + 1, 2 / 7) - 1));
+
+/**
+ * the messages that are decoded, by id. crcExtra is the seed for each message's checksum and
+ * length the full length of its payload, which is sent with trailing zeros removed.
+ * decode returns airplane properties from the payload.
+ * @type {object}
+ */
+export const MESSAGES = {
+  30: {
+    name: "ATTITUDE",
+    crcExtra: 39,
+    length: 28,
+    decode: p => ({
+      roll: p.readFloatLE(4) * RAD_TO_DEG,
+      pitch: p.readFloatLE(8) * RAD_TO_DEG,
+      trueHeading: (p.readFloatLE(12) * RAD_TO_DEG + 360) % 360,
+      rollRate: p.readFloatLE(16) * RAD_TO_DEG,
+      pitchRate: p.readFloatLE(20) * RAD_TO_DEG,
+      headingRate: p.readFloatLE(24) * RAD_TO_DEG
+    })
+  },
+  74: {
+    name: "VFR_HUD",
+    crcExtra: 20,
+    length: 20,
+    decode: p => ({
+      airspeed: p.readFloatLE(0) * MS_TO_KNOTS,
+      groundSpeed: p.readFloatLE(4) * MS_TO_KNOTS,
+      altitude: p.readFloatLE(8) * METERS_TO_FEET,
+      altitudeRate: p.readFloatLE(12) * METERS_TO_FEET * 60,
+      trueHeading: p.readInt16LE(16)
+    })
+  },
+  33: {
+    name: "GLOBAL_POSITION_INT",
+    crcExtra: 104,
+    length: 28,
+    decode: p => {
+      // velocities north and east in cm/s
+      const vx = p.readInt16LE(20) / 100;
+      const vy = p.readInt16LE(22) / 100;
+      const speed = Math.sqrt(vx * vx + vy * vy);
+      const properties = {
+        latitude: p.readInt32LE(4) / 1e7,
+        longitude: p.readInt32LE(8) / 1e7,
+        groundSpeed: speed * MS_TO_KNOTS
+      };
+      // the track is meaningless when stationary
+      if (speed > 0.5) {
+        properties.groundTrack = (Math.atan2(vy, vx) * RAD_TO_DEG + 360) % 360;
+      }
+      return properties;
+    }
+  },
+  29: {
+    name: "SCALED_PRESSURE",
+    crcExtra: 115,
+    length: 16,
+    decode: p => ({
+      altitude: pressureAltitude(p.readFloatLE(4) / HPA_PER_INHG),
+      seaLevelPressure: STANDARD_PRESSURE,
+      airspeed: pitotAirspeed(p.readFloatLE(8))
+    })
+  },
+  226: {
+    name: "RPM",
+    crcExtra: 207,
+    length: 8,
+    decode: p => ({ rpm: p.readFloatLE(0) })
+  }
+};
+
+/**
+ * the MAVLink ( CRC-16/MCRF4XX ) checksum of bytes, continuing from crc
+ * @param bytes
+ * @param crc
+ * @returns {number}
+ */
+export function x25(bytes, crc = 0xffff) {
+  for (let i = 0; i < bytes.length; i += 1) {
+    let tmp = bytes[i] ^ (crc & 0xff);
+    tmp = (tmp ^ (tmp << 4)) & 0xff;
+    crc = ((crc >> 8) ^ (tmp << 8) ^ (tmp << 3) ^ (tmp >> 4)) & 0xffff;
+  }
+  return crc;
+}
+
+/**
+ * the signature of a signed frame, the first 6 bytes of sha256(key, frame, link id, timestamp)
+ * @param key - 32 byte secret key
+ * @param frame - the frame from the start byte up to and including the checksum
+ * @param linkAndTimestamp - the 7 bytes of link id and timestamp
+ * @returns {Buffer}
+ */
+export function signature(key, frame, linkAndTimestamp) {
+  return createHash("sha256")
+    .update(key)
+    .update(frame)
+    .update(linkAndTimestamp)
+    .digest()
+    .subarray(0, 6);
+}
+
+/**
+ * create a frame, useful for sending test data. The payload has its trailing zeros removed
+ * as MAVLink v2 requires. Frames are signed if a key is given.
+ * @param message - { msgid, payload, seq, sysid, compid, key, linkId, timestamp }
+ * @returns {Buffer}
+ */
+export function encodeFrame({
+  msgid,
+  payload,
+  seq = 0,
+  sysid = 1,
+  compid = 1,
+  key = null,
+  linkId = 0,
+  timestamp = 0
+}) {
+  const info = MESSAGES[msgid];
+  console.assert(info, `unknown message ${msgid}`);
+  let length = payload.length;
+  while (length > 1 && payload[length - 1] === 0) {
+    length -= 1;
+  }
+  const header = Buffer.from([
+    STX,
+    length,
+    key ? SIGNED : 0,
+    0,
+    seq & 0xff,
+    sysid,
+    compid,
+    msgid & 0xff,
+    (msgid >> 8) & 0xff,
+    (msgid >> 16) & 0xff
+  ]);
+  const body = Buffer.concat([header, payload.subarray(0, length)]);
+  const crc = x25([info.crcExtra], x25(body.subarray(1)));
+  const frame = Buffer.concat([body, Buffer.from([crc & 0xff, crc >> 8])]);
+  if (!key) {
+    return frame;
+  }
+  const linkAndTimestamp = Buffer.alloc(7);
+  linkAndTimestamp[0] = linkId;
+  linkAndTimestamp.writeUIntLE(timestamp, 1, 6);
+  return Buffer.concat([
+    frame,
+    linkAndTimestamp,
+    signature(key, frame, linkAndTimestamp)
+  ]);
+}
+
+export class MAVLinkParser {
+  /**
+   * options are the callbacks for frames and errors and the secret key, if signed frames
+   * should be verified. Without a key signatures are not checked.
+   * @param options
+   */
+  constructor(options = {}) {
+    Object.assign(
+      this,
+      {
+        key: null,
+        // called with { msgid, name, sysid, compid, seq, payload, signed, linkId, timestamp }
+        onFrame: () => {},
+        // called with a description of each frame that fails its checksum or signature
+        onError: () => {}
+      },
+      options
+    );
+    this.buffer = Buffer.alloc(0);
+    this.stats = { frames: 0, crcErrors: 0, signatureErrors: 0 };
+  }
+
+  /**
+   * add received bytes and deliver any complete frames
+   * @param data
+   */
+  push(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    let offset = 0;
+    while (offset < this.buffer.length) {
+      if (this.buffer[offset] !== STX) {
+        offset += 1;
+        continue;
+      }
+      const consumed = this.frameAt(offset);
+      if (consumed === 0) {
+        // incomplete, wait for more
+        break;
+      }
+      offset += consumed;
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  /**
+   * try to decode a frame starting at offset. Returns the number of bytes to skip,
+   * the frame length for a valid frame, 1 to resynchronize or 0 if more bytes are needed.
+   * @param offset
+   * @returns {number}
+   */
+  frameAt(offset) {
+    const b = this.buffer;
+    if (b.length - offset < HEADER_LENGTH) {
+      return 0;
+    }
+    const msgid = b.readUIntLE(offset + 7, 3);
+    const info = MESSAGES[msgid];
+    // without the crc extra of a message its frame cannot be validated, step over the start
+    // byte so we cannot lose sync on a false one
+    if (!info) {
+      return 1;
+    }
+    const length = b[offset + 1];
+    const signed = (b[offset + 2] & SIGNED) !== 0;
+    const end = offset + HEADER_LENGTH + length + CHECKSUM_LENGTH;
+    const total = end - offset + (signed ? SIGNATURE_LENGTH : 0);
+    if (b.length - offset < total) {
+      return 0;
+    }
+    const crc = x25([info.crcExtra], x25(b.subarray(offset + 1, end - 2)));
+    if (crc !== b.readUInt16LE(end - 2)) {
+      this.stats.crcErrors += 1;
+      this.onError(`${info.name} failed its checksum`);
+      return 1;
+    }
+    let linkId;
+    let timestamp;
+    if (signed) {
+      const linkAndTimestamp = b.subarray(end, end + 7);
+      linkId = linkAndTimestamp[0];
+      timestamp = linkAndTimestamp.readUIntLE(1, 6);
+      if (
+        this.key &&
+        !signature(this.key, b.subarray(offset, end), linkAndTimestamp).equals(
+          b.subarray(end + 7, end + SIGNATURE_LENGTH)
+        )
+      ) {
+        this.stats.signatureErrors += 1;
+        this.onError(`${info.name} has an invalid signature`);
+        return total;
+      }
+    }
+    // restore the trailing zeros removed from the payload
+    const payload = Buffer.alloc(Math.max(info.length, length));
+    b.copy(payload, 0, offset + HEADER_LENGTH, end - 2);
+    this.stats.frames += 1;
+    this.onFrame({
+      msgid,
+      name: info.name,
+      seq: b[offset + 4],
+      sysid: b[offset + 5],
+      compid: b[offset + 6],
+      payload,
+      signed,
+      linkId,
+      timestamp
+    });
+    return total;
+  }
+}
+
+/**
+ * decode a frame from the parser to airplane properties, dropping values that are not numbers
+ * @param frame
+ * @returns {object}
+ */
+export function decodeMessage(frame) {
+  const properties = MESSAGES[frame.msgid].decode(frame.payload);
+  Object.keys(properties).forEach(key => {
+    if (!isFinite(properties[key])) {
+      delete properties[key];
+    }
+  });
+  return properties;
+}
+
+/**
+ * split a telemetry log ( .tlog ) into its records. Each record is a big endian timestamp in
+ * microseconds since 1970 followed by one frame.
+ * @param buffer
+ * @returns {Array} of { t, data } where t is milliseconds since the first record
+ */
+export function parseTlog(buffer) {
+  const records = [];
+  let offset = 0;
+  let first;
+  while (offset + 8 + HEADER_LENGTH <= buffer.length) {
+    const time = Number(buffer.readBigUInt64BE(offset)) / 1000;
+    const start = offset + 8;
+    // MAVLink v1 frames ( 0xfe ) have a shorter header and are stepped over
+    const v2 = buffer[start] === STX;
+    const length = buffer[start + 1];
+    const total = v2
+      ? HEADER_LENGTH +
+        length +
+        CHECKSUM_LENGTH +
+        (buffer[start + 2] & SIGNED ? SIGNATURE_LENGTH : 0)
+      : 6 + length + CHECKSUM_LENGTH;
+    if (first === undefined) {
+      first = time;
+    }
+    if (v2) {
+      records.push({
+        t: time - first,
+        data: buffer.subarray(start, start + total)
+      });
+    }
+    offset = start + total;
+  }
+  return records;
+}
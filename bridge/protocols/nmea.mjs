@@ -0,0 +1,213 @@
+/**
+ * Parsing of NMEA 0183 sentences from GPS receivers and heading sensors. Sentences are
+ * validated and decoded to airplane properties in the units the airplane keeps them in.
+ * Sentences must have a checksum unless accepting them without one is asked for.
+ * Malformed sentences throw an Error describing the problem, sentences of other types
+ * and sentences flagged invalid by the device decode to no properties.
+ *
+ *   RMC  position, ground speed and true track
+ *   GGA  position and altitude
+ *   VTG  ground speed and true track
+ *   HDG  magnetic sensor heading with deviation
+ *   HDM  magnetic heading
+ *   HDT  true heading
+ *   XDR  transducer measurements, pitch and roll angles
+ */
+
+const FEET_PER_METER = 1 / 0.3048;
+
+// XDR angular displacement transducer names for each airplane property
+const XDR_ANGLES = {
+  PTCH: "pitch",
+  PITCH: "pitch",
+  ROLL: "roll",
+  HEEL: "roll"
+};
+
+/**
+ * the checksum of the text between the leading $ or ! and the *, two hex digits
+ * @param body
+ * @returns {string}
+ */
+export function checksum(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i += 1) {
+    sum ^= body.charCodeAt(i);
+  }
+  return sum
+    .toString(16)
+    .toUpperCase()
+    .padStart(2, "0");
+}
+
+/**
+ * split a sentence into its talker, type and fields, validating the checksum
+ * @param line - e.g. "$GPHDT,274.1,T*03"
+ * @param allowMissingChecksum - accept sentences without a checksum
+ * @returns {{talker: string, type: string, fields: Array}}
+ */
+export function parseSentence(line, allowMissingChecksum = false) {
+  const sentence = line.trim();
+  if (!/^[$!]/.test(sentence)) {
+    throw new Error(`not a sentence: ${sentence.slice(0, 20)}`);
+  }
+  const star = sentence.lastIndexOf("*");
+  const body = sentence.slice(1, star >= 0 ? star : undefined);
+  if (star >= 0) {
+    const expected = sentence.slice(star + 1).toUpperCase();
+    const actual = checksum(body);
+    if (expected !== actual) {
+      throw new Error(
+        `checksum ${expected} should be ${actual}: ${sentence.slice(0, 20)}`
+      );
+    }
+  } else if (!allowMissingChecksum) {
+    throw new Error(`missing checksum: ${sentence.slice(0, 20)}`);
+  }
+  const fields = body.split(",");
+  const address = fields.shift();
+  if (!/^[A-Z0-9]{5}$/.test(address)) {
+    throw new Error(`invalid address ${address}`);
+  }
+  // proprietary sentences start with P and have no talker
+  return {
+    talker: address[0] === "P" ? "P" : address.slice(0, 2),
+    type: address[0] === "P" ? address.slice(1) : address.slice(2),
+    fields
+  };
+}
+
+/**
+ * parse a number field, undefined if empty
+ * @param text
+ * @param name - used in the error if the field is not a number
+ * @returns {number}
+ */
+function number(text, name) {
+  if (text === undefined || text === "") {
+    return undefined;
+  }
+  const value = Number(text);
+  if (!isFinite(value)) {
+    throw new Error(`invalid ${name} ${text}`);
+  }
+  return value;
+}
+
+/**
+ * parse a latitude or longitude e.g. "4916.45", "N" to decimal degrees, undefined if empty
+ * @param text - degrees and decimal minutes, ddmm.mm or dddmm.mm
+ * @param hemisphere - N, S, E or W
+ * @returns {number}
+ */
+export function coordinate(text, hemisphere) {
+  if (!text) {
+    return undefined;
+  }
+  const match = text.match(/^(\d{2,3})(\d{2}(\.\d+)?)$/);
+  if (!match || "NSEW".indexOf(hemisphere) < 0 || !hemisphere) {
+    throw new Error(`invalid coordinate ${text},${hemisphere}`);
+  }
+  const degrees = Number(match[1]) + Number(match[2]) / 60;
+  return hemisphere === "S" || hemisphere === "W" ? -degrees : degrees;
+}
+
+/**
+ * copy the defined values into properties
+ * @param properties
+ * @param values
+ * @returns {object}
+ */
+const defined = (properties, values) => {
+  Object.keys(values).forEach(key => {
+    if (values[key] !== undefined) {
+      properties[key] = values[key];
+    }
+  });
+  return properties;
+};
+
+// decoders for each sentence type, from its fields to airplane properties
+const DECODERS = {
+  RMC: f =>
+    f[1] === "A"
+      ? defined(
+          {},
+          {
+            latitude: coordinate(f[2], f[3]),
+            longitude: coordinate(f[4], f[5]),
+            groundSpeed: number(f[6], "speed"),
+            groundTrack: number(f[7], "track")
+          }
+        )
+      : {},
+  GGA: f => {
+    const quality = number(f[5], "fix quality");
+    if (!quality) {
+      return {};
+    }
+    const altitude = number(f[8], "altitude");
+    return defined(
+      {},
+      {
+        latitude: coordinate(f[1], f[2]),
+        longitude: coordinate(f[3], f[4]),
+        altitude: altitude === undefined ? undefined : altitude * FEET_PER_METER
+      }
+    );
+  },
+  VTG: f =>
+    // the mode indicator, when present, is N for not valid
+    f[8] === "N"
+      ? {}
+      : defined(
+          {},
+          {
+            groundTrack: number(f[0], "track"),
+            groundSpeed: number(f[4], "speed")
+          }
+        ),
+  HDG: f => {
+    const heading = number(f[0], "heading");
+    const deviation = number(f[1], "deviation") || 0;
+    if (heading === undefined) {
+      return {};
+    }
+    const corrected = heading + (f[2] === "W" ? -deviation : deviation);
+    return { heading: ((corrected % 360) + 360) % 360 };
+  },
+  HDM: f => defined({}, { heading: number(f[0], "heading") }),
+  HDT: f => defined({}, { trueHeading: number(f[0], "heading") }),
+  XDR: f => {
+    if (f.length % 4) {
+      throw new Error(`XDR has ${f.length} fields, expected groups of 4`);
+    }
+    const properties = {};
+    for (let i = 0; i < f.length; i += 4) {
+      const [type, value, units, name] = f.slice(i, i + 4);
+      const property = XDR_ANGLES[(name || "").toUpperCase()];
+      if (type === "A" && units === "D" && property) {
+        defined(properties, { [property]: number(value, name) });
+      }
+    }
+    return properties;
+  }
+};
+
+/**
+ * the sentence types that can be decoded
+ * @type {Array}
+ */
+export const SENTENCE_TYPES = Object.keys(DECODERS);
+
+/**
+ * decode a sentence to airplane properties
+ * @param line
+ * @param allowMissingChecksum
+ * @returns {object}
+ */
+export function decodeSentence(line, allowMissingChecksum = false) {
+  const { type, fields } = parseSentence(line, allowMissingChecksum);
+  const decoder = DECODERS[type];
+  return decoder ? decoder(fields) : {};
+}
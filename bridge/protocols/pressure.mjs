@@ -0,0 +1,58 @@
+/**
+ * Pressure altitude as the bridges send it. Sensors that report pressure altitude send it
+ * with the standard sea level pressure, so the panel altimeter corrects it with its own
+ * setting just as a real altimeter does. The standard atmosphere is the one in
+ * src/utils/atmosphere.js, which the panel uses.
+ */
+
+/**
+ * the standard sea level pressure in inches of mercury, that pressure altitudes are
+ * relative to
+ * @type {number}
+ */
+export const STANDARD_PRESSURE = 29.92;
+
+// sea level temperature in kelvin and the lapse rate in kelvin per meter
+const SEA_LEVEL_TEMPERATURE = 288.15;
+const LAPSE_RATE = 0.0065;
+// altitude of the tropopause in feet
+const TROPOPAUSE = 36089.24;
+// acceleration due to gravity m/s/s and the specific gas constant for dry air J/(kg K)
+const G = 9.80665;
+const R_AIR = 287.05287;
+const EXPONENT = G / (LAPSE_RATE * R_AIR);
+const FEET_TO_METERS = 0.3048;
+const TROPOPAUSE_TEMPERATURE =
+  SEA_LEVEL_TEMPERATURE - LAPSE_RATE * TROPOPAUSE * FEET_TO_METERS;
+const TROPOPAUSE_PRESSURE =
+  STANDARD_PRESSURE *
+  Math.pow(TROPOPAUSE_TEMPERATURE / SEA_LEVEL_TEMPERATURE, EXPONENT);
+
+/**
+ * the altitude in the standard atmosphere at which the given pressure occurs
+ * @param inchesHg
+ * @returns {number}
+ */
+export function pressureAltitude(inchesHg) {
+  if (inchesHg >= TROPOPAUSE_PRESSURE) {
+    const ratio = Math.pow(inchesHg / STANDARD_PRESSURE, 1 / EXPONENT);
+    return (
+      ((SEA_LEVEL_TEMPERATURE / LAPSE_RATE) * (1 - ratio)) / FEET_TO_METERS
+    );
+  }
+  const meters =
+    ((-R_AIR * TROPOPAUSE_TEMPERATURE) / G) *
+    Math.log(inchesHg / TROPOPAUSE_PRESSURE);
+  return TROPOPAUSE + meters / FEET_TO_METERS;
+}
+
+/**
+ * the pressure altitude of an altimeter reading, the inverse of what the altimeter shows
+ * for a pressure altitude with the given setting
+ * @param indicated
+ * @param altimeterSetting
+ * @returns {number}
+ */
+export function pressureAltitudeOfIndicated(indicated, altimeterSetting) {
+  return indicated + pressureAltitude(altimeterSetting);
+}
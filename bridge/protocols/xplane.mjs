@@ -0,0 +1,244 @@
+import { STANDARD_PRESSURE, pressureAltitudeOfIndicated } from "./pressure.mjs";
+
+/**
+ * Encoding and decoding of X-Plane UDP packets. X-Plane sends datarefs we subscribe to with
+ * RREF requests, and when configured on its Data Output screen sends legacy DATA packets of
+ * numbered groups of eight values. Both are decoded to airplane properties in the units the
+ * airplane keeps them in, see src/sources/units.js. Altitudes are sent as pressure altitudes
+ * with the standard sea level pressure, so the altimeter applies its own setting. All
+ * numbers are little endian.
+ */
+
+// length of the dataref path in an RREF request, including the terminating zero
+const DATAREF_LENGTH = 400;
+// packet headers are a four letter code followed by one byte
+const HEADER_LENGTH = 5;
+// each RREF value is an int32 index and a float32 value
+const RREF_LENGTH = 8;
+// each DATA group is an int32 index and eight float32 values
+const DATA_LENGTH = 36;
+// X-Plane uses this for values that are not available
+const NOT_AVAILABLE = -999;
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * the datarefs subscribed to for each airplane property, see
+ * https://developer.x-plane.com/datarefs/
+ * @type {Array}
+ */
+export const DATAREFS = [
+  {
+    property: "airspeed",
+    dataref: "sim/cockpit2/gauges/indicators/airspeed_kts_pilot"
+  },
+  {
+    property: "altitude",
+    dataref: "sim/flightmodel2/position/pressure_altitude"
+  },
+  {
+    property: "barometer",
+    dataref: "sim/cockpit2/gauges/actuators/barometer_setting_in_hg_pilot"
+  },
+  { property: "pitch", dataref: "sim/flightmodel/position/theta" },
+  { property: "roll", dataref: "sim/flightmodel/position/phi" },
+  { property: "heading", dataref: "sim/flightmodel/position/mag_psi" },
+  {
+    property: "headingRate",
+    dataref: "sim/cockpit2/gauges/indicators/turn_rate_heading_deg_pilot"
+  },
+  { property: "yaw", dataref: "sim/cockpit2/gauges/indicators/slip_deg" },
+  {
+    property: "altitudeRate",
+    dataref: "sim/cockpit2/gauges/indicators/vvi_fpm_pilot"
+  },
+  {
+    property: "rpm",
+    dataref: "sim/cockpit2/engine/indicators/engine_speed_rpm[0]"
+  },
+  { property: "latitude", dataref: "sim/flightmodel/position/latitude" },
+  { property: "longitude", dataref: "sim/flightmodel/position/longitude" }
+];
+
+/**
+ * the airplane property for values in DATA groups, keyed by group index ( the number on the
+ * Data Output screen ) and the position of the value in the group. A value is either the
+ * property or [property, scale].
+ * @type {object}
+ */
+export const DATA_GROUPS = {
+  // speeds: Vind kias, Vind keas, Vtrue ktas, Vtrue ktgs, -, Vind mph, Vtrue mphas, Vtrue mphgs
+  3: { 0: "airspeed" },
+  // Mach, VVI, G-load: Mach, -, VVI fpm, -, Gload normal, Gload axial, Gload side, -
+  4: { 2: "altitudeRate" },
+  // system pressures: baro alt inHg ( the altimeter setting ), ...
+  7: { 0: "barometer" },
+  // angular velocities: Q, P, R rad/s. The yaw rate stands in for the turn rate
+  16: { 2: ["headingRate", RAD_TO_DEG] },
+  // pitch, roll and headings: pitch, roll, hding true, hding mag
+  17: { 0: "pitch", 1: "roll", 3: "heading" },
+  // angle of attack, sideslip and paths: alpha, beta, hpath, vpath, -, -, -, slip
+  18: { 7: "yaw" },
+  // latitude, longitude and altitude: lat, lon, alt ftmsl, alt ftagl, on runway, alt ind, ...
+  // There is no pressure altitude, so the indicated altitude is converted with group 7
+  20: { 0: "latitude", 1: "longitude", 5: "indicatedAltitude" },
+  // engine RPM, one value per engine
+  37: { 0: "rpm" }
+};
+
+/**
+ * the four letter code of a packet e.g. "RREF" or "DATA"
+ * @param buffer
+ * @returns {string}
+ */
+export function packetType(buffer) {
+  return buffer.length >= HEADER_LENGTH ? buffer.toString("latin1", 0, 4) : "";
+}
+
+/**
+ * create an RREF request asking X-Plane to send a dataref, frequency times a second,
+ * tagged with index. A frequency of zero cancels the subscription.
+ * @param index
+ * @param frequency
+ * @param dataref
+ * @returns {Buffer}
+ */
+export function encodeRREFRequest(index, frequency, dataref) {
+  console.assert(dataref.length < DATAREF_LENGTH, "dataref is too long");
+  const buffer = Buffer.alloc(HEADER_LENGTH + 8 + DATAREF_LENGTH);
+  buffer.write("RREF", 0, "latin1");
+  buffer.writeInt32LE(frequency, HEADER_LENGTH);
+  buffer.writeInt32LE(index, HEADER_LENGTH + 4);
+  buffer.write(dataref, HEADER_LENGTH + 8, "latin1");
+  return buffer;
+}
+
+/**
+ * decode an RREF packet to [{ index, value }]
+ * @param buffer
+ * @returns {Array}
+ */
+export function decodeRREF(buffer) {
+  console.assert(packetType(buffer) === "RREF", "not an RREF packet");
+  const values = [];
+  for (
+    let offset = HEADER_LENGTH;
+    offset + RREF_LENGTH <= buffer.length;
+    offset += RREF_LENGTH
+  ) {
+    values.push({
+      index: buffer.readInt32LE(offset),
+      value: buffer.readFloatLE(offset + 4)
+    });
+  }
+  return values;
+}
+
+/**
+ * decode a DATA packet to [{ index, values }] where values are the eight numbers in the group
+ * @param buffer
+ * @returns {Array}
+ */
+export function decodeDATA(buffer) {
+  console.assert(packetType(buffer) === "DATA", "not a DATA packet");
+  const groups = [];
+  for (
+    let offset = HEADER_LENGTH;
+    offset + DATA_LENGTH <= buffer.length;
+    offset += DATA_LENGTH
+  ) {
+    const values = [];
+    for (let i = 0; i < 8; i += 1) {
+      values.push(buffer.readFloatLE(offset + 4 + i * 4));
+    }
+    groups.push({ index: buffer.readInt32LE(offset), values });
+  }
+  return groups;
+}
+
+/**
+ * encode a DATA packet, the inverse of decodeDATA, useful for sending test data
+ * @param groups - [{ index, values }]
+ * @returns {Buffer}
+ */
+export function encodeDATA(groups) {
+  const buffer = Buffer.alloc(HEADER_LENGTH + groups.length * DATA_LENGTH);
+  buffer.write("DATA", 0, "latin1");
+  groups.forEach(({ index, values }, g) => {
+    const offset = HEADER_LENGTH + g * DATA_LENGTH;
+    buffer.writeInt32LE(index, offset);
+    for (let i = 0; i < 8; i += 1) {
+      buffer.writeFloatLE(
+        i < values.length ? values[i] : NOT_AVAILABLE,
+        offset + 4 + i * 4
+      );
+    }
+  });
+  return buffer;
+}
+
+/**
+ * encode an RREF packet, the inverse of decodeRREF, useful for sending test data
+ * @param values - [{ index, value }]
+ * @returns {Buffer}
+ */
+export function encodeRREF(values) {
+  const buffer = Buffer.alloc(HEADER_LENGTH + values.length * RREF_LENGTH);
+  buffer.write("RREF,", 0, "latin1");
+  values.forEach(({ index, value }, i) => {
+    buffer.writeInt32LE(index, HEADER_LENGTH + i * RREF_LENGTH);
+    buffer.writeFloatLE(value, HEADER_LENGTH + i * RREF_LENGTH + 4);
+  });
+  return buffer;
+}
+
+/**
+ * convert any RREF or DATA packet to airplane properties. Unknown packets, indices and
+ * values that X-Plane reports as not available are ignored. The indicated altitude of DATA
+ * packets is converted to pressure altitude with the altimeter setting in the same packet,
+ * without one it is taken as a pressure altitude.
+ * @param buffer
+ * @param datarefs - the datarefs subscribed to, indexed by the RREF index
+ * @param groups - see DATA_GROUPS
+ * @returns {object}
+ */
+export function decodePacket(
+  buffer,
+  datarefs = DATAREFS,
+  groups = DATA_GROUPS
+) {
+  const properties = {};
+  const type = packetType(buffer);
+  if (type === "RREF") {
+    decodeRREF(buffer).forEach(({ index, value }) => {
+      if (datarefs[index] && isFinite(value)) {
+        properties[datarefs[index].property] = value;
+      }
+    });
+  } else if (type === "DATA") {
+    decodeDATA(buffer).forEach(({ index, values }) => {
+      const group = groups[index] || {};
+      Object.keys(group).forEach(position => {
+        const [property, scale] = [].concat(group[position], 1);
+        const value = values[position];
+        if (value !== NOT_AVAILABLE && isFinite(value)) {
+          properties[property] = value * scale;
+        }
+      });
+    });
+  }
+  if ("indicatedAltitude" in properties) {
+    properties.altitude =
+      "barometer" in properties
+        ? pressureAltitudeOfIndicated(
+            properties.indicatedAltitude,
+            properties.barometer
+          )
+        : properties.indicatedAltitude;
+    delete properties.indicatedAltitude;
+  }
+  if ("altitude" in properties) {
+    properties.seaLevelPressure = STANDARD_PRESSURE;
+  }
+  return properties;
+}
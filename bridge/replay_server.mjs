@@ -0,0 +1,153 @@
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import BroadcastServer from "./broadcast_server.mjs";
+
+/**
+ * A stand in for a live data source that replays a recording to any connected panels, so
+ * sources can be developed and tested without a simulator or airplane. Recordings are JSON
+ * lines, one message per line, with the milliseconds since the start of the recording in t e.g.
+ *
+ *   {"t":0,"airspeed":95,"altitude":1200,"heading":270}
+ *   {"t":250,"airspeed":95.4,"altitude":1210,"heading":271}
+ *
+ * Messages are sent as they are, so a recording may use any layout a field mapping can read.
+ *
+ *   node bridge/replay_server.mjs [recording] [--port 8181] [--speed 1] [--once]
+ */
+
+const DEFAULT_RECORDING = fileURLToPath(
+  new URL("./samples/circuit.jsonl", import.meta.url)
+);
+
+// milliseconds between the end of a recording and the start of the next loop, so a
+// recording whose messages all share one time is not sent as fast as possible
+const LOOP_DELAY = 100;
+
+/**
+ * parse a JSON lines recording, ignoring blank lines
+ * @param text
+ * @returns {Array}
+ */
+export function parseRecording(text) {
+  const messages = text
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`line ${index + 1}: ${error.message}`);
+      }
+    });
+  console.assert(
+    messages.every((m, i) => i === 0 || m.t >= messages[i - 1].t),
+    "recording times must be increasing"
+  );
+  return messages;
+}
+
+export class Replayer {
+  /**
+   * requires messages and a send function
+   * @param options
+   */
+  constructor(options) {
+    Object.assign(
+      this,
+      {
+        messages: [],
+        send: () => {},
+        // playback speed, 2 is twice as fast
+        speed: 1,
+        // start again from the beginning when the recording ends
+        loop: true,
+        onEnd: () => {}
+      },
+      options
+    );
+    if (!this.messages.length) {
+      throw new Error("the recording has no messages");
+    }
+    console.assert(this.speed > 0, "invalid speed");
+    this.timer = null;
+  }
+
+  /**
+   * start playing from the beginning
+   */
+  start() {
+    this.stop();
+    this.index = 0;
+    this.startTime = Date.now();
+    this.next();
+  }
+
+  /**
+   * send every message that is due and wait for the next one
+   */
+  next() {
+    const elapsed = (Date.now() - this.startTime) * this.speed;
+    const first = this.messages[0].t;
+    while (
+      this.index < this.messages.length &&
+      this.messages[this.index].t - first <= elapsed
+    ) {
+      this.send(this.messages[this.index]);
+      this.index += 1;
+    }
+    if (this.index < this.messages.length) {
+      const due = (this.messages[this.index].t - first - elapsed) / this.speed;
+      this.timer = setTimeout(() => this.next(), Math.max(0, due));
+    } else if (this.loop) {
+      this.timer = setTimeout(() => this.start(), LOOP_DELAY / this.speed);
+    } else {
+      this.timer = null;
+      this.onEnd();
+    }
+  }
+
+  /**
+   * stop playing
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * replay a recording from the command line until interrupted, or to the end with --once
+ * @param argv
+ */
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      port: { type: "string", default: "8181" },
+      speed: { type: "string", default: "1" },
+      once: { type: "boolean", default: false }
+    }
+  });
+  const file = positionals[0] || DEFAULT_RECORDING;
+  const messages = parseRecording(readFileSync(file, "utf8"));
+  const server = new BroadcastServer({ port: Number(values.port) });
+  const replayer = new Replayer({
+    messages,
+    send: message => server.broadcast(message),
+    speed: Number(values.speed),
+    loop: !values.once,
+    onEnd: () => server.close()
+  });
+  console.log(`replaying ${messages.length} messages from ${file}`);
+  replayer.start();
+  process.on("SIGINT", () => {
+    replayer.stop();
+    server.close().then(() => process.exit(0));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
@@ -0,0 +1,138 @@
+import assert from "assert";
+import { test } from "node:test";
+import { ARINC429Bridge } from "../arinc429_bridge.mjs";
+import {
+  STATUS,
+  decodeWord,
+  encodeBCD,
+  encodeBNR,
+  encodeWord,
+  label
+} from "../protocols/arinc429.mjs";
+import { assertProperties } from "./helpers.mjs";
+
+// SSM values, which mean different things for BNR and BCD words
+const BNR_NORMAL = 3;
+const BCD_PLUS = 0;
+const BCD_MINUS = 3;
+
+/**
+ * a bridge that collects what it sends
+ * @returns {{bridge: ARINC429Bridge, received: object[]}}
+ */
+function collect() {
+  const received = [];
+  const bridge = new ARINC429Bridge({
+    send: properties => received.push(properties),
+    log: () => {}
+  });
+  return { bridge, received };
+}
+
+test("labels are sent most significant bit first", () => {
+  // 203 octal is 10 000 011, which is reversed to 11 000 001 in the word
+  const word = encodeWord("203", 0);
+  assert.strictEqual(word & 0xff, 0xc1);
+  assert.strictEqual(label(word), "203");
+  assert.strictEqual(label(encodeWord("012", 0)), "012");
+  assert.strictEqual(label(encodeWord("377", 0)), "377");
+});
+
+test("decodes signed BNR data with the sign in bit 29", () => {
+  const pitch = decodeWord(encodeWord("324", encodeBNR(-15.2, 180)));
+  assert.strictEqual(pitch.property, "pitch");
+  assert.ok(Math.abs(pitch.value + 15.2) < 180 / 0x40000);
+  const altitude = decodeWord(encodeWord("203", encodeBNR(3500, 131072)));
+  assert.ok(Math.abs(altitude.value - 3500) < 131072 / 0x40000);
+  // the most negative value
+  const minimum = decodeWord(encodeWord("324", 0x40000));
+  assert.strictEqual(minimum.value, -180);
+  // angles are turned to 0 .. 360
+  const heading = decodeWord(encodeWord("320", encodeBNR(-90, 180)));
+  assert.strictEqual(heading.value, 270);
+});
+
+test("decodes BCD data, stopping at the last significant digit", () => {
+  const groundSpeed = decodeWord(
+    encodeWord("012", encodeBCD(250, 1, 4), BCD_PLUS)
+  );
+  assert.strictEqual(groundSpeed.value, 250);
+  const track = decodeWord(
+    encodeWord("013", encodeBCD(359.9, 0.1, 4), BCD_PLUS)
+  );
+  assert.ok(Math.abs(track.value - 359.9) < 1e-9);
+  // the padding after the last digit is ignored
+  const padded = decodeWord(
+    encodeWord("012", encodeBCD(250, 1, 4) | 0x0f, BCD_PLUS)
+  );
+  assert.strictEqual(padded.value, 250);
+  // minus is sent in the SSM
+  const minus = decodeWord(encodeWord("012", encodeBCD(250, 1, 4), BCD_MINUS));
+  assert.strictEqual(minus.value, -250);
+  assert.strictEqual(minus.status, STATUS.NORMAL);
+});
+
+test("BNR and BCD words have their own SSM meanings", () => {
+  assert.deepStrictEqual(
+    [0, 1, 2, 3].map(ssm => decodeWord(encodeWord("324", 0, ssm)).status),
+    [STATUS.FAILURE, STATUS.NO_DATA, STATUS.TEST, STATUS.NORMAL]
+  );
+  assert.deepStrictEqual(
+    [0, 1, 2, 3].map(ssm => decodeWord(encodeWord("012", 0, ssm)).status),
+    [STATUS.NORMAL, STATUS.NO_DATA, STATUS.TEST, STATUS.NORMAL]
+  );
+});
+
+test("rejects words with even parity", () => {
+  const word = encodeWord("324", encodeBNR(2.5, 180));
+  assert.throws(() => decodeWord((word ^ 0x80000000) >>> 0), /parity error/);
+  assert.throws(() => decodeWord((word ^ 0x400) >>> 0), /parity error/);
+});
+
+test("the bridge reads words from lines of text", () => {
+  const { bridge, received } = collect();
+  const pitch = encodeWord("324", encodeBNR(2.5, 180), BNR_NORMAL)
+    .toString(16)
+    .padStart(8, "0");
+  const altitude = encodeWord("203", encodeBNR(3500, 131072), BNR_NORMAL)
+    .toString(16)
+    .toUpperCase()
+    .padStart(8, "0");
+  const failed = encodeWord("206", 0, 0)
+    .toString(16)
+    .padStart(8, "0");
+  // a timestamp and channel, a line split across reads and a line with no word
+  bridge.onText(`12.345 1 ${pitch}\n0x${altitude.slice(0, 4)}`);
+  bridge.onText(`${altitude.slice(4)}\r\nnoise\n${failed}\n`);
+  assert.strictEqual(received.length, 4);
+  assertProperties(received[0], { pitch: 2.5, flags: { pitch: false } });
+  assertProperties(received[1], {
+    altitude: 3500,
+    seaLevelPressure: 29.92,
+    flags: { altitude: false }
+  });
+  assert.deepStrictEqual(received[2], {
+    error: "ARINC 429: no word in noise"
+  });
+  assert.deepStrictEqual(received[3], { flags: { airspeed: true } });
+});
+
+test("the bridge reads little endian binary words split across reads", () => {
+  const { bridge, received } = collect();
+  const data = Buffer.alloc(12);
+  data.writeUInt32LE(encodeWord("325", encodeBNR(-15.2, 180)), 0);
+  data.writeUInt32LE(encodeWord("012", encodeBCD(110, 1, 4), BCD_PLUS), 4);
+  // unknown labels are ignored
+  data.writeUInt32LE(encodeWord("377", 0), 8);
+  bridge.onBinary(data.subarray(0, 3));
+  assert.strictEqual(received.length, 0);
+  bridge.onBinary(data.subarray(3, 6));
+  bridge.onBinary(data.subarray(6));
+  assert.strictEqual(received.length, 2);
+  assertProperties(received[0], { roll: -15.2, flags: { roll: false } });
+  assert.deepStrictEqual(received[1], {
+    groundSpeed: 110,
+    flags: { groundSpeed: false }
+  });
+  assert.strictEqual(bridge.partial.length, 0);
+});
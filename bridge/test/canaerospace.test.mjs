@@ -0,0 +1,109 @@
+import assert from "assert";
+import { test } from "node:test";
+import { CANaerospaceBridge } from "../canaerospace_bridge.mjs";
+import {
+  DATA_TYPES,
+  decodeFrame,
+  encodeMessage,
+  parseFrame,
+  parseMessage
+} from "../protocols/canaerospace.mjs";
+import { assertProperties, fixture } from "./helpers.mjs";
+
+// what the bridge sends for canaerospace.log, which has frames in the candump -L, candump
+// and slcan formats, NODATA and ERROR frames, an unknown identifier, an unsupported data
+// type and a line that is not a frame
+const DECODED = [
+  { airspeed: 95.3, flags: { airspeed: false } },
+  { altitude: 3500, seaLevelPressure: 29.92, flags: { altitude: false } },
+  { pitch: 2.5, flags: { pitch: false } },
+  { heading: 270, flags: { heading: false } },
+  { rpm: 2350, flags: { rpm: false } },
+  { flags: { roll: true } },
+  { flags: { airspeed: true } },
+  { error: "CANaerospace: unsupported data type 8 for 319" },
+  { error: "CANaerospace: not a CAN frame: not a frame" }
+];
+
+test("parses candump and slcan frames", () => {
+  const data = Buffer.from([1, 2, 0, 3, 0x40, 0x20, 0, 0]);
+  [
+    "(1600000000.000000) can0 137#0102000340200000",
+    "  can0  137   [8]  01 02 00 03 40 20 00 00",
+    // slcan may add a timestamp after the data
+    "t1378010200034020000055AA"
+  ].forEach(line =>
+    assert.deepStrictEqual(parseFrame(line), { id: 0x137, data })
+  );
+  // extended identifiers
+  assert.strictEqual(parseFrame("can0 00000137#01000000").id, 0x137);
+  assert.throws(() => parseFrame("can0 137#010"), /invalid data 010/);
+});
+
+test("messages round trip through encodeMessage", () => {
+  const types = {
+    FLOAT: 2.5,
+    LONG: -100000,
+    ULONG: 4000000000,
+    SHORT: -90,
+    USHORT: 65000,
+    CHAR: -5,
+    UCHAR: 200
+  };
+  Object.keys(types).forEach(name => {
+    const data = encodeMessage(types[name], DATA_TYPES[name], 7, 300);
+    const message = parseMessage(data);
+    assert.deepStrictEqual(
+      [
+        message.nodeId,
+        message.dataType,
+        message.serviceCode,
+        message.messageCode
+      ],
+      [7, DATA_TYPES[name], 0, 300 & 0xff],
+      name
+    );
+    // the pitch has a scale of 1
+    assert.deepStrictEqual(
+      decodeFrame({ id: 311, data }),
+      { pitch: types[name], flags: { pitch: false } },
+      name
+    );
+  });
+});
+
+test("NODATA and ERROR frames flag their property", () => {
+  [DATA_TYPES.NODATA, DATA_TYPES.ERROR].forEach(dataType =>
+    assert.deepStrictEqual(
+      decodeFrame({ id: 315, data: encodeMessage(0, dataType) }),
+      { flags: { airspeed: true } }
+    )
+  );
+});
+
+test("rejects short frames and ignores unknown identifiers", () => {
+  assert.throws(
+    () => decodeFrame({ id: 311, data: Buffer.from([1, 2, 0]) }),
+    /frame has 3 bytes, expected at least 4/
+  );
+  assert.throws(
+    () => decodeFrame({ id: 311, data: Buffer.from([1, 2, 0, 0, 0x40]) }),
+    /missing data for 311/
+  );
+  assert.deepStrictEqual(decodeFrame({ id: 305, data: encodeMessage(3) }), {});
+});
+
+test("the bridge decodes a capture split across reads", () => {
+  const received = [];
+  const bridge = new CANaerospaceBridge({
+    send: properties => received.push(properties),
+    log: () => {}
+  });
+  const text = fixture("canaerospace.log").toString("latin1");
+  bridge.onText(text.slice(0, 25));
+  bridge.onText(text.slice(25));
+  assert.strictEqual(received.length, DECODED.length);
+  received.forEach((properties, i) =>
+    assertProperties(properties, DECODED[i], 0.001)
+  );
+});
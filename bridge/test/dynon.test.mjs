@@ -0,0 +1,136 @@
+import assert from "assert";
+import { test } from "node:test";
+import { DynonBridge } from "../dynon_bridge.mjs";
+import {
+  FIELDS,
+  checksum,
+  decodeSentence,
+  encodeSentence,
+  parseSentence
+} from "../protocols/dynon.mjs";
+import { assertProperties, fixture } from "./helpers.mjs";
+
+// the fields of the first sentence in dynon.txt
+const SENTENCE = {
+  time: "12114470",
+  pitch: 2.5,
+  roll: -15.2,
+  heading: 271,
+  airspeed: 95.3,
+  pressureAltitude: 3500,
+  turnRate: -3,
+  lateralAcceleration: 0.02,
+  verticalAcceleration: 1,
+  angleOfAttack: 40,
+  verticalSpeed: 350,
+  outsideAirTemperature: -5,
+  trueAirspeed: 101.2,
+  barometer: 30.12,
+  densityAltitude: 3200,
+  windDirection: 270,
+  windSpeed: 15
+};
+
+// what the bridge sends for dynon.txt, which also has an engine sentence that is ignored
+// and a sentence with a bad checksum
+const DECODED = [
+  {
+    pitch: 2.5,
+    roll: -15.2,
+    heading: 271,
+    airspeed: 95.3,
+    altitude: 3500,
+    seaLevelPressure: 29.92,
+    headingRate: -3,
+    altitudeRate: 350,
+    barometer: 30.12,
+    flags: {
+      pitch: false,
+      roll: false,
+      heading: false,
+      airspeed: false,
+      altitude: false,
+      headingRate: false,
+      altitudeRate: false,
+      barometer: false
+    }
+  },
+  {
+    pitch: 2.5,
+    roll: -15.2,
+    heading: 271,
+    headingRate: -3,
+    barometer: 30.12,
+    flags: {
+      pitch: false,
+      roll: false,
+      heading: false,
+      airspeed: true,
+      altitude: true,
+      headingRate: false,
+      altitudeRate: true,
+      barometer: false
+    }
+  },
+  { error: "Dynon: checksum 00 should be 6B" }
+];
+
+test("checksums are the low byte of the sum of the characters", () => {
+  assert.strictEqual(checksum("!1"), "52");
+  assert.strictEqual(checksum("\xff\x02"), "01");
+});
+
+test("sentences round trip through encodeSentence", () => {
+  const fields = parseSentence(encodeSentence(SENTENCE));
+  assert.deepStrictEqual(
+    Object.keys(fields),
+    FIELDS.map(field => field.name)
+  );
+  assertProperties(fields, SENTENCE, 1e-9);
+});
+
+test("fields filled with X are missing and flag their property", () => {
+  const fields = Object.assign({}, SENTENCE, { pitch: null, roll: null });
+  assert.strictEqual(parseSentence(encodeSentence(fields)).pitch, null);
+  const properties = decodeSentence(encodeSentence(fields));
+  assert.ok(!("pitch" in properties) && !("roll" in properties));
+  assert.strictEqual(properties.flags.pitch, true);
+  assert.strictEqual(properties.flags.roll, true);
+  // without a pressure altitude there is no sea level pressure to send
+  const noAltitude = Object.assign({}, SENTENCE, { pressureAltitude: null });
+  assert.ok(
+    !("seaLevelPressure" in decodeSentence(encodeSentence(noAltitude)))
+  );
+});
+
+test("rejects malformed sentences", () => {
+  const sentence = encodeSentence(SENTENCE);
+  assert.throws(() => parseSentence(sentence.slice(1)), /not an ADAHRS/);
+  assert.throws(
+    () => parseSentence(sentence.replace("\r\n", "0\r\n")),
+    /characters, expected/
+  );
+  const version = `!12${sentence.slice(3, -4)}`;
+  assert.throws(
+    () => parseSentence(version + checksum(version)),
+    /unsupported version 2/
+  );
+  const invalid = `${sentence.slice(0, 11)}+0A5${sentence.slice(15, -4)}`;
+  assert.throws(
+    () => parseSentence(invalid + checksum(invalid)),
+    /invalid pitch \+0A5/
+  );
+});
+
+test("the bridge decodes a capture split across reads", () => {
+  const received = [];
+  const bridge = new DynonBridge({
+    send: properties => received.push(properties),
+    log: () => {}
+  });
+  const text = fixture("dynon.txt").toString("latin1");
+  bridge.onText(text.slice(0, 30));
+  bridge.onText(text.slice(30));
+  assert.strictEqual(received.length, DECODED.length);
+  received.forEach((properties, i) => assertProperties(properties, DECODED[i]));
+});
@@ -0,0 +1,112 @@
+import assert from "assert";
+import { readFileSync } from "fs";
+import { test } from "node:test";
+import { FlightGearBridge } from "../flightgear_bridge.mjs";
+import {
+  parseLine,
+  parseProtocol,
+  splitLines
+} from "../protocols/flightgear.mjs";
+import {
+  assertProperties,
+  fixture,
+  sendDatagrams,
+  waitFor
+} from "./helpers.mjs";
+
+const SIXPACK = parseProtocol(
+  readFileSync(new URL("../protocols/sixpack.xml", import.meta.url), "utf8")
+);
+
+// the first line of flightgear.txt, which is output with sixpack.xml
+const FIRST_LINE = {
+  airspeed: 95.3,
+  altitude: 3296,
+  barometer: 30.12,
+  seaLevelPressure: 29.92,
+  pitch: 2.5,
+  roll: -15.2,
+  heading: 271.4,
+  headingRate: -3,
+  yaw: 0.4,
+  altitudeRate: 350,
+  rpm: 2350,
+  manifoldPressure: 22.5,
+  fuelFlow: 9.8,
+  egt: 1350,
+  cht: 380,
+  oilTemperature: 185,
+  oilPressure: 62.5,
+  latitude: 47.45,
+  longitude: -122.31
+};
+
+test("reads the chunks and separators of sixpack.xml", () => {
+  assert.strictEqual(SIXPACK.lineSeparator, "\n");
+  assert.strictEqual(SIXPACK.varSeparator, ",");
+  assert.deepStrictEqual(
+    SIXPACK.chunks.map(chunk => chunk.name),
+    Object.keys(FIRST_LINE)
+  );
+  SIXPACK.chunks.forEach(chunk => assert.strictEqual(chunk.type, "float"));
+});
+
+test("reads named and literal separators and ignores comments", () => {
+  const protocol = parseProtocol(`
+    <PropertyList><generic><output>
+      <line_separator>carriagereturn</line_separator>
+      <var_separator>||</var_separator>
+      <!-- <chunk><name>hidden</name></chunk> -->
+      <chunk><name>gearDown</name><type>bool</type></chunk>
+      <chunk><name>rpm</name></chunk>
+      <chunk><name></name><type>float</type></chunk>
+    </output></generic></PropertyList>`);
+  assert.strictEqual(protocol.lineSeparator, "\r");
+  assert.strictEqual(protocol.varSeparator, "||");
+  assert.deepStrictEqual(protocol.chunks, [
+    { name: "gearDown", type: "bool" },
+    { name: "rpm", type: "int" },
+    { name: "", type: "float" }
+  ]);
+  // unnamed chunks and values that are not numbers are skipped
+  assert.deepStrictEqual(parseLine("1||2350||7", protocol), {
+    gearDown: 1,
+    rpm: 2350
+  });
+  assert.deepStrictEqual(parseLine("0||nan", protocol), { gearDown: 0 });
+});
+
+test("splits complete lines and keeps the remainder", () => {
+  assert.deepStrictEqual(splitLines("1,2\n\n3,4\n5,", SIXPACK), {
+    lines: ["1,2", "3,4"],
+    remainder: "5,"
+  });
+  assert.deepStrictEqual(splitLines("1,2", SIXPACK), {
+    lines: [],
+    remainder: "1,2"
+  });
+});
+
+test("decodes lines sent over UDP, split across packets", async () => {
+  const received = [];
+  const bridge = new FlightGearBridge({
+    protocol: SIXPACK,
+    port: 0,
+    send: properties => received.push(properties),
+    log: () => {}
+  });
+  await bridge.start();
+  try {
+    const text = fixture("flightgear.txt");
+    await sendDatagrams(bridge.socket.address().port, [
+      text.subarray(0, 50),
+      text.subarray(50)
+    ]);
+    await waitFor(() => received.length === 2);
+    assertProperties(received[0], FIRST_LINE);
+    assert.strictEqual(received[1].altitude, 3301.2);
+    assert.strictEqual(bridge.remainder, "");
+  } finally {
+    bridge.stop();
+  }
+});
@@ -0,0 +1,130 @@
+import assert from "assert";
+import { test } from "node:test";
+import { GDL90Bridge } from "../gdl90_bridge.mjs";
+import { openInput } from "../inputs.mjs";
+import { GDL90Parser, crc16 } from "../protocols/gdl90.mjs";
+import {
+  assertProperties,
+  bindSocket,
+  fixture,
+  sendDatagrams,
+  waitFor
+} from "./helpers.mjs";
+
+// gdl90.bin is a heartbeat, an ownship report whose address has bytes that are stuffed,
+// Stratux AHRS, ForeFlight ID and AHRS, then the Stratux AHRS again with a bad CRC
+const DECODED = [
+  {
+    latitude: 47.45,
+    longitude: -122.31,
+    altitude: 3500,
+    seaLevelPressure: 29.92,
+    groundSpeed: 110,
+    groundTrack: 90
+  },
+  {
+    roll: -15.2,
+    pitch: 2.5,
+    heading: 271.4,
+    yaw: 0.4,
+    headingRate: -3,
+    airspeed: 95,
+    altitude: 3500,
+    seaLevelPressure: 29.92,
+    altitudeRate: 500
+  },
+  { roll: -15.2, pitch: 2.5, heading: 271.4, airspeed: 95 },
+  { error: "GDL90: message 0x4c failed its CRC" }
+];
+
+/**
+ * split a capture into its messages, from flag to flag, as a receiver sends them
+ * @param capture
+ * @returns {Buffer[]}
+ */
+const messages = capture => {
+  const result = [];
+  let start = 0;
+  for (let i = 1; i < capture.length; i += 1) {
+    if (capture[i] === 0x7e && capture[i - 1] === 0x7e) {
+      result.push(capture.subarray(start, i));
+      start = i;
+    }
+  }
+  result.push(capture.subarray(start));
+  return result;
+};
+
+/**
+ * a free local UDP port
+ * @returns {Promise<number>}
+ */
+async function freePort() {
+  const socket = await bindSocket();
+  const { port } = socket.address();
+  await new Promise(resolve => socket.close(resolve));
+  return port;
+}
+
+test("decodes a capture replayed over UDP", async () => {
+  const received = [];
+  const bridge = new GDL90Bridge({
+    send: properties => received.push(properties),
+    log: () => {}
+  });
+  const port = await freePort();
+  let listening = false;
+  const close = openInput(
+    `udp:${port}`,
+    data => bridge.push(data),
+    () => (listening = true)
+  );
+  try {
+    await waitFor(() => listening);
+    await sendDatagrams(port, messages(fixture("gdl90.bin")));
+    await waitFor(() => received.length === DECODED.length);
+    received.forEach((properties, i) =>
+      assertProperties(properties, DECODED[i], 0.0001)
+    );
+    assert.deepStrictEqual(bridge.parser.stats, {
+      messages: 5,
+      crcErrors: 1
+    });
+  } finally {
+    close();
+  }
+});
+
+test("unstuffs messages split anywhere, including after an escape", () => {
+  const capture = fixture("gdl90.bin");
+  const escape = capture.indexOf(0x7d);
+  assert.ok(escape > 0, "the capture has stuffed bytes");
+  const found = [];
+  const parser = new GDL90Parser({ onMessage: message => found.push(message) });
+  parser.push(capture.subarray(0, escape + 1));
+  parser.push(capture.subarray(escape + 1));
+  const ownship = found.find(message => message.id === 0x0a);
+  // the address is 7E 7D 01, sent as 7D 5E 7D 5D 01
+  assert.deepStrictEqual([...ownship.data.subarray(1, 4)], [0x7e, 0x7d, 0x01]);
+  assert.strictEqual(found.length, 5);
+});
+
+test("rejects messages that fail their CRC", () => {
+  const errors = [];
+  const parser = new GDL90Parser({
+    onMessage: () => assert.fail("the message should be rejected"),
+    onError: error => errors.push(error)
+  });
+  // a heartbeat with the last byte of its CRC changed
+  const body = Buffer.from([0x00, 0x81, 0x41, 0xdb, 0xd0, 0x08, 0x02]);
+  const crc = crc16(body);
+  parser.push(
+    Buffer.concat([
+      Buffer.from([0x7e]),
+      body,
+      Buffer.from([crc & 0xff, (crc >> 8) ^ 0x01, 0x7e])
+    ])
+  );
+  assert.deepStrictEqual(errors, ["message 0x0 failed its CRC"]);
+  assert.strictEqual(parser.stats.crcErrors, 1);
+});
@@ -0,0 +1,91 @@
+import assert from "assert";
+import dgram from "dgram";
+import { readFileSync } from "fs";
+
+/**
+ * Shared helpers for the bridge tests, which replay captured packets and messages from
+ * ./fixtures through local UDP sockets.
+ */
+
+/**
+ * the contents of a fixture
+ * @param name
+ * @returns {Buffer}
+ */
+export const fixture = name =>
+  readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+/**
+ * a UDP socket bound to a free local port
+ * @returns {Promise<dgram.Socket>}
+ */
+export function bindSocket() {
+  const socket = dgram.createSocket("udp4");
+  return new Promise(resolve =>
+    socket.bind(0, "127.0.0.1", () => resolve(socket))
+  );
+}
+
+/**
+ * send datagrams to a local port, one after the other
+ * @param port
+ * @param datagrams
+ * @returns {Promise}
+ */
+export async function sendDatagrams(port, datagrams) {
+  const socket = dgram.createSocket("udp4");
+  for (const datagram of datagrams) {
+    await new Promise((resolve, reject) =>
+      socket.send(datagram, port, "127.0.0.1", error =>
+        error ? reject(error) : resolve()
+      )
+    );
+  }
+  socket.close();
+}
+
+/**
+ * resolve once predicate returns true, checking every few milliseconds
+ * @param predicate
+ * @param timeout - milliseconds before giving up
+ * @returns {Promise}
+ */
+export function waitFor(predicate, timeout = 2000) {
+  const start = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (predicate()) {
+        resolve();
+      } else if (Date.now() - start > timeout) {
+        reject(new Error("timed out waiting for the bridge"));
+      } else {
+        setTimeout(check, 5);
+      }
+    };
+    check();
+  });
+}
+
+/**
+ * assert that each expected property is within tolerance of the actual one, so values
+ * that went through 32 bit floats can be compared
+ * @param actual
+ * @param expected
+ * @param tolerance
+ */
+export function assertProperties(actual, expected, tolerance = 0.001) {
+  assert.deepStrictEqual(
+    Object.keys(actual).sort(),
+    Object.keys(expected).sort()
+  );
+  Object.keys(expected).forEach(key => {
+    if (typeof expected[key] === "number") {
+      assert.ok(
+        Math.abs(actual[key] - expected[key]) <= tolerance,
+        `${key} is ${actual[key]}, expected ${expected[key]}`
+      );
+    } else {
+      assert.deepStrictEqual(actual[key], expected[key], key);
+    }
+  });
+}
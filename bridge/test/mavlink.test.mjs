@@ -0,0 +1,144 @@
+import assert from "assert";
+import { createHash } from "crypto";
+import { test } from "node:test";
+import { MAVLinkBridge } from "../mavlink_bridge.mjs";
+import {
+  MESSAGES,
+  MAVLinkParser,
+  encodeFrame,
+  parseTlog,
+  x25
+} from "../protocols/mavlink.mjs";
+import { assertProperties, fixture } from "./helpers.mjs";
+
+// the key flight.tlog is signed with
+const KEY = createHash("sha256")
+  .update("sixpack")
+  .digest();
+
+// the fields of each decoded message in wire order, from the MAVLink common and ardupilotmega
+// definitions, which the crc extra of each message is calculated from
+const DEFINITIONS = {
+  ATTITUDE:
+    "uint32_t time_boot_ms float roll float pitch float yaw float rollspeed float pitchspeed float yawspeed",
+  VFR_HUD:
+    "float airspeed float groundspeed float alt float climb int16_t heading uint16_t throttle",
+  GLOBAL_POSITION_INT:
+    "uint32_t time_boot_ms int32_t lat int32_t lon int32_t alt int32_t relative_alt int16_t vx int16_t vy int16_t vz uint16_t hdg",
+  SCALED_PRESSURE:
+    "uint32_t time_boot_ms float press_abs float press_diff int16_t temperature",
+  RPM: "float rpm1 float rpm2"
+};
+
+// what the bridge sends for the records in flight.tlog
+const DECODED = [
+  {
+    roll: 11.4592,
+    pitch: 2.8648,
+    trueHeading: 85.9437,
+    rollRate: 0.573,
+    pitchRate: -1.1459,
+    headingRate: 0
+  },
+  {
+    airspeed: 77.7538,
+    groundSpeed: 81.6415,
+    altitude: 1149.9344,
+    altitudeRate: 492.126,
+    trueHeading: 86
+  },
+  {
+    latitude: 47.45,
+    longitude: -122.31,
+    groundSpeed: 82.4703,
+    groundTrack: 45
+  },
+  { altitude: 1144.4513, seaLevelPressure: 29.92, airspeed: 77.6201 },
+  { rpm: 5200 },
+  { error: "MAVLink: RPM has an invalid signature" },
+  { error: "MAVLink: ATTITUDE failed its checksum" }
+];
+
+test("x25 is CRC-16/MCRF4XX", () => {
+  assert.strictEqual(x25(Buffer.from("123456789")), 0x6f91);
+  assert.strictEqual(
+    x25(Buffer.from("56789"), x25(Buffer.from("1234"))),
+    0x6f91
+  );
+});
+
+test("crc extras match the message definitions", () => {
+  Object.values(MESSAGES).forEach(({ name, crcExtra }) => {
+    const crc = x25(Buffer.from(`${name} ${DEFINITIONS[name]} `, "latin1"));
+    assert.strictEqual(crcExtra, (crc & 0xff) ^ (crc >> 8), name);
+  });
+});
+
+test("parseTlog splits records and skips MAVLink v1 frames", () => {
+  const records = parseTlog(fixture("flight.tlog"));
+  assert.deepStrictEqual(
+    records.map(record => record.t),
+    [0, 100, 200, 300, 400, 450, 500]
+  );
+  records.forEach(({ data }) => assert.strictEqual(data[0], 0xfd));
+});
+
+test("decodes a tlog, rejecting bad checksums and signatures", () => {
+  const received = [];
+  const bridge = new MAVLinkBridge({
+    key: KEY,
+    send: properties => received.push(properties),
+    log: () => {}
+  });
+  parseTlog(fixture("flight.tlog")).forEach(({ data }) => bridge.push(data));
+  assert.strictEqual(received.length, DECODED.length);
+  received.forEach((properties, i) => assertProperties(properties, DECODED[i]));
+  assert.deepStrictEqual(bridge.parser.stats, {
+    frames: 5,
+    crcErrors: 1,
+    signatureErrors: 1
+  });
+});
+
+test("signatures are only checked with a key", () => {
+  const frames = [];
+  const parser = new MAVLinkParser({ onFrame: frame => frames.push(frame) });
+  parseTlog(fixture("flight.tlog")).forEach(({ data }) => parser.push(data));
+  const signed = frames.filter(frame => frame.signed);
+  assert.deepStrictEqual(
+    signed.map(({ linkId, timestamp }) => [linkId, timestamp]),
+    [
+      [1, 123456789],
+      [1, 123456790]
+    ]
+  );
+  assert.strictEqual(parser.stats.signatureErrors, 0);
+});
+
+test("restores the trailing zeros removed from payloads", () => {
+  const payload = Buffer.alloc(MESSAGES[74].length);
+  payload.writeFloatLE(40, 0);
+  const frame = encodeFrame({ msgid: 74, payload });
+  // only the airspeed is sent
+  assert.strictEqual(frame[1], 4);
+  const frames = [];
+  new MAVLinkParser({ onFrame: f => frames.push(f) }).push(frame);
+  assert.strictEqual(frames.length, 1);
+  assert.deepStrictEqual(frames[0].payload, payload);
+});
+
+test("finds frames split across reads and after noise", () => {
+  const data = Buffer.concat([
+    Buffer.from([0x00, 0xfd, 0x42]),
+    fixture("flight.tlog").subarray(8, 44)
+  ]);
+  const frames = [];
+  const parser = new MAVLinkParser({ onFrame: f => frames.push(f) });
+  parser.push(data.subarray(0, 20));
+  assert.strictEqual(frames.length, 0);
+  parser.push(data.subarray(20));
+  assert.deepStrictEqual(
+    frames.map(frame => frame.name),
+    ["ATTITUDE"]
+  );
+});
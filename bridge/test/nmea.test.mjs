@@ -0,0 +1,89 @@
+import assert from "assert";
+import { test } from "node:test";
+import { NMEABridge } from "../nmea_bridge.mjs";
+import {
+  checksum,
+  coordinate,
+  decodeSentence,
+  parseSentence
+} from "../protocols/nmea.mjs";
+import { assertProperties, fixture } from "./helpers.mjs";
+
+// what the bridge sends for the lines of nmea.txt. Invalid fixes and other sentence types
+// send nothing, the last two lines have a bad and a missing checksum
+const DECODED = [
+  { latitude: 47.45, longitude: -122.31, groundSpeed: 110, groundTrack: 90 },
+  { latitude: 47.45, longitude: -122.31, altitude: 3500 },
+  { groundTrack: 90, groundSpeed: 110 },
+  { heading: 1.5 },
+  { heading: 271.4 },
+  { trueHeading: 274.1 },
+  { pitch: 2.5, roll: -15.2 },
+  { error: "NMEA: checksum 00 should be 35: $GPHDT,274.1,T*00" },
+  { error: "NMEA: missing checksum: $HEHDT,274.1,T" }
+];
+
+test("checksums are the xor of the characters between $ and *", () => {
+  assert.strictEqual(checksum("HEHDT,274.1,T"), "2F");
+  assert.strictEqual(checksum(""), "00");
+  const { talker, type, fields } = parseSentence("$HEHDT,274.1,T*2F\r\n");
+  assert.deepStrictEqual([talker, type, fields], ["HE", "HDT", ["274.1", "T"]]);
+  // the checksum may be lower case
+  assert.strictEqual(parseSentence("$HEHDT,274.1,T*2f").type, "HDT");
+});
+
+test("sentences need a checksum unless one may be missing", () => {
+  assert.throws(() => parseSentence("$HEHDT,274.1,T"), /missing checksum/);
+  assert.deepStrictEqual(decodeSentence("$HEHDT,274.1,T", true), {
+    trueHeading: 274.1
+  });
+  assert.throws(() => parseSentence("$HEHDT,274.1,T*2E"), /should be 2F/);
+  assert.throws(() => parseSentence("HEHDT,274.1,T*2F"), /not a sentence/);
+  assert.throws(() => parseSentence("$HDT,274.1", true), /invalid address/);
+});
+
+test("proprietary sentences have no talker", () => {
+  const body = "PGRME,15.0,M,45.0,M,25.0,M";
+  const { talker, type } = parseSentence(`$${body}*${checksum(body)}`);
+  assert.deepStrictEqual([talker, type], ["P", "GRME"]);
+});
+
+test("coordinates are degrees and decimal minutes", () => {
+  assert.strictEqual(coordinate("4727.000", "N"), 47.45);
+  assert.strictEqual(coordinate("12218.600", "W"), -122.31);
+  assert.strictEqual(coordinate("", ""), undefined);
+  assert.throws(() => coordinate("4727.000", "X"), /invalid coordinate/);
+  assert.throws(() => coordinate("47.27", "N"), /invalid coordinate/);
+});
+
+test("HDG headings are corrected for deviation and kept within 0 .. 360", () => {
+  const sentence = body => `$${body}*${checksum(body)}`;
+  assert.deepStrictEqual(decodeSentence(sentence("HCHDG,1.5,3.0,W,,")), {
+    heading: 358.5
+  });
+  assert.deepStrictEqual(decodeSentence(sentence("HCHDG,90.0,,,,")), {
+    heading: 90
+  });
+  assert.deepStrictEqual(decodeSentence(sentence("HCHDG,,,,,")), {});
+});
+
+test("XDR needs whole groups of four fields", () => {
+  const body = "IIXDR,A,2.5,D";
+  assert.throws(
+    () => decodeSentence(`$${body}*${checksum(body)}`),
+    /expected groups of 4/
+  );
+});
+
+test("the bridge decodes a capture split across reads", () => {
+  const received = [];
+  const bridge = new NMEABridge({
+    send: properties => received.push(properties),
+    log: () => {}
+  });
+  const text = fixture("nmea.txt").toString("latin1");
+  bridge.onText(text.slice(0, 100));
+  bridge.onText(text.slice(100));
+  assert.strictEqual(received.length, DECODED.length);
+  received.forEach((properties, i) => assertProperties(properties, DECODED[i]));
+});
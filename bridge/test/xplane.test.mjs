@@ -0,0 +1,116 @@
+import assert from "assert";
+import { test } from "node:test";
+import { XPlaneBridge } from "../xplane_bridge.mjs";
+import { DATAREFS } from "../protocols/xplane.mjs";
+import { assertProperties, bindSocket, fixture, waitFor } from "./helpers.mjs";
+
+// the properties in xplane_rref.bin, which also has a value for an unknown index
+const RREF_PROPERTIES = {
+  airspeed: 95.3,
+  altitude: 3480.5,
+  barometer: 30.12,
+  seaLevelPressure: 29.92,
+  pitch: 2.5,
+  roll: -15.2,
+  heading: 271.4,
+  headingRate: -3,
+  yaw: 0.4,
+  altitudeRate: 350,
+  rpm: 2350,
+  latitude: 47.45,
+  longitude: -122.31
+};
+
+// the properties in xplane_data.bin, which also has an unknown group and -999 values. The
+// indicated altitude of 3480.5 ft with 30.12 is a pressure altitude of 3296.0 ft
+const DATA_PROPERTIES = {
+  airspeed: 95.3,
+  altitudeRate: 350,
+  barometer: 30.12,
+  seaLevelPressure: 29.92,
+  headingRate: (-0.0524 * 180) / Math.PI,
+  pitch: 2.5,
+  roll: -15.2,
+  heading: 271.4,
+  yaw: 0.4,
+  latitude: 47.45,
+  longitude: -122.31,
+  altitude: 3296.0235,
+  rpm: 2350
+};
+
+/**
+ * start a bridge and a fake X-Plane that answers its first subscription with the packets
+ * @param packets
+ * @returns {Promise<{bridge: XPlaneBridge, xplane: dgram.Socket, requests: Buffer[], received: object[]}>}
+ */
+async function replay(packets) {
+  const xplane = await bindSocket();
+  const requests = [];
+  const received = [];
+  xplane.on("message", (request, from) => {
+    requests.push(request);
+    if (requests.length === DATAREFS.length) {
+      packets.forEach(packet => xplane.send(packet, from.port, from.address));
+    }
+  });
+  const bridge = new XPlaneBridge({
+    xplanePort: xplane.address().port,
+    port: 0,
+    send: properties => received.push(properties),
+    log: () => {}
+  });
+  await bridge.start();
+  return { bridge, xplane, requests, received };
+}
+
+test("subscribes to every dataref and decodes RREF packets", async () => {
+  const { bridge, xplane, requests, received } = await replay([
+    fixture("xplane_rref.bin")
+  ]);
+  try {
+    await waitFor(() => received.length === 1);
+    requests.forEach((request, i) => {
+      assert.strictEqual(request.toString("latin1", 0, 4), "RREF");
+      const index = request.readInt32LE(9);
+      assert.strictEqual(
+        request.toString("latin1", 13).replace(/\0+$/, ""),
+        DATAREFS[index].dataref
+      );
+      assert.strictEqual(request.readInt32LE(5), 20);
+      assert.strictEqual(index, i);
+    });
+    assertProperties(received[0], RREF_PROPERTIES);
+  } finally {
+    bridge.stop();
+    xplane.close();
+  }
+});
+
+test("decodes DATA packets and ignores unavailable values", async () => {
+  const { bridge, xplane, received } = await replay([
+    fixture("xplane_data.bin")
+  ]);
+  try {
+    await waitFor(() => received.length === 1);
+    assertProperties(received[0], DATA_PROPERTIES);
+  } finally {
+    bridge.stop();
+    xplane.close();
+  }
+});
+
+test("ignores packets of other types", async () => {
+  const other = Buffer.from("BECN\0 beacon packet", "latin1");
+  const { bridge, xplane, received } = await replay([
+    other,
+    fixture("xplane_rref.bin")
+  ]);
+  try {
+    await waitFor(() => received.length === 1);
+    assertProperties(received[0], RREF_PROPERTIES);
+  } finally {
+    bridge.stop();
+    xplane.close();
+  }
+});
@@ -0,0 +1,148 @@
+import dgram from "dgram";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import BroadcastServer from "./broadcast_server.mjs";
+import {
+  DATAREFS,
+  DATA_GROUPS,
+  encodeRREFRequest,
+  decodePacket
+} from "./protocols/xplane.mjs";
+
+/**
+ * Forwards X-Plane to the panel. The bridge subscribes to the datarefs in DATAREFS with RREF
+ * requests and, if X-Plane is set to send Data Output to the bridge port, also decodes DATA
+ * packets. Subscriptions are renewed whenever X-Plane goes quiet, so X-Plane can be started
+ * or restarted while the bridge is running.
+ *
+ *   node bridge/xplane_bridge.mjs [--host 127.0.0.1] [--xplane-port 49000] [--port 49003]
+ *     [--frequency 20] [--ws-port 8181]
+ *
+ * then open the panel with ?source=ws://localhost:8181
+ */
+export class XPlaneBridge {
+  /**
+   * requires a send function, which receives objects of airplane properties
+   * @param options
+   */
+  constructor(options) {
+    Object.assign(
+      this,
+      {
+        // where X-Plane is listening for requests
+        host: "127.0.0.1",
+        xplanePort: 49000,
+        // the port we receive on, also the one to enter on the X-Plane Data Output screen
+        port: 49003,
+        // RREF updates per second
+        frequency: 20,
+        datarefs: DATAREFS,
+        groups: DATA_GROUPS,
+        // milliseconds without a packet before subscribing again
+        resubscribeAfter: 3000,
+        send: () => {},
+        log: console.log
+      },
+      options
+    );
+    this.socket = null;
+    this.timer = null;
+    this.lastPacket = 0;
+  }
+
+  /**
+   * bind the port and subscribe
+   * @returns {Promise}
+   */
+  start() {
+    this.socket = dgram.createSocket("udp4");
+    this.socket.on("message", buffer => this.onPacket(buffer));
+    this.socket.on("error", error => this.log(`udp error: ${error.message}`));
+    return new Promise(resolve => {
+      this.socket.bind(this.port, () => {
+        this.log(`listening for X-Plane on udp port ${this.port}`);
+        this.subscribe(this.frequency);
+        this.timer = setInterval(() => {
+          if (Date.now() - this.lastPacket > this.resubscribeAfter) {
+            this.subscribe(this.frequency);
+          }
+        }, this.resubscribeAfter);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * unsubscribe and close the port
+   */
+  stop() {
+    clearInterval(this.timer);
+    if (this.socket) {
+      this.subscribe(0);
+      const socket = this.socket;
+      this.socket = null;
+      // let the unsubscribe requests go before closing
+      setImmediate(() => socket.close());
+    }
+  }
+
+  /**
+   * send an RREF request for every dataref, a frequency of zero unsubscribes
+   * @param frequency
+   */
+  subscribe(frequency) {
+    this.datarefs.forEach(({ dataref }, index) => {
+      this.socket.send(
+        encodeRREFRequest(index, frequency, dataref),
+        this.xplanePort,
+        this.host
+      );
+    });
+  }
+
+  /**
+   * decode a packet and send any airplane properties it contains
+   * @param buffer
+   */
+  onPacket(buffer) {
+    this.lastPacket = Date.now();
+    const properties = decodePacket(buffer, this.datarefs, this.groups);
+    if (Object.keys(properties).length) {
+      this.send(properties);
+    }
+  }
+}
+
+/**
+ * run the bridge from the command line until interrupted
+ * @param argv
+ */
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      host: { type: "string", default: "127.0.0.1" },
+      "xplane-port": { type: "string", default: "49000" },
+      port: { type: "string", default: "49003" },
+      frequency: { type: "string", default: "20" },
+      "ws-port": { type: "string", default: "8181" }
+    }
+  });
+  const server = new BroadcastServer({ port: Number(values["ws-port"]) });
+  const bridge = new XPlaneBridge({
+    host: values.host,
+    xplanePort: Number(values["xplane-port"]),
+    port: Number(values.port),
+    frequency: Number(values.frequency),
+    send: properties => server.broadcast(properties)
+  });
+  bridge.start();
+  process.on("SIGINT", () => {
+    bridge.stop();
+    server.close().then(() => process.exit(0));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
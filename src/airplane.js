@@ -1,93 +1,329 @@
 import Disposable from "./disposable";
-import { lerp } from "./utils/math";
-import { STANDARD_BAROMETER } from "./utils/conversions";
+import { clock } from "./utils/clock";
+import { interval } from "./utils/time";
+import { eased, firstOrderLag } from "./utils/response";
+import { STANDARD_BAROMETER, celsiusToFahrenheit } from "./utils/conversions";
+import {
+  pressureAtAltitude,
+  temperatureAtAltitude,
+  airDensity
+} from "./utils/atmosphere";
+import {
+  calibratedAirspeed,
+  trueAirspeed,
+  machNumber,
+  pressureAltitude,
+  densityAltitude
+} from "./utils/air_data";
+import { calmWind, windTriangle, windFromGround } from "./utils/wind";
+import {
+  magneticField,
+  magneticToTrue,
+  trueToMagnetic
+} from "./utils/magnetic";
+import { D2R, R2D } from "./geometry/angle";
+import {
+  DEFAULT_PROFILE,
+  PROFILE_PROPERTIES,
+  profileProperties
+} from "./profiles";
+
+// acceleration due to gravity in knots per second
+const G = 19.0621;
+
+// the turn coordinator gyro is canted ~30 degrees so it senses roll rate as well as turn rate
+const TURN_COORDINATOR_ROLL_SENSITIVITY = Math.tan(D2R(30));
+
+// milliseconds of history used when deriving rates from the altitude and roll
+const RATE_WINDOW = 1000;
+
+// tach time runs at the same rate as real time at this fraction of red line RPM, a typical cruise
+const TACH_REFERENCE = 0.9;
+
+// milliseconds of simulated time between additions to the tach and hobbs time
+const HOURS_INTERVAL = 1000;
+
+// nautical miles per degree of latitude
+const NM_PER_DEGREE = 60;
+
+// properties that emit a named event, with new and old values, when they change
+const OBSERVED_PROPERTIES = [
+  "airspeed",
+  "airspeedRate",
+  "altitude",
+  "altitudeRate",
+  "staticPressure",
+  "barometer",
+  "seaLevelPressure",
+  "isaDeviation",
+  "outsideAirTemperature",
+  "airDensity",
+  "calibratedAirspeed",
+  "trueAirspeed",
+  "mach",
+  "pressureAltitude",
+  "densityAltitude",
+  "heading",
+  "trueHeading",
+  "magneticTrack",
+  "magneticVariation",
+  "magneticDip",
+  "headingRate",
+  "pitch",
+  "pitchRate",
+  "roll",
+  "rollRate",
+  "yaw",
+  "yawRate",
+  "windDirection",
+  "windSpeed",
+  "groundTrack",
+  "groundSpeed",
+  "driftAngle",
+  "headwind",
+  "crosswind",
+  "latitude",
+  "longitude",
+  "turnCoordinatorRate",
+  "derivedRates",
+  "measuredGround",
+  "flags",
+  "rpm",
+  "manifoldPressure",
+  "fuelFlow",
+  "enginePower",
+  "egt",
+  "cht",
+  "oilTemperature",
+  "oilPressure",
+  "tachHours",
+  "hobbsHours",
+  "profile"
+].concat(PROFILE_PROPERTIES);
+
+// properties saved by toJSON. Values derived from these, such as the static pressure, are not saved
+const SAVED_PROPERTIES = [
+  "airspeed",
+  "airspeedRate",
+  "altitude",
+  "altitudeRate",
+  "barometer",
+  "seaLevelPressure",
+  "isaDeviation",
+  "heading",
+  "headingRate",
+  "pitch",
+  "pitchRate",
+  "roll",
+  "rollRate",
+  "yaw",
+  "yawRate",
+  "latitude",
+  "longitude",
+  "derivedRates",
+  "rpm",
+  "tachHours",
+  "hobbsHours"
+];
+
+/**
+ * the default response model for each animated property, see ./utils/response. These are the
+ * original fixed time lerps except for vertical speed which has the typical lag of a VSI.
+ * @returns {object}
+ */
+const defaultResponses = () => ({
+  airspeed: eased(1000),
+  rpm: eased(1000),
+  altitude: eased(4000),
+  altitudeRate: firstOrderLag(3000),
+  barometer: eased(4000),
+  heading: eased(3000),
+  headingRate: eased(3000),
+  roll: eased(3000),
+  rollRate: eased(3000),
+  pitch: eased(3000),
+  yaw: eased(3000)
+});
 
 export default class Airplane extends Disposable {
-  constructor() {
+  /**
+   * any of the defaults below can be overridden with options e.g. { derivedRates: true }.
+   * V speeds, engine limits and display ranges come from the profile option, see ./profiles
+   * The responses option replaces the response model of individual properties
+   * e.g. { responses: { airspeed: immediate(), altitudeRate: firstOrderLag(3000) } }
+   * @param options
+   */
+  constructor(options = {}) {
     super();
     // default configuration for an airplane, Similar to a Cessna 172
-    Object.assign(this, {
-      // V speeds KIAS
-      VS0: 40,
-      VS1: 50,
-      VR: 55,
-      VLOF: 60,
-      VFE: 85,
-      VA: 95,
-      VNO: 130,
-      VNE: 157,
-
-      // maximum airspeed that is displayed on the analog airspeed gauge
-      MAX_DISPLAYED_SPEED: 200,
-
-      // maximum altitude in ft
-      SERVICE_CEILING: 17000,
-
-      // speed in KIAS
-      airspeed: 0,
-      // rate of change of airspeed in knots per second, + or -
-      airspeedRate: 0,
-      // altitude in feet
-      altitude: 0,
-      // vertical speed in feet per minute
-      altitudeRate: 0,
-      // static pressure as measured at the static port
-      staticPressure: STANDARD_BAROMETER,
-      // barometric pressure at sea level (QNH) ( inches of mercury )
-      barometer: STANDARD_BAROMETER,
-      // magnetic heading
-      heading: 0,
-      // rate of heading change in degrees per seconds, + or -
-      headingRate: 0,
-      // pitch, degrees
-      pitch: 0,
-      // rate of pitch change in degrees per seconds, + or -
-      pitchRate: 0,
-      // roll, degrees
-      roll: 0,
-      // rate of roll change in degrees per seconds, + or -
-      rollRate: 0,
-      // yaw degrees
-      yaw: 0,
-      // rate of yaw change in degrees per seconds, + or -
-      yawRate: 0,
-
-      // idle speed of engine
-      idle: 1000,
-      // max RPM
-      redLine: 2700,
-      // lower end of green range
-      greenMin: 2000,
-      // current RPM
-      rpm: 0,
-
-      // change listeners
-      listeners: [],
-
-      // lerps for different properties
-      lerps: {}
-    });
+    const profile = options.profile || DEFAULT_PROFILE;
+    Object.assign(
+      this,
+      {
+        // speed in KIAS
+        airspeed: 0,
+        // rate of change of airspeed in knots per second, + or -
+        airspeedRate: 0,
+        // altitude in feet
+        altitude: 0,
+        // vertical speed in feet per minute
+        altitudeRate: 0,
+        // static pressure as measured at the static port
+        staticPressure: STANDARD_BAROMETER,
+        // barometric pressure at sea level (QNH) ( inches of mercury ) set in the kollsman window
+        barometer: STANDARD_BAROMETER,
+        // actual pressure at sea level for the day ( inches of mercury )
+        seaLevelPressure: STANDARD_BAROMETER,
+        // deviation of the days temperature from ISA in degrees celsius
+        isaDeviation: 0,
+        // outside air temperature, celsius
+        outsideAirTemperature: temperatureAtAltitude(0),
+        // density of the air at the current altitude, kg per cubic meter
+        airDensity: airDensity(STANDARD_BAROMETER, temperatureAtAltitude(0)),
+        // magnetic heading, see also trueHeading
+        heading: 0,
+        // magnetic variation ( east positive ) and dip in degrees at the current position
+        // and date, from the world magnetic model
+        magneticVariation: 0,
+        magneticDip: 0,
+        // date used by the world magnetic model
+        date: new Date(),
+        // rate of heading change in degrees per seconds, + or -
+        headingRate: 0,
+        // pitch, degrees
+        pitch: 0,
+        // rate of pitch change in degrees per seconds, + or -
+        pitchRate: 0,
+        // roll, degrees
+        roll: 0,
+        // rate of roll change in degrees per seconds, + or -
+        rollRate: 0,
+        // yaw degrees
+        yaw: 0,
+        // rate of yaw change in degrees per seconds, + or -
+        yawRate: 0,
+        // input to the turn coordinator, turn rate plus a fraction of the roll rate
+        turnCoordinatorRate: 0,
+
+        // wind model, see ./utils/wind
+        wind: calmWind(),
+        // the wind at the current altitude and time, direction is where it blows from ( true )
+        windDirection: 0,
+        windSpeed: 0,
+        // true track and speed over the ground in knots, see also magneticTrack
+        groundTrack: 0,
+        groundSpeed: 0,
+        // degrees between heading and track, positive when the track is right of the heading
+        driftAngle: 0,
+        // wind components in knots, headwind is negative for a tailwind and
+        // crosswind is positive from the right
+        headwind: 0,
+        crosswind: 0,
+        // position in decimal degrees, north and east are positive
+        latitude: 0,
+        longitude: 0,
+        // seconds of simulated time, see advance
+        time: 0,
 
-    // cancel all lerps when disposed
+        // when true headingRate, rollRate and altitudeRate are derived from the bank angle,
+        // airspeed and the history of roll and altitude rather than being set directly
+        derivedRates: false,
+        // recent { time, altitude, roll } samples used to derive rates
+        rateHistory: [],
+        // when true groundTrack and groundSpeed are measured e.g. by a GPS and set directly,
+        // and the wind is derived from them rather than the other way round
+        measuredGround: false,
+        // properties flagged as failed, e.g. by a data source reporting a sensor failure.
+        // Instruments showing a flagged property display an OFF flag, see setFlags
+        flags: {},
+
+        // current RPM
+        rpm: 0,
+        // engine instruments, normally driven by ./simulation/engine. Manifold pressure is
+        // inches of mercury, fuel flow gallons per hour, power a fraction of rated power,
+        // temperatures fahrenheit and oil pressure psi
+        manifoldPressure: STANDARD_BAROMETER,
+        fuelFlow: 0,
+        enginePower: 0,
+        egt: celsiusToFahrenheit(temperatureAtAltitude(0)),
+        cht: celsiusToFahrenheit(temperatureAtAltitude(0)),
+        oilTemperature: celsiusToFahrenheit(temperatureAtAltitude(0)),
+        oilPressure: 0,
+        // engine time in hours, tach time is weighted by RPM and hobbs time is the real time
+        // the engine has been running
+        tachHours: 0,
+        hobbsHours: 0,
+        // when false the engine time is not added to while the engine runs, e.g. when a
+        // recording that has its own engine time is replayed
+        accrueHours: true,
+
+        // change listeners
+        listeners: [],
+
+        // lerps for different properties
+        lerps: {}
+      },
+      profileProperties(profile),
+      options,
+      { profile }
+    );
+    this.responses = Object.assign(defaultResponses(), options.responses);
+    this.updateAtmosphere();
+    this.updateMagnetic();
+    // the last values sent for each observed property
+    this.emittedValues = {};
+    OBSERVED_PROPERTIES.forEach(key => (this.emittedValues[key] = this[key]));
+    // nesting depth of batch calls and whether anything changed inside the batch
+    this.batchDepth = 0;
+    this.batchChanged = false;
+    // render callback that will notify listeners of the changes in this frame
+    this.changeRequest = 0;
+
+    // cancel all lerps and any pending notification when disposed
     this.addDisposable(() => {
       Object.values(this.lerps).forEach(f => f());
       this.lerps = {};
+      if (this.changeRequest) {
+        clock.cancelRender(this.changeRequest);
+        this.changeRequest = 0;
+      }
     });
   }
 
+  /**
+   * replace the response model used when the given property is set
+   * @param key - property name e.g. "altitudeRate"
+   * @param model - see ./utils/response
+   */
+  setResponse(key, model) {
+    this.responses[key] = model;
+  }
+
+  /**
+   * move a property towards a new value using its response model
+   * @param key
+   * @param to
+   */
+  animate(key, to) {
+    const model = this.responses[key];
+    console.assert(model, `no response model for ${key}`);
+    this.cancelLerp(key);
+    this.addLerp(
+      key,
+      model(this[key], to, value => {
+        this[key] = value;
+        this.changed();
+      })
+    );
+  }
+
   /**
    * set the airspeed
    * @param kias
    */
   setAirspeed(kias) {
     if (kias !== this.airspeed) {
-      this.addLerp(
-        "airspeed",
-        lerp(this.airspeed, kias, 1000, speed => {
-          this.airspeed = speed;
-          this.callListeners();
-        })
-      );
+      this.animate("airspeed", kias);
     }
   }
 
@@ -97,13 +333,7 @@ export default class Airplane extends Disposable {
    */
   setRPM(rpm) {
     if (rpm !== this.rpm) {
-      this.addLerp(
-        "rpm",
-        lerp(this.rpm, rpm, 1000, rpm => {
-          this.rpm = rpm;
-          this.callListeners();
-        })
-      );
+      this.animate("rpm", rpm);
     }
   }
 
@@ -113,29 +343,17 @@ export default class Airplane extends Disposable {
    */
   setAltitude(feet) {
     if (feet !== this.altitude) {
-      this.addLerp(
-        "altitude",
-        lerp(this.altitude, feet, 4000, altitude => {
-          this.altitude = altitude;
-          this.callListeners();
-        })
-      );
+      this.animate("altitude", feet);
     }
   }
 
   /**
-   * set the altitude
+   * set the vertical speed
    * @param verticalSpeed
    */
   setAltitudeRate(verticalSpeed) {
     if (verticalSpeed !== this.altitudeRate) {
-      this.addLerp(
-        "altitude-rate",
-        lerp(this.altitudeRate, verticalSpeed, 4000, rate => {
-          this.altitudeRate = rate;
-          this.callListeners();
-        })
-      );
+      this.animate("altitudeRate", verticalSpeed);
     }
   }
 
@@ -146,33 +364,418 @@ export default class Airplane extends Disposable {
   setBarometer(inchesOfMercury, immediate = false) {
     if (immediate) {
       this.barometer = inchesOfMercury;
-      this.callListeners();
+      this.changed();
     } else {
       if (inchesOfMercury !== this.barometer) {
+        this.animate("barometer", inchesOfMercury);
+      }
+    }
+  }
+
+  /**
+   * load an aircraft profile, replacing the V speeds, engine limits and display ranges.
+   * Instruments regenerate their dials when they receive the "profile" event.
+   * @param profile
+   */
+  loadProfile(profile) {
+    Object.assign(this, profileProperties(profile), { profile });
+    this.changed();
+  }
+
+  /**
+   * set the actual sea level pressure of the day. This is not the kollsman window
+   * setting, see setBarometer for that.
+   * @param inchesOfMercury
+   */
+  setSeaLevelPressure(inchesOfMercury) {
+    this.seaLevelPressure = inchesOfMercury;
+    this.changed();
+  }
+
+  /**
+   * set the temperature deviation from ISA for the day
+   * @param celsius
+   */
+  setIsaDeviation(celsius) {
+    this.isaDeviation = celsius;
+    this.changed();
+  }
+
+  /**
+   * set the rate of heading change. Ignored when rates are derived.
+   * @param degreesPerSecond
+   */
+  setHeadingRate(degreesPerSecond) {
+    if (!this.derivedRates && degreesPerSecond !== this.headingRate) {
+      this.animate("headingRate", degreesPerSecond);
+    }
+  }
+
+  /**
+   * set the wind model
+   * @param model - see ./utils/wind e.g. constantWind(270, 15)
+   */
+  setWind(model) {
+    this.wind = model;
+    this.changed();
+  }
+
+  /**
+   * advance simulated time, moving the airplane along its ground track and updating
+   * any wind that varies with time. Called by whatever is flying the airplane.
+   * @param seconds
+   */
+  advance(seconds) {
+    this.updateWind();
+    this.time += seconds;
+    const nm = (this.groundSpeed * seconds) / 3600;
+    const track = D2R(this.groundTrack);
+    this.latitude = Math.max(
+      -90,
+      Math.min(90, this.latitude + (nm * Math.cos(track)) / NM_PER_DEGREE)
+    );
+    // a degree of longitude gets shorter towards the poles
+    const parallel = Math.max(0.01, Math.cos(D2R(this.latitude)));
+    let longitude =
+      this.longitude + (nm * Math.sin(track)) / (NM_PER_DEGREE * parallel);
+    if (longitude > 180) {
+      longitude -= 360;
+    } else if (longitude < -180) {
+      longitude += 360;
+    }
+    this.longitude = longitude;
+    this.changed();
+  }
+
+  /**
+   * enable or disable deriving heading rate, roll rate and altitude rate from
+   * the rest of the airplanes state
+   * @param enabled
+   */
+  setDerivedRates(enabled) {
+    this.derivedRates = enabled;
+    this.rateHistory = [];
+    if (enabled) {
+      ["headingRate", "rollRate", "altitudeRate"].forEach(key =>
+        this.cancelLerp(key)
+      );
+    }
+    this.changed();
+  }
+
+  /**
+   * enable or disable adding to the tach and hobbs time while the engine runs, see accrueHours
+   * @param enabled
+   */
+  setAccrueHours(enabled) {
+    this.accrueHours = enabled;
+    this.changed();
+  }
+
+  /**
+   * enable or disable setting the ground track and speed directly, see measuredGround
+   * @param enabled
+   */
+  setMeasuredGround(enabled) {
+    this.measuredGround = enabled;
+    this.changed();
+  }
+
+  /**
+   * flag properties as failed or clear their flags. Other flags are unchanged.
+   * @param flags - property to true ( failed ) or false e.g. { airspeed: true }
+   */
+  setFlags(flags) {
+    const merged = Object.assign({}, this.flags);
+    Object.keys(flags).forEach(key => {
+      if (flags[key]) {
+        merged[key] = true;
+      } else {
+        delete merged[key];
+      }
+    });
+    const keys = Object.keys(merged);
+    if (
+      keys.length !== Object.keys(this.flags).length ||
+      keys.some(key => !this.flags[key])
+    ) {
+      // a new object so listeners see the change
+      this.flags = merged;
+      this.changed();
+    }
+  }
+
+  /**
+   * the airplanes state has changed. Update all dependent values and notify listeners
+   * in the render pass at the end of the frame, so any number of changes within a frame
+   * produce a single notification. Inside a batch nothing happens until the batch ends.
+   */
+  changed() {
+    if (this.batchDepth) {
+      this.batchChanged = true;
+      return;
+    }
+    this.updateAtmosphere();
+    if (this.derivedRates) {
+      this.updateDerivedRates();
+    }
+    this.turnCoordinatorRate =
+      this.headingRate + TURN_COORDINATOR_ROLL_SENSITIVITY * this.rollRate;
+    this.updateMagnetic();
+    this.updateWind();
+    this.updateHours();
+    if (!this.changeRequest) {
+      this.changeRequest = clock.requestRender(() => {
+        this.changeRequest = 0;
+        this.emitChanges();
+        this.callListeners();
+      });
+    }
+  }
+
+  /**
+   * emit a named event for every observed property that has changed since it was last sent.
+   * Listen with e.g. airplane.on("altitude", (newValue, oldValue) => ...)
+   */
+  emitChanges() {
+    OBSERVED_PROPERTIES.forEach(key => {
+      const oldValue = this.emittedValues[key];
+      const newValue = this[key];
+      if (newValue !== oldValue) {
+        this.emittedValues[key] = newValue;
+        this.emit(key, newValue, oldValue);
+      }
+    });
+  }
+
+  /**
+   * derive the heading rate from the bank angle and true airspeed ( a coordinated turn )
+   * and the altitude and roll rates from their recent history
+   */
+  updateDerivedRates() {
+    const tas = this.trueAirspeed;
+    this.headingRate = tas > 1 ? R2D((G * Math.tan(D2R(this.roll))) / tas) : 0;
+
+    const now = clock.now();
+    this.rateHistory.push({
+      time: now,
+      altitude: this.altitude,
+      roll: this.roll
+    });
+    while (this.rateHistory[0].time < now - RATE_WINDOW) {
+      this.rateHistory.shift();
+    }
+    const first = this.rateHistory[0];
+    const seconds = (now - first.time) / 1000;
+    // wait for enough history to avoid dividing by tiny intervals
+    if (seconds >= 0.1) {
+      this.altitudeRate = ((this.altitude - first.altitude) / seconds) * 60;
+      let deltaRoll = this.roll - first.roll;
+      if (deltaRoll > 180) {
+        deltaRoll -= 360;
+      } else if (deltaRoll < -180) {
+        deltaRoll += 360;
+      }
+      this.rollRate = deltaRoll / seconds;
+    }
+  }
+
+  /**
+   * recalculate the wind at the current altitude and time and solve the wind triangle.
+   * With a measured ground track and speed the wind is found from the triangle instead.
+   */
+  updateWind() {
+    const { groundTrack, groundSpeed } = this;
+    const wind = this.measuredGround
+      ? windFromGround(
+          this.trueAirspeed,
+          this.trueHeading,
+          groundSpeed,
+          groundTrack
+        )
+      : this.wind(this.altitude, this.time);
+    this.windDirection = wind.direction;
+    this.windSpeed = wind.speed;
+    Object.assign(
+      this,
+      windTriangle(this.trueAirspeed, this.trueHeading, wind)
+    );
+    if (this.measuredGround) {
+      Object.assign(this, { groundTrack, groundSpeed });
+    }
+  }
+
+  /**
+   * start adding to the tach and hobbs time on an interval when the engine starts and stop
+   * when it stops. Changes themselves add nothing, so restoring or replaying a state with
+   * the engine running does not count as engine time.
+   */
+  updateHours() {
+    if (this.accrueHours && this.rpm > 0 && this.redLine > 0) {
+      if (!this.lerps.hours) {
+        this.hoursUpdated = clock.now();
         this.addLerp(
-          "barometer",
-          lerp(this.barometer, inchesOfMercury, 4000, qnh => {
-            this.barometer = qnh;
-            this.callListeners();
-          })
+          "hours",
+          interval(() => this.addHours(), HOURS_INTERVAL)
         );
       }
+    } else {
+      this.cancelLerp("hours");
     }
   }
 
   /**
-   * set the altitude
-   * @param feet
+   * add the tach and hobbs time since the last addition, at the RPM the engine is now running at
+   */
+  addHours() {
+    const now = clock.now();
+    const hours = (now - this.hoursUpdated) / 3600000;
+    this.hoursUpdated = now;
+    if (hours > 0) {
+      this.hobbsHours += hours;
+      this.tachHours += (hours * this.rpm) / (TACH_REFERENCE * this.redLine);
+      this.changed();
+    }
+  }
+
+  /**
+   * recalculate the magnetic variation and dip when the position or date has changed enough
+   * to matter. The model is only evaluated every ~0.01 degree or 1000 feet.
+   */
+  updateMagnetic() {
+    const key = [
+      this.latitude.toFixed(2),
+      this.longitude.toFixed(2),
+      Math.round(this.altitude / 1000),
+      this.date.getTime()
+    ].join();
+    if (key !== this.magneticKey) {
+      this.magneticKey = key;
+      const field = magneticField(
+        this.latitude,
+        this.longitude,
+        this.altitude,
+        this.date
+      );
+      this.magneticVariation = field.variation;
+      this.magneticDip = field.dip;
+    }
+  }
+
+  /**
+   * recalculate the static pressure, outside air temperature and density for
+   * the current altitude and atmospheric conditions.
+   */
+  updateAtmosphere() {
+    this.staticPressure = pressureAtAltitude(
+      this.altitude,
+      this.seaLevelPressure,
+      this.isaDeviation
+    );
+    this.outsideAirTemperature = temperatureAtAltitude(
+      this.altitude,
+      this.isaDeviation
+    );
+    this.airDensity = airDensity(
+      this.staticPressure,
+      this.outsideAirTemperature
+    );
+  }
+
+  /**
+   * calibrated airspeed ( KCAS ), indicated airspeed corrected by the profiles airspeed calibration
+   * @returns {number}
+   */
+  get calibratedAirspeed() {
+    return calibratedAirspeed(this.airspeed, this.airspeedCalibration);
+  }
+
+  /**
+   * true airspeed ( KTAS ) for the current static pressure and outside air temperature
+   * @returns {number}
+   */
+  get trueAirspeed() {
+    return trueAirspeed(
+      this.calibratedAirspeed,
+      this.staticPressure,
+      this.outsideAirTemperature
+    );
+  }
+
+  /**
+   * mach number
+   * @returns {number}
+   */
+  get mach() {
+    return machNumber(this.calibratedAirspeed, this.staticPressure);
+  }
+
+  /**
+   * pressure altitude in feet i.e. the altitude indicated with 29.92 in the kollsman window
+   * @returns {number}
+   */
+  get pressureAltitude() {
+    return pressureAltitude(this.staticPressure);
+  }
+
+  /**
+   * density altitude in feet
+   * @returns {number}
+   */
+  get densityAltitude() {
+    return densityAltitude(this.staticPressure, this.outsideAirTemperature);
+  }
+
+  /**
+   * heading relative to true north
+   * @returns {number}
+   */
+  get trueHeading() {
+    return magneticToTrue(this.heading, this.magneticVariation);
+  }
+
+  /**
+   * set the heading immediately from a true heading, e.g. from a data source that reports
+   * true heading. Also works with update e.g. airplane.update({ trueHeading: 90 })
+   * @param degrees
+   */
+  set trueHeading(degrees) {
+    this.cancelLerp("heading");
+    this.heading = trueToMagnetic(degrees, this.magneticVariation);
+  }
+
+  /**
+   * the magnetic heading, the same as heading
+   * @returns {number}
+   */
+  get magneticHeading() {
+    return this.heading;
+  }
+
+  /**
+   * the ground track relative to magnetic north
+   * @returns {number}
+   */
+  get magneticTrack() {
+    return trueToMagnetic(this.groundTrack, this.magneticVariation);
+  }
+
+  /**
+   * set the date used by the world magnetic model
+   * @param date
+   */
+  setDate(date) {
+    this.date = date;
+    this.changed();
+  }
+
+  /**
+   * set the magnetic heading
+   * @param magneticHeading
    */
   setHeading(magneticHeading) {
     if (magneticHeading !== this.heading) {
-      this.addLerp(
-        "heading",
-        lerp(this.heading, magneticHeading, 3000, heading => {
-          this.heading = heading;
-          this.callListeners();
-        })
-      );
+      this.animate("heading", magneticHeading);
     }
   }
 
@@ -182,13 +785,7 @@ export default class Airplane extends Disposable {
    */
   setRoll(degrees) {
     if (degrees !== this.roll) {
-      this.addLerp(
-        "roll",
-        lerp(this.roll, degrees, 3000, r => {
-          this.roll = r;
-          this.callListeners();
-        })
-      );
+      this.animate("roll", degrees);
     }
   }
 
@@ -198,13 +795,7 @@ export default class Airplane extends Disposable {
    */
   setRollRate(degreesPerSecond) {
     if (degreesPerSecond !== this.rollRate) {
-      this.addLerp(
-        "roll-rate",
-        lerp(this.rollRate, degreesPerSecond, 3000, r => {
-          this.rollRate = r;
-          this.callListeners();
-        })
-      );
+      this.animate("rollRate", degreesPerSecond);
     }
   }
 
@@ -214,13 +805,7 @@ export default class Airplane extends Disposable {
    */
   setPitch(degrees) {
     if (degrees !== this.pitch) {
-      this.addLerp(
-        "pitch",
-        lerp(this.pitch, degrees, 3000, p => {
-          this.pitch = p;
-          this.callListeners();
-        })
-      );
+      this.animate("pitch", degrees);
     }
   }
 
@@ -230,14 +815,82 @@ export default class Airplane extends Disposable {
    */
   setYaw(degrees) {
     if (degrees !== this.yaw) {
-      this.addLerp(
-        "yaw",
-        lerp(this.yaw, degrees, 3000, p => {
-          this.yaw = p;
-          this.callListeners();
-        })
-      );
+      this.animate("yaw", degrees);
+    }
+  }
+
+  /**
+   * immediately apply the given properties as one atomic change, cancelling any lerps
+   * in progress for them. Used by simulations and data sources that produce their own
+   * smooth values, e.g. a full state telemetry frame.
+   * @param values - hash of property name to value e.g. { airspeed: 100, pitch: 5 }
+   */
+  update(values) {
+    this.batch(() => {
+      Object.keys(values).forEach(key => {
+        console.assert(key in this, `unknown airplane property ${key}`);
+        this.cancelLerp(key);
+      });
+      Object.assign(this, values);
+      this.changed();
+    });
+  }
+
+  /**
+   * call the function with this airplane and treat everything it changes as one change.
+   * Dependent values are recalculated once when the outermost batch ends.
+   * e.g. airplane.batch(a => { a.setRoll(10); a.setPitch(5); })
+   * @param func
+   */
+  batch(func) {
+    this.batchDepth += 1;
+    try {
+      func(this);
+    } finally {
+      this.batchDepth -= 1;
     }
+    if (!this.batchDepth && this.batchChanged) {
+      this.batchChanged = false;
+      this.changed();
+    }
+  }
+
+  /**
+   * the state of the airplane, including its profile, as a plain object
+   * @returns {object}
+   */
+  toJSON() {
+    const json = { profile: this.profile };
+    SAVED_PROPERTIES.forEach(key => (json[key] = this[key]));
+    return json;
+  }
+
+  /**
+   * restore the state returned by toJSON. Missing properties are left unchanged.
+   * @param json
+   */
+  fromJSON(json) {
+    this.batch(() => {
+      if (json.profile) {
+        this.loadProfile(json.profile);
+      }
+      if ("derivedRates" in json) {
+        this.setDerivedRates(!!json.derivedRates);
+      }
+      // only numbers, invalid values in a saved or shared state are left unchanged
+      const values = {};
+      SAVED_PROPERTIES.forEach(key => {
+        if (
+          key in json &&
+          key !== "derivedRates" &&
+          isFinite(json[key]) &&
+          json[key] !== null
+        ) {
+          values[key] = Number(json[key]);
+        }
+      });
+      this.update(values);
+    });
   }
 
   /**
@@ -260,4 +913,4 @@ export default class Airplane extends Disposable {
   }
 }
 
-// Alex Sylvain Luenga
\ No newline at end of file
+// Alex Sylvain Luenga
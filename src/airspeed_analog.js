@@ -66,6 +66,8 @@ export default class AirspeedAnalog extends Instrument {
     super(
       Object.assign(
         {
+          id: "airspeed",
+          flagProperties: ["airspeed"],
           width: W,
           height: H
         },
@@ -84,17 +86,6 @@ export default class AirspeedAnalog extends Instrument {
     this.template.zip(this);
     this.snap = new Snap(this.svg.el);
 
-    // figure out the airspeed closest to 12 o'clock. This is our minimum displayable speed
-    this.minimumDisplayableSpeed = 0;
-    let nearest = Number.MAX_VALUE;
-    for (let i = this.airplane.VS0; i >= 0; i -= 0.2) {
-      const angle = this.airspeedToAngle(i);
-      if (Math.abs(angle - 270) < nearest) {
-        this.minimumDisplayableSpeed = i;
-        nearest = Math.abs(angle - 270);
-      }
-    }
-
     // initial render of instrument
     this.renderImmutable();
     this.createNeedle();
@@ -102,12 +93,9 @@ export default class AirspeedAnalog extends Instrument {
     // set needle to default display position
     this.setNeedle(this.airplane.airspeed);
 
-    // listen for changes to the airplane
-    this.onAirplaneChanged = this.onAirplaneChanged.bind(this);
-    this.airplane.addListener(this.onAirplaneChanged);
-    this.addDisposable(() =>
-      this.airplane.removeListener(this.onAirplaneChanged)
-    );
+    // listen for changes to the airplane properties we display
+    this.listen("airspeed", airspeed => this.setNeedle(airspeed));
+    this.listen("profile", () => this.onProfileChanged());
 
     this.template.appendTo(this.parentElement);
     this.addDisposable(() => this.template.remove());
@@ -140,11 +128,32 @@ export default class AirspeedAnalog extends Instrument {
    */
   renderImmutable() {
     this.renderCase();
-    this.renderSpeedArcs();
     this.renderText();
+    this.renderProfile();
+    this.renderShadow();
+  }
+
+  /**
+   * render the parts of the dial that depend on the airplane profile. This is called
+   * again, replacing the previous rendering, whenever the profile changes.
+   */
+  renderProfile() {
+    this.profileGroup = this.replaceGroup(this.profileGroup);
+
+    // figure out the airspeed closest to 12 o'clock. This is our minimum displayable speed
+    this.minimumDisplayableSpeed = 0;
+    let nearest = Number.MAX_VALUE;
+    for (let i = this.airplane.VS0; i >= 0; i -= 0.2) {
+      const angle = this.airspeedToAngle(i);
+      if (Math.abs(angle - 270) < nearest) {
+        this.minimumDisplayableSpeed = i;
+        nearest = Math.abs(angle - 270);
+      }
+    }
+
+    this.renderSpeedArcs();
     this.renderTicks();
     this.renderAirspeeds();
-    this.renderShadow();
   }
 
   /**
@@ -182,45 +191,56 @@ export default class AirspeedAnalog extends Instrument {
    * render the three speed arcs ( white, green, yellow )
    */
   renderSpeedArcs() {
-    // draw the flap (white) normal ( green ) and caution ( yellow ) speed arcs
-    arc(
-      this.snap,
-      CENTER,
-      WHITE_ARC_RADIUS,
-      ARC_WIDTH,
-      0,
-      "white",
-      "white",
-      this.airspeedToAngle(this.airplane.VS0),
-      this.airspeedToAngle(this.airplane.VFE),
-      true
-    );
+    // draw the flap (white) normal ( green ) and caution ( yellow ) speed arcs.
+    // Airplanes without flaps have no white arc and some have no caution range.
+    if (this.airplane.VFE > this.airplane.VS0) {
+      this.profileGroup.add(
+        arc(
+          this.snap,
+          CENTER,
+          WHITE_ARC_RADIUS,
+          ARC_WIDTH,
+          0,
+          "white",
+          "white",
+          this.airspeedToAngle(this.airplane.VS0),
+          this.airspeedToAngle(this.airplane.VFE),
+          true
+        )
+      );
+    }
 
-    arc(
-      this.snap,
-      CENTER,
-      ARC_RADIUS,
-      ARC_WIDTH,
-      0,
-      "transparent",
-      "#00EE00",
-      this.airspeedToAngle(this.airplane.VS1),
-      this.airspeedToAngle(this.airplane.VNO),
-      true
+    this.profileGroup.add(
+      arc(
+        this.snap,
+        CENTER,
+        ARC_RADIUS,
+        ARC_WIDTH,
+        0,
+        "transparent",
+        "#00EE00",
+        this.airspeedToAngle(this.airplane.VS1),
+        this.airspeedToAngle(this.airplane.VNO),
+        true
+      )
     );
 
-    arc(
-      this.snap,
-      CENTER,
-      ARC_RADIUS,
-      ARC_WIDTH,
-      0,
-      "transparent",
-      "#FFDC00",
-      this.airspeedToAngle(this.airplane.VNO),
-      this.airspeedToAngle(this.airplane.VNE),
-      true
-    );
+    if (this.airplane.VNE > this.airplane.VNO) {
+      this.profileGroup.add(
+        arc(
+          this.snap,
+          CENTER,
+          ARC_RADIUS,
+          ARC_WIDTH,
+          0,
+          "transparent",
+          "#FFDC00",
+          this.airspeedToAngle(this.airplane.VNO),
+          this.airspeedToAngle(this.airplane.VNE),
+          true
+        )
+      );
+    }
   }
 
   /**
@@ -249,14 +269,16 @@ export default class AirspeedAnalog extends Instrument {
       i <= this.airplane.MAX_DISPLAYED_SPEED;
       i += 10
     ) {
-      tick(
-        this.snap,
-        CENTER,
-        this.airspeedToAngle(i),
-        TICK1,
-        TICK3,
-        4,
-        "white"
+      this.profileGroup.add(
+        tick(
+          this.snap,
+          CENTER,
+          this.airspeedToAngle(i),
+          TICK1,
+          TICK3,
+          4,
+          "white"
+        )
       );
     }
 
@@ -266,26 +288,30 @@ export default class AirspeedAnalog extends Instrument {
       i <= this.airplane.MAX_DISPLAYED_SPEED - 5;
       i += 10
     ) {
-      tick(
-        this.snap,
-        CENTER,
-        this.airspeedToAngle(i),
-        TICK1,
-        TICK2,
-        2,
-        "white"
+      this.profileGroup.add(
+        tick(
+          this.snap,
+          CENTER,
+          this.airspeedToAngle(i),
+          TICK1,
+          TICK2,
+          2,
+          "white"
+        )
       );
     }
 
     // draw VNE tick mark
-    tick(
-      this.snap,
-      CENTER,
-      this.airspeedToAngle(this.airplane.VNE),
-      TICK1,
-      TICK3,
-      7,
-      "red"
+    this.profileGroup.add(
+      tick(
+        this.snap,
+        CENTER,
+        this.airspeedToAngle(this.airplane.VNE),
+        TICK1,
+        TICK3,
+        7,
+        "red"
+      )
     );
   }
 
@@ -300,7 +326,9 @@ export default class AirspeedAnalog extends Instrument {
       i += 20
     ) {
       const position = POC(CENTER, LABEL_RADIUS, this.airspeedToAngle(i));
-      centeredText(this.snap, position, i, "white", "24px", "Verdana", "bold");
+      this.profileGroup.add(
+        centeredText(this.snap, position, i, "white", "24px", "Verdana", "bold")
+      );
     }
   }
 
@@ -370,11 +398,10 @@ export default class AirspeedAnalog extends Instrument {
   }
 
   /**
-   * a property of the airplane was changed
-   * @param airplane
+   * the airplane profile was changed, regenerate the dial
    */
-  onAirplaneChanged(airplane) {
-    console.assert(airplane === this.airplane, "not our airplane");
+  onProfileChanged() {
+    this.renderProfile();
     this.setNeedle(this.airplane.airspeed);
   }
 }
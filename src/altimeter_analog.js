@@ -15,7 +15,7 @@ import { arrowNeedle, daggerNeedle, altimeter10KNeedle } from "./needles";
 import { interval } from "./utils/time";
 import { lerp } from "./utils/math";
 import { colors } from "./graphics/colors";
-import { inchesHgToFeet, STANDARD_BAROMETER } from "./utils/conversions";
+import { indicatedAltitude } from "./utils/atmosphere";
 
 import Snap from "snapsvg-cjs";
 
@@ -73,9 +73,6 @@ const KOLLSMAN_ADJUST_23 = 7;
 const KOLLSMAN_ANGLE = 0;
 // angle sweep
 const KOLLSMAN_SWEEP = 270;
-// min/max pressure settings
-const MIN_BARO = 28.0;
-const MAX_BARO = 31.0;
 
 // outer radius of kollsman ticks
 const K_TICK1 = TICK3 - 2;
@@ -84,6 +81,9 @@ const K_TICK3 = K_TICK2 - 5;
 
 // inner radius of kollsman window
 const KOLLSMAN_INNER = K_TICK1 - 55;
+// width and center radius of the kollsman window arc
+const KOLLSMAN_WIDTH = K_TICK1 - KOLLSMAN_INNER;
+const KOLLSMAN_RADIUS = KOLLSMAN_INNER + KOLLSMAN_WIDTH / 2;
 
 // the kollsman window fits between then airspeeds
 const KOLLSMAN_LOWER_SPEED = 210;
@@ -108,6 +108,8 @@ export default class AltimeterAnalog extends Instrument {
     super(
       Object.assign(
         {
+          id: "altimeter",
+          flagProperties: ["altitude"],
           width: W,
           height: H
         },
@@ -133,15 +135,15 @@ export default class AltimeterAnalog extends Instrument {
     this.renderImmutable();
     this.createNeedles();
     this.createBaroButton();
-    this.setNeedles(this.airplane.altitude);
+    this.setNeedles(
+      indicatedAltitude(this.airplane.staticPressure, this.airplane.barometer)
+    );
     this.setBarometricPressure(this.airplane.barometer);
 
-    // listen for changes to the airplane
+    // listen for changes to the airplane properties we display
     this.onAirplaneChanged = this.onAirplaneChanged.bind(this);
-    this.airplane.addListener(this.onAirplaneChanged);
-    this.addDisposable(() =>
-      this.airplane.removeListener(this.onAirplaneChanged)
-    );
+    this.listenBatch(["staticPressure", "barometer"], this.onAirplaneChanged);
+    this.listen("profile", () => this.renderProfile());
 
     this.template.appendTo(this.parentElement);
   }
@@ -154,6 +156,7 @@ export default class AltimeterAnalog extends Instrument {
       "demo",
       interval(() => {
         const altitude = this.airplane.SERVICE_CEILING * Math.random();
+        const { MIN_BARO, MAX_BARO } = this.airplane;
         const qnh = MIN_BARO + (MAX_BARO - MIN_BARO) * Math.random();
         this.airplane.setAltitude(altitude);
         this.airplane.setBarometer(qnh);
@@ -199,11 +202,37 @@ export default class AltimeterAnalog extends Instrument {
    * @param delta
    */
   onBaroChanged(delta) {
+    const { MIN_BARO, MAX_BARO } = this.airplane;
     const baro = Math.max(
       MIN_BARO,
       Math.min(MAX_BARO, this.airplane.barometer + delta)
     );
     this.airplane.setBarometer(baro, true);
+    this.knobsChanged();
+  }
+
+  /**
+   * the kollsman window setting, which is kept by the airplane
+   * @returns {object}
+   */
+  toJSON() {
+    return { barometer: this.airplane.barometer };
+  }
+
+  /**
+   * restore the kollsman window setting returned by toJSON
+   * @param json
+   */
+  fromJSON(json) {
+    const { barometer } = json;
+    // only a number, an invalid saved or shared value leaves the setting as it is
+    if (isFinite(barometer) && barometer !== null) {
+      const { MIN_BARO, MAX_BARO } = this.airplane;
+      this.airplane.setBarometer(
+        Math.max(MIN_BARO, Math.min(MAX_BARO, Number(barometer))),
+        true
+      );
+    }
   }
 
   /**
@@ -241,14 +270,54 @@ export default class AltimeterAnalog extends Instrument {
    * render the kollsman window
    */
   renderKollsman() {
+    // the scale depends on the airplane profile and is drawn first, under the window outline
+    this.renderProfile();
+
+    // draw outline and shadow over kollsman window
+    arc(
+      this.snap,
+      CENTER,
+      KOLLSMAN_RADIUS,
+      KOLLSMAN_WIDTH,
+      1,
+      "#555",
+      "none",
+      this.altitudeInfo(KOLLSMAN_LOWER_SPEED).hundreds,
+      this.altitudeInfo(KOLLSMAN_UPPER_SPEED).hundreds,
+      true
+    );
+
+    // draw the indicator for the current barometric settings
+    const p1 = POC(CENTER, TICK1, -1.5);
+    const p2 = POC(CENTER, TICK1, +1.5);
+    const p3 = POC(CENTER, K_TICK1, 0);
+    const d = `M ${p1.x} ${p1.y} L ${p2.x} ${p2.y} L ${p3.x} ${p3.y} Z`;
+    this.snap.path(d).attr({ fill: "white" });
+  }
+
+  /**
+   * render the parts of the dial that depend on the airplane profile. This is called
+   * again, replacing the previous rendering, whenever the profile changes.
+   */
+  renderProfile() {
+    this.profileGroup = this.replaceGroup(this.profileGroup);
+    this.renderKollsmanScale();
+    this.setBarometricPressure(this.airplane.barometer);
+  }
+
+  /**
+   * render the rotating scale seen through the kollsman window
+   */
+  renderKollsmanScale() {
+    const { MIN_BARO, MAX_BARO } = this.airplane;
     // calculations are lot easier and do not suffer from floating point errors
     // if we work with barometric pressure * 100 in integers
-    const IMIN_BARO = (MIN_BARO * 100) >> 0;
-    const IMAX_BARO = (MAX_BARO * 100) >> 0;
+    const IMIN_BARO = Math.round(MIN_BARO * 100);
+    const IMAX_BARO = Math.round(MAX_BARO * 100);
 
     // use a snap and group for all elements so it can be rotated
     this.kSnap = new Snap(W, H);
-    this.snap.add(this.kSnap);
+    this.profileGroup.add(this.kSnap);
     this.kGroup = this.kSnap.group();
 
     const startAngle = KOLLSMAN_ANGLE - KOLLSMAN_SWEEP / 2;
@@ -279,14 +348,13 @@ export default class AltimeterAnalog extends Instrument {
         );
       }
     }
-    // create a mask using an arc to give impression of a window
-    const KW = K_TICK1 - KOLLSMAN_INNER;
-    const AR = KOLLSMAN_INNER + KW / 2;
+    // create a mask using an arc to give impression of a window, on the kollsman snap so
+    // it is removed with the profile group when the profile changes
     this.kMask = arc(
-      this.snap,
+      this.kSnap,
       CENTER,
-      AR,
-      KW,
+      KOLLSMAN_RADIUS,
+      KOLLSMAN_WIDTH,
       0,
       "white",
       "white",
@@ -295,27 +363,6 @@ export default class AltimeterAnalog extends Instrument {
       true
     );
     this.kGroup.attr({ mask: this.kMask });
-
-    // draw outline and shadow over kollsman window
-    arc(
-      this.snap,
-      CENTER,
-      AR,
-      KW,
-      1,
-      "#555",
-      "none",
-      this.altitudeInfo(KOLLSMAN_LOWER_SPEED).hundreds,
-      this.altitudeInfo(KOLLSMAN_UPPER_SPEED).hundreds,
-      true
-    );
-
-    // draw the indicator for the current barometric settings
-    const p1 = POC(CENTER, TICK1, -1.5);
-    const p2 = POC(CENTER, TICK1, +1.5);
-    const p3 = POC(CENTER, K_TICK1, 0);
-    const d = `M ${p1.x} ${p1.y} L ${p2.x} ${p2.y} L ${p3.x} ${p3.y} Z`;
-    this.snap.path(d).attr({ fill: "white" });
   }
 
   /**
@@ -324,6 +371,7 @@ export default class AltimeterAnalog extends Instrument {
    * @param inchesOfMercury
    */
   setBarometricPressure(inchesOfMercury) {
+    const { MIN_BARO, MAX_BARO } = this.airplane;
     // clamped the value to the allowed range
     const clamped = Math.max(MIN_BARO, Math.min(MAX_BARO, inchesOfMercury));
     // get the inches range
@@ -558,15 +606,13 @@ export default class AltimeterAnalog extends Instrument {
   }
 
   /**
-   * a property of the airplane was changed
-   * @param airplane
+   * the static pressure or barometer setting of the airplane changed
    */
-  onAirplaneChanged(airplane) {
-    console.assert(airplane === this.airplane, "not our airplane");
-    // get the delta between 29.92 ( standard pressure ) and the airplanes baro setting
-    const baroDelta = STANDARD_BAROMETER - this.airplane.barometer;
-    const altitude = inchesHgToFeet(airplane.staticPressure + baroDelta);
-    this.setNeedles(altitude);
+  onAirplaneChanged() {
+    // the altimeter only knows the static pressure and the kollsman window setting
+    this.setNeedles(
+      indicatedAltitude(this.airplane.staticPressure, this.airplane.barometer)
+    );
     this.setBarometricPressure(this.airplane.barometer);
   }
 }
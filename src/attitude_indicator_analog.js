@@ -80,6 +80,8 @@ export default class AttitudeIndicatorAnalog extends Instrument {
     super(
       Object.assign(
         {
+          id: "attitudeIndicator",
+          flagProperties: ["pitch", "roll"],
           width: W,
           height: H,
           // deflection, +/- between the vertical adjustment limits
@@ -109,12 +111,9 @@ export default class AttitudeIndicatorAnalog extends Instrument {
     this.setRollAndPitch(this.airplane.roll, this.airplane.pitch);
     this.template.appendTo(this.parentElement);
 
-    // listen for changes to the airplane
+    // listen for changes to the airplane properties we display
     this.onAirplaneChanged = this.onAirplaneChanged.bind(this);
-    this.airplane.addListener(this.onAirplaneChanged);
-    this.addDisposable(() =>
-      this.airplane.removeListener(this.onAirplaneChanged)
-    );
+    this.listenBatch(["roll", "pitch"], this.onAirplaneChanged);
   }
 
   /**
@@ -188,6 +187,7 @@ export default class AttitudeIndicatorAnalog extends Instrument {
       Math.min(V_ADJUST_LIMIT, this.verticalAdjustment + delta)
     );
     this.setArmGroupVerticalAdjustment(v);
+    this.knobsChanged();
   }
 
   /**
@@ -204,6 +204,44 @@ export default class AttitudeIndicatorAnalog extends Instrument {
         this.setRollAndPitch(this.airplane.roll, this.airplane.pitch);
       })
     );
+    this.knobsChanged();
+  }
+
+  /**
+   * the vertical adjustment and cage state
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      verticalAdjustment: this.verticalAdjustment,
+      caged: this.caged
+    };
+  }
+
+  /**
+   * restore the state returned by toJSON. The cage is set immediately, not animated.
+   * @param json
+   */
+  fromJSON(json) {
+    const { verticalAdjustment } = json;
+    // only a number, an invalid saved or shared value leaves the adjustment as it is
+    if (isFinite(verticalAdjustment) && verticalAdjustment !== null) {
+      this.setArmGroupVerticalAdjustment(
+        Math.max(
+          -V_ADJUST_LIMIT,
+          Math.min(V_ADJUST_LIMIT, Number(verticalAdjustment))
+        )
+      );
+    }
+    if ("caged" in json) {
+      this.cancelLerp("caged");
+      this.caged = !!json.caged;
+      this.cageMultiplier = this.caged ? 0 : 1;
+      if (!!this.cageButton.popState !== this.caged) {
+        this.cageButton.togglePopout();
+      }
+      this.setRollAndPitch(this.airplane.roll, this.airplane.pitch);
+    }
   }
 
   /**
@@ -617,12 +655,10 @@ export default class AttitudeIndicatorAnalog extends Instrument {
   }
 
   /**
-   * a property of the airplane was changed
-   * @param airplane
+   * the roll or pitch of the airplane changed
    */
-  onAirplaneChanged(airplane) {
+  onAirplaneChanged() {
     if (!this.caged) {
-      console.assert(airplane === this.airplane, "not our airplane");
       this.setRollAndPitch(this.airplane.roll, this.airplane.pitch);
     }
   }
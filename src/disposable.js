@@ -1,3 +1,5 @@
+import { clock } from "./utils/clock";
+
 /**
  * base class for a lot of types in the app. Provides for callbacks to be invoked when
  * its dispose() method is called. Also provides event emitter capabilities
@@ -13,6 +15,11 @@ export default class Disposable {
   constructor() {
     this.disposeFunctions = [];
     this.listeners = [];
+    // named event listeners, keyed by event name. "*" receives every event
+    this.events = {};
+    // batched subscriptions, see onBatch
+    this.batches = [];
+    this.batchRequest = 0;
   }
 
   /**
@@ -48,6 +55,10 @@ export default class Disposable {
   dispose() {
     console.assert(!this.disposed, "already disposed");
     this.disposed = true;
+    if (this.batchRequest) {
+      clock.cancelRender(this.batchRequest);
+      this.batchRequest = 0;
+    }
     this.disposeFunctions.forEach(f => f());
     this.disposeFunctions.length = 0;
   }
@@ -91,6 +102,100 @@ export default class Disposable {
   callListeners() {
     this.listeners.forEach(l => l(this));
   }
+
+  /**
+   * add a listener for a named event e.g. on("altitude", (newValue, oldValue) => ...)
+   * Use "*" to receive all events, the event name is passed as the third parameter.
+   * @param name
+   * @param func
+   */
+  on(name, func) {
+    console.assert(func && typeof func === "function", "expected a callback");
+    const ears = this.events[name] || (this.events[name] = []);
+    console.assert(ears.indexOf(func) < 0, "listener already registered");
+    ears.push(func);
+  }
+
+  /**
+   * remove a listener added with on
+   * @param name
+   * @param func
+   */
+  off(name, func) {
+    const ears = this.events[name];
+    console.assert(
+      ears && ears.indexOf(func) >= 0,
+      "listener is not registered"
+    );
+    this.events[name] = (ears || []).filter(f => f !== func);
+  }
+
+  /**
+   * listen for any of the named events but receive them at most once per animation frame.
+   * The callback receives a hash of event name to { newValue, oldValue } where oldValue
+   * is the value before the first change in the frame and newValue is the latest value.
+   * @param names - array of event names or "*" for all events
+   * @param func
+   */
+  onBatch(names, func) {
+    console.assert(func && typeof func === "function", "expected a callback");
+    console.assert(
+      !this.batches.find(b => b.func === func),
+      "listener already registered"
+    );
+    this.batches.push({ names, func, changes: {} });
+  }
+
+  /**
+   * remove a listener added with onBatch
+   * @param func
+   */
+  offBatch(func) {
+    console.assert(
+      this.batches.find(b => b.func === func),
+      "listener is not registered"
+    );
+    this.batches = this.batches.filter(b => b.func !== func);
+  }
+
+  /**
+   * send a named event to its listeners, wildcard listeners and batched listeners
+   * @param name
+   * @param newValue
+   * @param oldValue
+   */
+  emit(name, newValue, oldValue) {
+    (this.events[name] || []).forEach(f => f(newValue, oldValue, name));
+    (this.events["*"] || []).forEach(f => f(newValue, oldValue, name));
+    this.batches.forEach(batch => {
+      if (batch.names === "*" || batch.names.indexOf(name) >= 0) {
+        const change = batch.changes[name];
+        batch.changes[name] = {
+          newValue,
+          oldValue: change ? change.oldValue : oldValue
+        };
+        this.requestBatch();
+      }
+    });
+  }
+
+  /**
+   * schedule delivery of batched events in the render pass at the end of the frame
+   */
+  requestBatch() {
+    if (!this.batchRequest) {
+      this.batchRequest = clock.requestRender(() => {
+        this.batchRequest = 0;
+        this.batches.forEach(batch => {
+          const changes = batch.changes;
+          if (Object.keys(changes).length) {
+            batch.changes = {};
+            batch.func(changes);
+          }
+        });
+      });
+    }
+  }
 }
 
 // Alex Sylvain Luenga
\ No newline at end of file
@@ -66,6 +66,8 @@ export default class HeadingIndicatorAnalog extends Instrument {
     super(
       Object.assign(
         {
+          id: "headingIndicator",
+          flagProperties: ["heading"],
           width: W,
           height: H,
           // this is the angular offset the user sets from the airplanes magnetic heading.
@@ -92,12 +94,9 @@ export default class HeadingIndicatorAnalog extends Instrument {
     this.setHeading(this.airplane.heading);
     this.setHeadingBug(this.headingBugHeading);
 
-    // listen for changes to the airplane
+    // listen for changes to the airplane properties we display
     this.onAirplaneChanged = this.onAirplaneChanged.bind(this);
-    this.airplane.addListener(this.onAirplaneChanged);
-    this.addDisposable(() =>
-      this.airplane.removeListener(this.onAirplaneChanged)
-    );
+    this.listen("heading", this.onAirplaneChanged);
 
     this.template.appendTo(this.parentElement);
   }
@@ -169,6 +168,7 @@ export default class HeadingIndicatorAnalog extends Instrument {
     );
     this.setHeading(this.airplane.heading + this.magneticOffset);
     this.setHeadingBug(this.headingBugHeading);
+    this.knobsChanged();
   }
 
   /**
@@ -180,6 +180,32 @@ export default class HeadingIndicatorAnalog extends Instrument {
       this.headingBugHeading + delta
     );
     this.setHeadingBug(this.headingBugHeading);
+    this.knobsChanged();
+  }
+
+  /**
+   * the SET and HDG knob positions
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      magneticOffset: this.magneticOffset,
+      headingBugHeading: this.headingBugHeading
+    };
+  }
+
+  /**
+   * restore the knob positions returned by toJSON
+   * @param json
+   */
+  fromJSON(json) {
+    // only the knobs, a saved or shared state must not replace anything else
+    ["magneticOffset", "headingBugHeading"].forEach(key => {
+      if (key in json && isFinite(json[key]) && json[key] !== null) {
+        this[key] = Number(json[key]);
+      }
+    });
+    this.onAirplaneChanged();
   }
 
   /**
@@ -345,11 +371,9 @@ export default class HeadingIndicatorAnalog extends Instrument {
   }
 
   /**
-   * a property of the airplane was changed
-   * @param airplane
+   * the heading of the airplane changed
    */
-  onAirplaneChanged(airplane) {
-    console.assert(airplane === this.airplane, "not our airplane");
+  onAirplaneChanged() {
     this.setHeading(this.airplane.heading + this.magneticOffset);
     this.setHeadingBug(this.headingBugHeading);
   }
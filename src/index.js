@@ -6,6 +6,11 @@ import TurnCoordinatorAnalog from "./turn_coordinator_analog";
 import HeadingIndicatorAnalog from "./heading_indicator_analog";
 import VerticalSpeedAnalog from "./vertical_speed_analog";
 import Airplane from "./airplane";
+import FlightModel from "./simulation/flight_model";
+import DemoPilot from "./simulation/demo_pilot";
+import Engine from "./simulation/engine";
+import WebSocketSource from "./sources/websocket_source";
+import Transport from "./recording/transport";
 
 /*
   Fully functionality flight instruments built entirely with Snap SVG
@@ -60,4 +65,31 @@ const instruments = [
   })
 ];
 
-instruments.forEach(i => i.demoStart());
+// start in cruise flight with a warm engine
+airplane.update({
+  altitude: 3000,
+  airspeed: 100,
+  rpm: 2300,
+  manifoldPressure: 22,
+  egt: 1300,
+  cht: 380,
+  oilTemperature: 185,
+  oilPressure: 70
+});
+// drive the panel from a bridge e.g. index.html?source=ws://localhost:8181,
+// otherwise let the demo pilot fly
+const sourceURL = new URLSearchParams(window.location.search).get("source");
+const live = sourceURL
+  ? new WebSocketSource({ airplane, url: sourceURL })
+  : new DemoPilot({
+      model: new FlightModel({ airplane, engine: new Engine({ airplane }) })
+    });
+live.start();
+
+// record and replay flights under the panel, pausing the live data while replaying
+new Transport({
+  airplane,
+  instruments,
+  parentElement,
+  onReplay: replaying => (replaying ? live.stop() : live.start())
+});
@@ -1,4 +1,13 @@
 import Animated from "./animated";
+import Vector2D from "./geometry/vector2d";
+import { rectangle, centeredText } from "./graphics/primitives";
+import { colors } from "./graphics/colors";
+import { clock } from "./utils/clock";
+
+// size of the OFF flag and how far it is tilted
+const FLAG_WIDTH = 90;
+const FLAG_HEIGHT = 34;
+const FLAG_ANGLE = -15;
 
 /**
  * base class for all analog / digital instruments
@@ -13,9 +22,14 @@ export default class Instrument extends Animated {
     Object.assign(
       this,
       {
+        // identifies the instrument in saved panel state, see ./panel_state
+        id: "",
         width: 0,
         height: 0,
         airplane: null,
+        // airplane properties the instrument displays, it shows an OFF flag while any of
+        // them are flagged as failed, see Airplane.setFlags
+        flagProperties: [],
         listener: []
       },
       config
@@ -24,8 +38,122 @@ export default class Instrument extends Animated {
       this.width && this.height && this.airplane,
       "missing or invalid configuration options"
     );
+
+    // the flag is drawn over everything else so wait until the instrument has rendered
+    if (this.flagProperties.length) {
+      this.listen("flags", () => this.updateFlag());
+      const request = clock.requestRender(() => this.updateFlag());
+      this.addDisposable(() => clock.cancelRender(request));
+    }
+  }
+
+  /**
+   * show or hide the OFF flag according to the airplanes flags
+   */
+  updateFlag() {
+    const flagged = this.flagProperties.some(key => this.airplane.flags[key]);
+    if (flagged && !this.flag) {
+      this.flag = this.renderFlag();
+    }
+    if (this.flag) {
+      this.flag.attr({ display: flagged ? "inline" : "none" });
+    }
+  }
+
+  /**
+   * render the OFF flag, on top of the rest of the instrument, below the center of the dial
+   * @returns {*} the group containing the flag
+   */
+  renderFlag() {
+    const center = new Vector2D(this.width / 2, this.height * 0.7);
+    const group = this.snap.group();
+    group.add(
+      rectangle(
+        this.snap,
+        center.x - FLAG_WIDTH / 2,
+        center.y - FLAG_HEIGHT / 2,
+        FLAG_WIDTH,
+        FLAG_HEIGHT,
+        colors.white,
+        2,
+        colors.red,
+        3,
+        3
+      ),
+      centeredText(
+        this.snap,
+        center,
+        "OFF",
+        colors.white,
+        "22px",
+        "Verdana",
+        "bold"
+      )
+    );
+    group.attr({ transform: `r ${FLAG_ANGLE} ${center.x} ${center.y}` });
+    return group;
+  }
+
+  /**
+   * call the callback with ( newValue, oldValue ) whenever the named airplane property changes.
+   * The subscription is removed when the instrument is disposed.
+   * @param name
+   * @param callback
+   */
+  listen(name, callback) {
+    this.airplane.on(name, callback);
+    this.addDisposable(() => this.airplane.off(name, callback));
+  }
+
+  /**
+   * call the callback, at most once per animation frame, when any of the named airplane
+   * properties change. The subscription is removed when the instrument is disposed.
+   * @param names
+   * @param callback
+   */
+  listenBatch(names, callback) {
+    this.airplane.onBatch(names, callback);
+    this.addDisposable(() => this.airplane.offBatch(callback));
   }
 
+  /**
+   * create a new group on our snap paper to replace an existing group, keeping its position
+   * in the stacking order. Used to regenerate parts of a dial e.g. when the airplane profile changes.
+   * If there is no existing group the new group is appended to the paper.
+   * @param existing
+   * @returns {*} the new group
+   */
+  replaceGroup(existing) {
+    const group = this.snap.group();
+    if (existing) {
+      existing.after(group);
+      existing.remove();
+    }
+    return group;
+  }
+
+  /**
+   * tell listeners e.g. a flight recorder that a knob or button was used. Emits a "knobs"
+   * event with the new state from toJSON, call from the handlers of each knob and button.
+   */
+  knobsChanged() {
+    this.emit("knobs", this.toJSON());
+  }
+
+  /**
+   * the state of the instruments knobs and buttons, override in instruments that have any
+   * @returns {object}
+   */
+  toJSON() {
+    return {};
+  }
+
+  /**
+   * restore the state returned by toJSON
+   * @param json
+   */
+  fromJSON(json) {}
+
   demoStart() {
     console.assert(false, "Must override in descendant class");
   }
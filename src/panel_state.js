@@ -0,0 +1,90 @@
+/**
+ * Save and restore the complete state of a panel: the airplane and the knobs and buttons
+ * of each instrument. Saved states are plain objects, use JSON.stringify / JSON.parse to
+ * store or share them. Every saved state carries a version number and older states are
+ * upgraded by the migrations below before they are restored.
+ *
+ * {
+ *   version: 1,
+ *   airplane: { ... see Airplane.toJSON },
+ *   instruments: { altimeter: { barometer: 29.92 }, headingIndicator: { ... }, ... }
+ * }
+ */
+
+/**
+ * the version written by savePanelState
+ * @type {number}
+ */
+export const PANEL_STATE_VERSION = 1;
+
+/**
+ * migrations keyed by the version they upgrade from. Each receives a state of that version
+ * and returns the equivalent state of the next version. When the format changes bump
+ * PANEL_STATE_VERSION and add a migration e.g.
+ *
+ *   1: state => Object.assign({}, state, { version: 2, ... })
+ */
+const MIGRATIONS = {};
+
+/**
+ * upgrade a saved state to the current version
+ * @param state
+ * @returns {object}
+ */
+export function migratePanelState(state) {
+  console.assert(
+    state && isFinite(state.version),
+    "panel state is missing a version"
+  );
+  console.assert(
+    state.version <= PANEL_STATE_VERSION,
+    `panel state version ${state.version} is newer than this application`
+  );
+  let migrated = state;
+  while (migrated.version < PANEL_STATE_VERSION) {
+    const migration = MIGRATIONS[migrated.version];
+    console.assert(migration, `no migration from version ${migrated.version}`);
+    migrated = migration(migrated);
+  }
+  return migrated;
+}
+
+/**
+ * save the state of the airplane and the given instruments
+ * @param airplane
+ * @param instruments - array of instruments, each with a unique id
+ * @returns {object}
+ */
+export function savePanelState(airplane, instruments = []) {
+  const state = {
+    version: PANEL_STATE_VERSION,
+    airplane: airplane.toJSON(),
+    instruments: {}
+  };
+  instruments.forEach(instrument => {
+    console.assert(
+      instrument.id && !state.instruments[instrument.id],
+      "each instrument requires a unique id"
+    );
+    state.instruments[instrument.id] = instrument.toJSON();
+  });
+  return state;
+}
+
+/**
+ * restore a state returned by savePanelState, possibly from an earlier version.
+ * Instruments without saved state are left unchanged.
+ * @param state
+ * @param airplane
+ * @param instruments
+ */
+export function restorePanelState(state, airplane, instruments = []) {
+  const current = migratePanelState(state);
+  airplane.fromJSON(current.airplane || {});
+  const saved = current.instruments || {};
+  instruments.forEach(instrument => {
+    if (saved[instrument.id]) {
+      instrument.fromJSON(saved[instrument.id]);
+    }
+  });
+}
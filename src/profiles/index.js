@@ -0,0 +1,101 @@
+import c172 from "./c172.json";
+import pa28 from "./pa28.json";
+import sr22 from "./sr22.json";
+import baron from "./baron.json";
+import ask21 from "./ask21.json";
+
+/**
+ * Aircraft profiles are plain JSON objects. The properties listed below are copied onto the
+ * airplane when a profile is loaded, id, name and description are informational only.
+ * An optional airspeedCalibration table of [KIAS, KCAS] pairs, sorted by KIAS, corrects
+ * for the position error of the static system. Without one CAS is taken to equal IAS.
+ * All speeds are KIAS, altitudes are feet, vertical speeds are feet per minute and
+ * barometric pressures are inches of mercury.
+ *
+ * The bundled profiles are approximate values for training displays only, always use the
+ * POH or flight manual of the actual aircraft.
+ */
+export const PROFILE_PROPERTIES = [
+  // V speeds
+  "VS0",
+  "VS1",
+  "VR",
+  "VLOF",
+  "VFE",
+  "VA",
+  "VNO",
+  "VNE",
+  // maximum airspeed displayed on the airspeed indicator
+  "MAX_DISPLAYED_SPEED",
+  // maximum altitude
+  "SERVICE_CEILING",
+  // best lift / drag ratio, used by the flight model
+  "LIFT_DRAG",
+  // engine idle RPM, green arc and red line. A glider has all zeros.
+  "idle",
+  "greenMin",
+  "greenMax",
+  "redLine",
+  // maximum RPM displayed on the tachometer
+  "MAX_DISPLAYED_RPM",
+  // maximum climb / descent rate displayed on the vertical speed indicator
+  "MAX_DISPLAYED_VERTICAL_SPEED",
+  // range of the altimeter kollsman window
+  "MIN_BARO",
+  "MAX_BARO"
+];
+
+/**
+ * all bundled profiles keyed by id
+ */
+export const profiles = {
+  c172,
+  pa28,
+  sr22,
+  baron,
+  ask21
+};
+
+/**
+ * the profile used when none is specified
+ */
+export const DEFAULT_PROFILE = c172;
+
+/**
+ * validate a profile and return just the properties that are applied to an airplane
+ * @param profile
+ * @returns {object}
+ */
+export const profileProperties = profile => {
+  const properties = {};
+  PROFILE_PROPERTIES.forEach(key => {
+    console.assert(
+      isFinite(profile[key]),
+      `profile ${profile.id} has an invalid or missing ${key}`
+    );
+    properties[key] = Number(profile[key]);
+  });
+  console.assert(
+    properties.VS0 <= properties.VS1 &&
+      properties.VS1 < properties.VNE &&
+      properties.VNE <= properties.MAX_DISPLAYED_SPEED,
+    `profile ${profile.id} has inconsistent V speeds`
+  );
+  console.assert(
+    properties.redLine <= properties.MAX_DISPLAYED_RPM &&
+      properties.MIN_BARO < properties.MAX_BARO,
+    `profile ${profile.id} has inconsistent limits`
+  );
+  const calibration = profile.airspeedCalibration || [];
+  console.assert(
+    calibration.every(
+      (pair, i) =>
+        pair.length === 2 &&
+        pair.every(isFinite) &&
+        (i === 0 || pair[0] > calibration[i - 1][0])
+    ),
+    `profile ${profile.id} has an invalid airspeed calibration`
+  );
+  properties.airspeedCalibration = calibration;
+  return properties;
+};
@@ -0,0 +1,264 @@
+import Animated from "../animated";
+import { clock } from "../utils/clock";
+import { angularDelta } from "../geometry/angle";
+import { signedDegreesToPositive360 } from "../utils/conversions";
+import { restorePanelState } from "../panel_state";
+import { RECORDING_VERSION } from "./flight_recorder";
+
+/**
+ * Replays a recording made by ./flight_recorder through an airplane and its instruments.
+ * Playback can be paused, seeked, looped and run at 0.25x to 8x. Between samples the
+ * airplane is interpolated, knob actions and flag changes are applied as they are passed.
+ * The player takes over the airplane, stop anything else driving it e.g. a data source or
+ * demo pilot while replaying, and dispose of the player when done.
+ *
+ * Emits "position" events with the position in milliseconds and "playing" events with
+ * true or false when playback starts or stops.
+ */
+
+/**
+ * the playback speeds offered by the transport, any speed in this range can be set
+ * @type {number[]}
+ */
+export const SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// properties that are headings, interpolated the short way round
+const ANGLES = ["heading", "groundTrack"];
+
+export default class FlightPlayer extends Animated {
+  /**
+   * requires an airplane and a recording, and usually the instruments that were recorded
+   * @param config
+   */
+  constructor(config) {
+    super();
+    Object.assign(
+      this,
+      {
+        airplane: null,
+        instruments: [],
+        recording: null,
+        // playback speed, 1 is real time
+        speed: 1,
+        // start again from the beginning at the end
+        loop: false
+      },
+      config
+    );
+    console.assert(
+      this.airplane && this.recording,
+      "missing or invalid configuration options"
+    );
+    console.assert(
+      this.recording.version === RECORDING_VERSION,
+      `unsupported recording version ${this.recording.version}`
+    );
+    this.setSpeed(this.speed);
+    this.duration = this.recording.duration;
+    this.playing = false;
+    this.position = 0;
+    // the sample at or before the position and the number of events that have been applied
+    this.sampleIndex = 0;
+    this.eventIndex = 0;
+
+    // the recording has the rates, ground track and speed and engine time so use them as
+    // they are, and hand the airplane back as it was when we are disposed
+    const { derivedRates, measuredGround, accrueHours } = this.airplane;
+    this.addDisposable(() => {
+      this.airplane.setDerivedRates(derivedRates);
+      this.airplane.setMeasuredGround(measuredGround);
+      this.airplane.setAccrueHours(accrueHours);
+    });
+    this.airplane.setAccrueHours(false);
+    restorePanelState(this.recording.start, this.airplane, this.instruments);
+    this.airplane.setDerivedRates(false);
+    this.airplane.setMeasuredGround(true);
+    this.restoreEvents();
+    this.apply(0);
+  }
+
+  /**
+   * start or resume playback, from the beginning if at the end
+   */
+  play() {
+    if (this.playing) {
+      return;
+    }
+    if (this.position >= this.duration) {
+      this.seek(0);
+    }
+    this.setPlaying(true);
+    const c = clock;
+    let last = c.now();
+    let requestId = 0;
+    const frame = () => {
+      const now = c.now();
+      this.advance((now - last) * this.speed);
+      last = now;
+      if (this.playing) {
+        requestId = c.requestFrame(frame);
+      }
+    };
+    requestId = c.requestFrame(frame);
+    this.addLerp("play", () => c.cancelFrame(requestId));
+  }
+
+  /**
+   * pause playback at the current position
+   */
+  pause() {
+    this.cancelLerp("play");
+    this.setPlaying(false);
+  }
+
+  /**
+   * change the playback speed
+   * @param speed - 0.25 .. 8
+   */
+  setSpeed(speed) {
+    console.assert(
+      speed >= SPEEDS[0] && speed <= SPEEDS[SPEEDS.length - 1],
+      "invalid playback speed"
+    );
+    this.speed = speed;
+  }
+
+  /**
+   * enable or disable looping
+   * @param loop
+   */
+  setLoop(loop) {
+    this.loop = !!loop;
+  }
+
+  /**
+   * move to a position, playing or not
+   * @param milliseconds
+   */
+  seek(milliseconds) {
+    this.apply(Math.max(0, Math.min(this.duration, milliseconds)));
+  }
+
+  /**
+   * move forward by the given milliseconds of recording, stopping or looping at the end
+   * @param milliseconds
+   */
+  advance(milliseconds) {
+    const position = this.position + milliseconds;
+    if (position < this.duration) {
+      this.apply(position);
+    } else if (this.loop && this.duration > 0) {
+      this.apply(this.duration);
+      this.apply(position % this.duration);
+    } else {
+      this.apply(this.duration);
+      this.pause();
+    }
+  }
+
+  /**
+   * show the recording at the given position
+   * @param position
+   */
+  apply(position) {
+    const { samples, events } = this.recording;
+    // going backwards, start again from the state at the beginning
+    if (position < this.position) {
+      this.sampleIndex = 0;
+      this.eventIndex = 0;
+      this.restoreEvents();
+    }
+    while (
+      this.eventIndex < events.length &&
+      events[this.eventIndex].time <= position
+    ) {
+      this.applyEvent(events[this.eventIndex]);
+      this.eventIndex += 1;
+    }
+    while (
+      this.sampleIndex < samples.length - 1 &&
+      samples[this.sampleIndex + 1][0] <= position
+    ) {
+      this.sampleIndex += 1;
+    }
+    if (samples.length) {
+      this.airplane.update(this.interpolate(position));
+    }
+    const oldValue = this.position;
+    this.position = position;
+    this.emit("position", position, oldValue);
+  }
+
+  /**
+   * the airplane properties at the given position, between the current sample and the next
+   * @param position
+   * @returns {object}
+   */
+  interpolate(position) {
+    const { samples, properties } = this.recording;
+    const before = samples[this.sampleIndex];
+    const after = samples[Math.min(samples.length - 1, this.sampleIndex + 1)];
+    const span = after[0] - before[0];
+    const t =
+      span > 0 ? Math.max(0, Math.min(1, (position - before[0]) / span)) : 0;
+    const values = {};
+    properties.forEach((key, index) => {
+      const from = before[index + 1];
+      const to = after[index + 1];
+      values[key] =
+        ANGLES.indexOf(key) >= 0
+          ? signedDegreesToPositive360(from + angularDelta(from, to) * t)
+          : from + (to - from) * t;
+    });
+    return values;
+  }
+
+  /**
+   * restore the knobs and flags as they were at the start of the recording
+   */
+  restoreEvents() {
+    const saved = this.recording.start.instruments || {};
+    this.instruments.forEach(instrument => {
+      if (saved[instrument.id]) {
+        instrument.fromJSON(saved[instrument.id]);
+      }
+    });
+    this.setFlags(this.recording.flags || {});
+  }
+
+  /**
+   * apply a recorded knob action or flag change
+   * @param event
+   */
+  applyEvent(event) {
+    if (event.flags) {
+      this.setFlags(event.flags);
+    } else {
+      const instrument = this.instruments.find(i => i.id === event.instrument);
+      if (instrument) {
+        instrument.fromJSON(event.state);
+      }
+    }
+  }
+
+  /**
+   * replace the airplanes flags with the given flags
+   * @param flags
+   */
+  setFlags(flags) {
+    const cleared = {};
+    Object.keys(this.airplane.flags).forEach(key => (cleared[key] = false));
+    this.airplane.setFlags(Object.assign(cleared, flags));
+  }
+
+  /**
+   * change the playing state and emit a "playing" event
+   * @param playing
+   */
+  setPlaying(playing) {
+    if (playing !== this.playing) {
+      this.playing = playing;
+      this.emit("playing", playing, !playing);
+    }
+  }
+}
@@ -0,0 +1,175 @@
+import Animated from "../animated";
+import { interval } from "../utils/time";
+import { clock } from "../utils/clock";
+import { round } from "../utils/math";
+import { savePanelState } from "../panel_state";
+
+/**
+ * Records a flight for replay with ./flight_player e.g. to debrief a student. The airplane
+ * is sampled at a fixed rate and every use of an instrument knob or button, and every
+ * change to the failure flags, is recorded as it happens. Recordings are plain objects,
+ * use JSON.stringify / JSON.parse to store or share them.
+ *
+ * {
+ *   version: 1,
+ *   start: { ... the panel state when recording started, see ../panel_state },
+ *   flags: { ... airplane flags when recording started },
+ *   properties: ["airspeed", "altitude", ...],
+ *   samples: [[time, airspeed, altitude, ...], ...],
+ *   events: [{ time, instrument: "altimeter", state: { barometer: 30.1 } },
+ *            { time, flags: { airspeed: true } }, ...],
+ *   duration
+ * }
+ *
+ * Times are milliseconds of simulated time since recording started.
+ */
+
+/**
+ * the version of recordings written by the recorder
+ * @type {number}
+ */
+export const RECORDING_VERSION = 1;
+
+/**
+ * the airplane properties that are sampled and the decimal places they are kept to
+ * @type {object}
+ */
+export const RECORDED_PROPERTIES = {
+  airspeed: 2,
+  altitude: 1,
+  altitudeRate: 1,
+  barometer: 3,
+  seaLevelPressure: 3,
+  isaDeviation: 2,
+  heading: 2,
+  headingRate: 3,
+  pitch: 2,
+  roll: 2,
+  rollRate: 3,
+  yaw: 2,
+  latitude: 6,
+  longitude: 6,
+  groundSpeed: 1,
+  groundTrack: 2,
+  rpm: 0,
+  manifoldPressure: 2,
+  fuelFlow: 2,
+  egt: 0,
+  cht: 0,
+  oilTemperature: 0,
+  oilPressure: 1,
+  tachHours: 4,
+  hobbsHours: 4
+};
+
+export default class FlightRecorder extends Animated {
+  /**
+   * requires an airplane, and usually the instruments whose knobs should be recorded
+   * @param config
+   */
+  constructor(config) {
+    super();
+    Object.assign(
+      this,
+      {
+        airplane: null,
+        instruments: [],
+        // milliseconds between samples of the airplane
+        sampleRate: 100
+      },
+      config
+    );
+    console.assert(this.airplane, "missing or invalid configuration options");
+    // the recording in progress, if any
+    this.recording = null;
+    // functions that remove our event listeners
+    this.unsubscribe = [];
+    this.addDisposable(() => this.stop());
+  }
+
+  /**
+   * start a new recording
+   */
+  start() {
+    console.assert(!this.recording, "already recording");
+    const a = this.airplane;
+    this.startTime = clock.now();
+    this.recording = {
+      version: RECORDING_VERSION,
+      start: savePanelState(a, this.instruments),
+      flags: Object.assign({}, a.flags),
+      properties: Object.keys(RECORDED_PROPERTIES),
+      samples: [],
+      events: [],
+      duration: 0
+    };
+    this.instruments.forEach(instrument => {
+      const onKnobs = state =>
+        this.addEvent({ instrument: instrument.id, state });
+      instrument.on("knobs", onKnobs);
+      this.unsubscribe.push(() => instrument.off("knobs", onKnobs));
+    });
+    const onFlags = flags => this.addEvent({ flags });
+    a.on("flags", onFlags);
+    this.unsubscribe.push(() => a.off("flags", onFlags));
+    this.sample();
+    this.addLerp(
+      "sample",
+      interval(() => this.sample(), this.sampleRate)
+    );
+    this.emit("recording", true, false);
+  }
+
+  /**
+   * stop recording and return the recording, null if not recording
+   * @returns {object}
+   */
+  stop() {
+    const recording = this.recording;
+    if (recording) {
+      this.sample();
+      this.cancelLerp("sample");
+      this.unsubscribe.forEach(f => f());
+      this.unsubscribe = [];
+      this.recording = null;
+      this.emit("recording", false, true);
+    }
+    return recording;
+  }
+
+  /**
+   * milliseconds since recording started
+   * @returns {number}
+   */
+  elapsed() {
+    return clock.now() - this.startTime;
+  }
+
+  /**
+   * record the current state of the airplane
+   */
+  sample() {
+    const time = this.elapsed();
+    const { samples } = this.recording;
+    // the final sample may fall on the same time as the last one
+    if (samples.length && samples[samples.length - 1][0] === time) {
+      samples.pop();
+    }
+    samples.push(
+      [time].concat(
+        this.recording.properties.map(key =>
+          round(this.airplane[key], RECORDED_PROPERTIES[key])
+        )
+      )
+    );
+    this.recording.duration = time;
+  }
+
+  /**
+   * record a knob action or flag change
+   * @param event
+   */
+  addEvent(event) {
+    this.recording.events.push(Object.assign({ time: this.elapsed() }, event));
+  }
+}
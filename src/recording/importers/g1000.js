@@ -0,0 +1,93 @@
+/**
+ * Reads the CSV flight data logs written to the SD card by a Garmin G1000 ( and G3X, which
+ * uses the same layout ). Lines starting with # hold the airframe details and units, the
+ * first other line names the columns and every line after it is one record, usually one a
+ * second. Cells are blank until the value is available e.g. the position before a GPS fix.
+ * Times are local, with the offset from UTC in its own column.
+ */
+
+/**
+ * the airplane property read from each column, the first of several columns that is present
+ * is used. All are in the airplane's units already.
+ * @type {object}
+ */
+export const G1000_COLUMNS = {
+  latitude: ["Latitude"],
+  longitude: ["Longitude"],
+  // indicated altitude, older logs only have the baro corrected altitude
+  altitude: ["AltInd", "AltB", "AltMSL"],
+  barometer: ["BaroA"],
+  airspeed: ["IAS"],
+  altitudeRate: ["VSpd"],
+  pitch: ["Pitch"],
+  roll: ["Roll"],
+  heading: ["HDG"],
+  groundSpeed: ["GndSpd"],
+  rpm: ["E1 RPM"],
+  manifoldPressure: ["E1 MAP"],
+  fuelFlow: ["E1 FFlow"],
+  oilTemperature: ["E1 OilT"],
+  oilPressure: ["E1 OilP"],
+  cht: ["E1 CHT1"],
+  egt: ["E1 EGT1"]
+};
+
+/**
+ * the time of a record in milliseconds since the epoch
+ * @param date - yyyy-mm-dd
+ * @param time - hh:mm:ss
+ * @param offset - e.g. -05:00, UTC if blank
+ * @returns {number}
+ */
+const recordTime = (date, time, offset) => {
+  const zone = /^[-+]\d{2}:\d{2}$/.test(offset) ? offset : "Z";
+  return Date.parse(`${date}T${time}${zone}`);
+};
+
+/**
+ * parse a G1000 log to points for ./timeline
+ * @param text
+ * @returns {object[]}
+ */
+export function parseG1000(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !line.startsWith("#"));
+  const header = (lines.shift() || "").split(",").map(name => name.trim());
+  const column = name => header.indexOf(name);
+  const date = column("Lcl Date");
+  const time = column("Lcl Time");
+  const offset = column("UTCOfst");
+  if (date < 0 || time < 0) {
+    throw new Error(
+      "not a G1000 log, missing the Lcl Date and Lcl Time columns"
+    );
+  }
+  const columns = {};
+  Object.keys(G1000_COLUMNS).forEach(key => {
+    const index = G1000_COLUMNS[key].map(column).find(i => i >= 0);
+    if (index !== undefined) {
+      columns[key] = index;
+    }
+  });
+  return lines.map(line => {
+    const cells = line.split(",").map(cell => cell.trim());
+    const point = {
+      time: recordTime(
+        cells[date],
+        cells[time],
+        offset >= 0 ? cells[offset] : ""
+      )
+    };
+    Object.keys(columns).forEach(key => {
+      const cell = cells[columns[key]];
+      if (cell) {
+        point[key] = Number(cell);
+      }
+    });
+    if (isFinite(point.barometer)) {
+      point.seaLevelPressure = point.barometer;
+    }
+    return point;
+  });
+}
@@ -0,0 +1,72 @@
+import { convertUnits } from "../../sources/units";
+
+/**
+ * Reads GPX files, the XML format exported by most GPS receivers, flight planning apps and
+ * tracking sites. Every timed track point is read, with its elevation in meters and, from
+ * GPX 1.0 files, its speed in meters per second and course over the ground in degrees.
+ *
+ * See https://www.topografix.com/gpx.asp
+ */
+
+/**
+ * the text of the first child element with the given name, null if there is none
+ * @param element
+ * @param name
+ * @returns {string|null}
+ */
+const childText = (element, name) => {
+  const child = element.getElementsByTagName(name)[0];
+  return child ? child.textContent.trim() : null;
+};
+
+/**
+ * parse an XML document, throwing if it is not well formed
+ * @param text
+ * @returns {Document}
+ */
+export function parseXML(text) {
+  const document = new DOMParser().parseFromString(text, "application/xml");
+  const error = document.getElementsByTagName("parsererror")[0];
+  if (error) {
+    throw new Error(`invalid XML: ${error.textContent.trim().split("\n")[0]}`);
+  }
+  return document;
+}
+
+/**
+ * parse a GPX file to points for ./timeline
+ * @param text
+ * @returns {object[]}
+ */
+export function parseGPX(text) {
+  const trackPoints = Array.from(parseXML(text).getElementsByTagName("trkpt"));
+  const points = [];
+  trackPoints.forEach(trackPoint => {
+    const time = childText(trackPoint, "time");
+    if (!time) {
+      return;
+    }
+    const point = {
+      time: Date.parse(time),
+      latitude: Number(trackPoint.getAttribute("lat")),
+      longitude: Number(trackPoint.getAttribute("lon"))
+    };
+    const elevation = childText(trackPoint, "ele");
+    if (elevation) {
+      point.altitude = convertUnits(Number(elevation), "m", "ft");
+    }
+    const speed = childText(trackPoint, "speed");
+    if (speed) {
+      point.groundSpeed = convertUnits(Number(speed), "m/s", "knots");
+    }
+    const course = childText(trackPoint, "course");
+    if (course) {
+      point.groundTrack = Number(course);
+    }
+    points.push(point);
+  });
+  if (!points.length) {
+    throw new Error("the GPX file has no timed track points");
+  }
+  return points;
+}
@@ -0,0 +1,129 @@
+import { convertUnits } from "../../sources/units";
+import { STANDARD_BAROMETER } from "../../utils/conversions";
+
+/**
+ * Reads IGC files, the format of the flight recorders used in gliding competitions and by
+ * most gliding and paragliding apps. Each line is a record identified by its first letter:
+ *
+ *   HFDTE   the date of the flight, DDMMYY
+ *   I       extensions appended to each fix and the columns they occupy
+ *   B       a fix, HHMMSS DDMMmmmN DDDMMmmmE A PPPPP GGGGG then any extensions
+ *
+ * where A is the fix validity, PPPPP the pressure altitude and GGGGG the GNSS altitude, in
+ * meters. Pressure altitudes are used with the standard sea level pressure, unless every fix
+ * has a pressure altitude of 0, which recorders without a pressure sensor write, when the
+ * GNSS altitudes are used instead. Times are UTC. Indicated airspeed ( IAS, km/h ) and magnetic heading ( HDM ) are
+ * read from the extensions when present.
+ *
+ * See the FAI Technical Specification for IGC-Approved GNSS Flight Recorders, appendix A
+ */
+
+// a fix, with the extensions left in the rest of the line
+const FIX = /^B(\d{2})(\d{2})(\d{2})(\d{2})(\d{5})([NS])(\d{3})(\d{5})([EW])([AV])([-\d]\d{4})([-\d]\d{4})/;
+
+// milliseconds in a day
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * the extensions that are read, with the airplane property each sets and its conversion
+ * @type {object}
+ */
+export const IGC_EXTENSIONS = {
+  IAS: {
+    property: "airspeed",
+    convert: value => convertUnits(value, "km/h", "knots")
+  },
+  HDM: { property: "heading", convert: value => value }
+};
+
+/**
+ * degrees from the degrees and thousandths of minutes of a fix
+ * @param degrees
+ * @param minutes
+ * @param hemisphere
+ * @returns {number}
+ */
+const toDegrees = (degrees, minutes, hemisphere) => {
+  const value = Number(degrees) + Number(minutes) / 60000;
+  return hemisphere === "S" || hemisphere === "W" ? -value : value;
+};
+
+/**
+ * parse an IGC file to points for ./timeline
+ * @param text
+ * @returns {object[]}
+ */
+export function parseIGC(text) {
+  let date = null;
+  let extensions = [];
+  let lastTime = -Infinity;
+  let days = 0;
+  const points = [];
+  // the pressure and GNSS altitudes of each point, in meters, and whether the fix was 3D
+  const altitudes = [];
+  text.split(/\r?\n/).forEach(line => {
+    const header = line.match(/^HFDTE(?:DATE:)?(\d{2})(\d{2})(\d{2})/);
+    if (header) {
+      const year = Number(header[3]);
+      date = Date.UTC(
+        year < 80 ? 2000 + year : 1900 + year,
+        header[2] - 1,
+        header[1]
+      );
+    } else if (line.startsWith("I")) {
+      // count, then start and end columns and code of each extension, columns are 1 based
+      extensions = (line.slice(3).match(/\d{4}[A-Z0-9]{3}/g) || []).map(e => ({
+        start: Number(e.slice(0, 2)) - 1,
+        end: Number(e.slice(2, 4)),
+        code: e.slice(4)
+      }));
+    } else {
+      const fix = line.match(FIX);
+      if (!fix) {
+        return;
+      }
+      if (date === null) {
+        throw new Error("not an IGC file, fixes before the HFDTE date record");
+      }
+      let time =
+        ((Number(fix[1]) * 60 + Number(fix[2])) * 60 + Number(fix[3])) * 1000;
+      // fixes continue past midnight UTC
+      if (time + days * DAY < lastTime) {
+        days += 1;
+      }
+      time += days * DAY;
+      lastTime = time;
+      const point = {
+        time: date + time,
+        latitude: toDegrees(fix[4], fix[5], fix[6]),
+        longitude: toDegrees(fix[7], fix[8], fix[9])
+      };
+      altitudes.push({
+        pressure: Number(fix[11]),
+        gnss: Number(fix[12]),
+        valid: fix[10] === "A"
+      });
+      extensions.forEach(({ start, end, code }) => {
+        const extension = IGC_EXTENSIONS[code];
+        const value = line.slice(start, end);
+        if (extension && /^\d+$/.test(value)) {
+          point[extension.property] = extension.convert(Number(value));
+        }
+      });
+      points.push(point);
+    }
+  });
+  // decided once for the file so the altitude never switches source between fixes
+  const hasPressure = altitudes.some(({ pressure }) => pressure !== 0);
+  points.forEach((point, i) => {
+    const { pressure, gnss, valid } = altitudes[i];
+    if (hasPressure) {
+      point.altitude = convertUnits(pressure, "m", "ft");
+      point.seaLevelPressure = STANDARD_BAROMETER;
+    } else if (valid) {
+      // the GNSS altitude is not valid for a 2D fix
+      point.altitude = convertUnits(gnss, "m", "ft");
+    }
+  });
+  return points;
+}
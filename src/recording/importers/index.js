@@ -0,0 +1,49 @@
+import { profiles } from "../../profiles";
+import { pointsToRecording } from "./timeline";
+import { parseG1000 } from "./g1000";
+import { parseIGC } from "./igc";
+import { parseGPX } from "./gpx";
+import { parseKML } from "./kml";
+
+/**
+ * Imports flight data logs from other systems as recordings that can be replayed on the
+ * panel with ../flight_player. The format is chosen by the file extension.
+ */
+
+/**
+ * the supported formats by file extension, with the parser for each and any options for
+ * ./timeline e.g. IGC files are almost always from gliders
+ * @type {object}
+ */
+export const IMPORT_FORMATS = {
+  csv: { name: "Garmin G1000 CSV", parse: parseG1000 },
+  igc: { name: "IGC", parse: parseIGC, options: { profile: profiles.ask21 } },
+  gpx: { name: "GPX", parse: parseGPX },
+  kml: { name: "KML", parse: parseKML }
+};
+
+/**
+ * the extension of a file name, lower case, e.g. "igc"
+ * @param fileName
+ * @returns {string}
+ */
+export const fileExtension = fileName =>
+  (fileName.match(/\.([^.]+)$/) || ["", ""])[1].toLowerCase();
+
+/**
+ * import a flight log, throwing if the format is not supported or the log cannot be read
+ * @param fileName
+ * @param text
+ * @param options - options for ./timeline, override those of the format
+ * @returns {object} a recording
+ */
+export function importFlightLog(fileName, text, options = {}) {
+  const format = IMPORT_FORMATS[fileExtension(fileName)];
+  if (!format) {
+    throw new Error(`${fileName} is not a supported flight log`);
+  }
+  return pointsToRecording(
+    format.parse(text),
+    Object.assign({}, format.options, options)
+  );
+}
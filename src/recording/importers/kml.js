@@ -0,0 +1,73 @@
+import { convertUnits } from "../../sources/units";
+import { parseXML } from "./gpx";
+
+/**
+ * Reads KML files, the format of Google Earth, as exported by FlightAware, Flightradar24 and
+ * many flight logging apps. Tracks are read from gx:Track elements, which pair each when
+ * time with a gx:coord position, or failing those from placemarks that each have a
+ * TimeStamp and a Point. Positions are longitude, latitude and altitude in meters.
+ *
+ * See https://developers.google.com/kml/documentation/kmlreference
+ */
+
+/**
+ * a point from a KML position and time
+ * @param coordinates - e.g. "-122.3 47.4 120" or "-122.3,47.4,120"
+ * @param when - an ISO 8601 time
+ * @returns {object}
+ */
+const toPoint = (coordinates, when) => {
+  const [longitude, latitude, altitude] = coordinates
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  const point = { time: Date.parse(when.trim()), latitude, longitude };
+  if (isFinite(altitude)) {
+    point.altitude = convertUnits(altitude, "m", "ft");
+  }
+  return point;
+};
+
+/**
+ * the text of the elements with the given local name, in any namespace
+ * @param element
+ * @param name
+ * @returns {string[]}
+ */
+const texts = (element, name) =>
+  Array.from(element.getElementsByTagNameNS("*", name)).map(e => e.textContent);
+
+/**
+ * parse a KML file to points for ./timeline
+ * @param text
+ * @returns {object[]}
+ */
+export function parseKML(text) {
+  const document = parseXML(text);
+  let points = [];
+  Array.from(document.getElementsByTagNameNS("*", "Track")).forEach(track => {
+    const whens = texts(track, "when");
+    const coords = texts(track, "coord");
+    whens.forEach((when, i) => {
+      if (coords[i]) {
+        points.push(toPoint(coords[i], when));
+      }
+    });
+  });
+  if (!points.length) {
+    points = Array.from(document.getElementsByTagNameNS("*", "Placemark"))
+      .map(placemark => {
+        const when = texts(placemark, "TimeStamp").length
+          ? texts(placemark, "when")[0]
+          : null;
+        const point = placemark.getElementsByTagNameNS("*", "Point")[0];
+        const coordinates = point ? texts(point, "coordinates")[0] : null;
+        return when && coordinates ? toPoint(coordinates, when) : null;
+      })
+      .filter(point => point);
+  }
+  if (!points.length) {
+    throw new Error("the KML file has no timed positions");
+  }
+  return points;
+}
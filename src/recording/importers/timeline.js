@@ -0,0 +1,230 @@
+import { D2R, R2D, angularDelta } from "../../geometry/angle";
+import { signedDegreesToPositive360 } from "../../utils/conversions";
+import {
+  MAGNETIC_MODEL,
+  magneticVariation,
+  trueToMagnetic
+} from "../../utils/magnetic";
+import { convertUnits } from "../../sources/units";
+import { round } from "../../utils/math";
+import { PANEL_STATE_VERSION } from "../../panel_state";
+import { RECORDING_VERSION, RECORDED_PROPERTIES } from "../flight_recorder";
+
+/**
+ * Turns the points read from a flight log into a recording for ../flight_player. Points are
+ * { time, ...airplane properties } with the time in milliseconds since the epoch and the
+ * properties in the airplane's units, see ../../sources/units. Logs are sampled irregularly
+ * and often have gaps, so every property is resampled onto a uniform timeline, then whatever
+ * the log does not have is derived from what it does:
+ *
+ *   ground speed and track   from the change in position
+ *   airspeed                 from the ground speed, assuming no wind
+ *   heading                  from the ground track, corrected for magnetic variation
+ *   vertical speed           from the change in altitude
+ *   turn and roll rates      from the change in heading and roll
+ *   roll                     from the turn rate and airspeed, assuming a coordinated turn
+ *   pitch                    from the vertical speed and airspeed, the flight path angle
+ */
+
+// meters per second squared
+const G = 9.80665;
+// nautical miles per degree of latitude
+const NM_PER_DEGREE = 60;
+// below this ground speed, in knots, the track from the change in position is just noise
+const MIN_TRACK_SPEED = 2;
+// limits on derived attitudes, degrees
+const MAX_DERIVED_ROLL = 60;
+const MAX_DERIVED_PITCH = 30;
+// properties that are headings, interpolated the short way round
+const ANGLES = ["heading", "groundTrack"];
+
+/**
+ * resample the values of one property onto the uniform times, interpolating between the
+ * points that have it and holding the first and last values beyond them
+ * @param points
+ * @param key
+ * @param times
+ * @returns {number[]|null} null if no point has the property
+ */
+function resample(points, key, times) {
+  const known = points.filter(p => isFinite(p[key]) && p[key] !== null);
+  if (!known.length) {
+    return null;
+  }
+  const angle = ANGLES.indexOf(key) >= 0;
+  let index = 0;
+  return times.map(time => {
+    while (index < known.length - 1 && known[index + 1].time <= time) {
+      index += 1;
+    }
+    const before = known[index];
+    const after = known[Math.min(known.length - 1, index + 1)];
+    const span = after.time - before.time;
+    const t =
+      span > 0 ? Math.max(0, Math.min(1, (time - before.time) / span)) : 0;
+    const from = Number(before[key]);
+    const to = Number(after[key]);
+    return angle
+      ? signedDegreesToPositive360(from + angularDelta(from, to) * t)
+      : from + (to - from) * t;
+  });
+}
+
+/**
+ * the rate of change per second of a series at each sample, from the samples either side
+ * @param values
+ * @param sampleRate - milliseconds between samples
+ * @param span - samples either side to difference over
+ * @param angle - the values are headings
+ * @returns {number[]}
+ */
+function derivative(values, sampleRate, span, angle = false) {
+  return values.map((value, i) => {
+    const first = Math.max(0, i - span);
+    const last = Math.min(values.length - 1, i + span);
+    if (last === first) {
+      return 0;
+    }
+    const change = angle
+      ? angularDelta(values[first], values[last])
+      : values[last] - values[first];
+    return change / (((last - first) * sampleRate) / 1000);
+  });
+}
+
+/**
+ * convert points from a log to a recording
+ * @param points - [{ time, latitude, longitude, altitude, ... }, ...]
+ * @param options - sampleRate, milliseconds between samples, derivativeWindow, milliseconds
+ * over which rates are found, and profile, the aircraft profile to load, see ../../profiles
+ * @returns {object}
+ */
+export function pointsToRecording(points, options = {}) {
+  const { sampleRate, derivativeWindow, profile } = Object.assign(
+    { sampleRate: 1000, derivativeWindow: 4000, profile: null },
+    options
+  );
+  // in time order with one point per time, the last one wins
+  const timed = points
+    .filter(p => isFinite(p.time) && p.time !== null)
+    .sort((a, b) => a.time - b.time)
+    .filter(
+      (p, i, sorted) => i === sorted.length - 1 || sorted[i + 1].time !== p.time
+    );
+  if (timed.length < 2) {
+    throw new Error("the log has fewer than two timed points");
+  }
+  const startTime = timed[0].time;
+  const count =
+    Math.floor((timed[timed.length - 1].time - startTime) / sampleRate) + 1;
+  const times = Array.from(
+    { length: count },
+    (_, i) => startTime + i * sampleRate
+  );
+  const span = Math.max(1, Math.round(derivativeWindow / 2 / sampleRate));
+
+  const series = {};
+  Object.keys(RECORDED_PROPERTIES).forEach(key => {
+    const values = resample(timed, key, times);
+    if (values) {
+      series[key] = values;
+    }
+  });
+  const has = key => !!series[key];
+
+  if (has("latitude") && has("longitude")) {
+    // knots east and north from the change in position
+    const east = derivative(series.longitude, sampleRate, span).map(
+      (rate, i) =>
+        rate * 3600 * NM_PER_DEGREE * Math.cos(D2R(series.latitude[i]))
+    );
+    const north = derivative(series.latitude, sampleRate, span).map(
+      rate => rate * 3600 * NM_PER_DEGREE
+    );
+    if (!has("groundSpeed")) {
+      series.groundSpeed = east.map((e, i) => Math.hypot(e, north[i]));
+    }
+    if (!has("groundTrack")) {
+      let track = 0;
+      series.groundTrack = east.map((e, i) => {
+        if (Math.hypot(e, north[i]) >= MIN_TRACK_SPEED) {
+          track = signedDegreesToPositive360(R2D(Math.atan2(e, north[i])));
+        }
+        return track;
+      });
+    }
+  }
+  if (!has("airspeed") && has("groundSpeed")) {
+    series.airspeed = series.groundSpeed.slice();
+  }
+  if (!has("heading") && has("groundTrack")) {
+    // the variation changes slowly enough that logs from outside the years the magnetic
+    // model is valid for can use the variation at the nearest year it is
+    const date = new Date(
+      Math.max(
+        Date.UTC(MAGNETIC_MODEL.epoch, 0, 1),
+        Math.min(Date.UTC(MAGNETIC_MODEL.validUntil, 0, 1), startTime)
+      )
+    );
+    series.heading = series.groundTrack.map((track, i) =>
+      has("latitude")
+        ? trueToMagnetic(
+            track,
+            magneticVariation(
+              series.latitude[i],
+              series.longitude[i],
+              has("altitude") ? series.altitude[i] : 0,
+              date
+            )
+          )
+        : track
+    );
+  }
+  if (!has("altitudeRate") && has("altitude")) {
+    series.altitudeRate = derivative(series.altitude, sampleRate, span).map(
+      rate => rate * 60
+    );
+  }
+  if (!has("headingRate") && has("heading")) {
+    series.headingRate = derivative(series.heading, sampleRate, span, true);
+  }
+  if (!has("roll") && has("headingRate") && has("airspeed")) {
+    series.roll = series.headingRate.map((rate, i) => {
+      const speed = convertUnits(series.airspeed[i], "knots", "m/s");
+      const bank = R2D(Math.atan((D2R(rate) * speed) / G));
+      return Math.max(-MAX_DERIVED_ROLL, Math.min(MAX_DERIVED_ROLL, bank));
+    });
+  }
+  if (!has("rollRate") && has("roll")) {
+    series.rollRate = derivative(series.roll, sampleRate, span);
+  }
+  if (!has("pitch") && has("altitudeRate") && has("airspeed")) {
+    series.pitch = series.altitudeRate.map((rate, i) => {
+      const climb = convertUnits(rate, "ft/min", "knots");
+      const angle =
+        series.airspeed[i] > 1 ? R2D(Math.atan(climb / series.airspeed[i])) : 0;
+      return Math.max(-MAX_DERIVED_PITCH, Math.min(MAX_DERIVED_PITCH, angle));
+    });
+  }
+
+  const properties = Object.keys(RECORDED_PROPERTIES).filter(has);
+  const samples = times.map((time, i) =>
+    [time - startTime].concat(
+      properties.map(key => round(series[key][i], RECORDED_PROPERTIES[key]))
+    )
+  );
+  const airplane = { derivedRates: false };
+  properties.forEach((key, index) => (airplane[key] = samples[0][index + 1]));
+  if (profile) {
+    airplane.profile = profile;
+  }
+  return {
+    version: RECORDING_VERSION,
+    start: { version: PANEL_STATE_VERSION, airplane, instruments: {} },
+    flags: {},
+    properties,
+    samples,
+    events: [],
+    duration: samples[samples.length - 1][0]
+  };
+}
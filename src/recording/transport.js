@@ -0,0 +1,268 @@
+import Disposable from "../disposable";
+import D from "DOMArray";
+import FlightRecorder, { RECORDING_VERSION } from "./flight_recorder";
+import FlightPlayer, { SPEEDS } from "./flight_player";
+import { IMPORT_FORMATS, fileExtension, importFlightLog } from "./importers";
+
+/**
+ * A minimal transport for recording a flight and replaying it, shown under the panel.
+ * Record starts and stops a recording, which can then be played, paused, seeked with the
+ * slider, looped and sped up or slowed down. Live returns the panel to whatever was
+ * driving it before the replay. Recordings can be saved to and opened from JSON files, and
+ * flight logs from other systems e.g. a G1000 CSV or IGC file are opened as recordings.
+ *
+ * The onReplay callback is called with true when a replay takes over the airplane and
+ * false when it hands it back, so live drivers e.g. a data source can be stopped and started.
+ */
+
+/**
+ * format milliseconds as minutes and seconds e.g. 2:05
+ * @param milliseconds
+ * @returns {string}
+ */
+const formatTime = milliseconds => {
+  const seconds = Math.floor(milliseconds / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+export default class Transport extends Disposable {
+  /**
+   * requires a parent element and an airplane, and usually the instruments
+   * @param config
+   */
+  constructor(config) {
+    super();
+    Object.assign(
+      this,
+      {
+        parentElement: null,
+        airplane: null,
+        instruments: [],
+        onReplay: () => {}
+      },
+      config
+    );
+    console.assert(
+      this.parentElement && this.airplane,
+      "missing or invalid configuration options"
+    );
+    this.recording = null;
+    this.player = null;
+    this.recorder = new FlightRecorder({
+      airplane: this.airplane,
+      instruments: this.instruments
+    });
+
+    // recordings, and the flight logs that can be imported
+    const accept = [".json", "application/json"]
+      .concat(Object.keys(IMPORT_FORMATS).map(extension => `.${extension}`))
+      .join(",");
+    this.template = D(`
+      <div class="transport">
+        <button r="recordButton" e-click="onRecord">Record</button>
+        <button r="playButton" e-click="onPlay">Play</button>
+        <input r="seekSlider" type="range" min="0" max="0" step="100" value="0" e-input="onSeek"/>
+        <span r="timeText" class="time">0:00 / 0:00</span>
+        <select r="speedSelect" e-change="onSpeed">
+          ${SPEEDS.map(
+            speed =>
+              `<option value="${speed}"${
+                speed === 1 ? " selected" : ""
+              }>${speed}x</option>`
+          ).join("")}
+        </select>
+        <label><input r="loopCheckbox" type="checkbox" e-change="onLoop"/>Loop</label>
+        <button r="liveButton" e-click="onLive">Live</button>
+        <button r="saveButton" e-click="onSave">Save</button>
+        <label class="button">Open<input r="openInput" type="file" accept="${accept}" e-change="onOpen"/></label>
+      </div>
+    `);
+    this.template.zip(this);
+    this.template.appendTo(this.parentElement);
+    this.updateButtons();
+
+    this.addDisposable(() => {
+      this.stopReplay();
+      this.recorder.dispose();
+      this.template.unzip(this);
+      this.template.remove();
+    });
+  }
+
+  /**
+   * start or stop recording. Recording ends any replay.
+   */
+  onRecord() {
+    if (this.recorder.recording) {
+      this.recording = this.recorder.stop();
+      this.updateTime(0);
+    } else {
+      this.stopReplay();
+      this.recorder.start();
+    }
+    this.updateButtons();
+  }
+
+  /**
+   * play or pause the replay, starting one if needed
+   */
+  onPlay() {
+    const player = this.startReplay();
+    if (player.playing) {
+      player.pause();
+    } else {
+      player.play();
+    }
+  }
+
+  /**
+   * the slider was moved
+   * @param event
+   */
+  onSeek(event) {
+    this.startReplay().seek(Number(event.target.value));
+  }
+
+  /**
+   * a new speed was chosen
+   * @param event
+   */
+  onSpeed(event) {
+    if (this.player) {
+      this.player.setSpeed(Number(event.target.value));
+    }
+  }
+
+  /**
+   * looping was turned on or off
+   * @param event
+   */
+  onLoop(event) {
+    if (this.player) {
+      this.player.setLoop(event.target.checked);
+    }
+  }
+
+  /**
+   * end the replay and hand the panel back
+   */
+  onLive() {
+    this.stopReplay();
+    this.updateButtons();
+  }
+
+  /**
+   * download the recording as a JSON file
+   */
+  onSave() {
+    const blob = new Blob([JSON.stringify(this.recording)], {
+      type: "application/json"
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `flight-${new Date()
+      .toISOString()
+      .slice(0, 19)
+      .replace(/:/g, "-")}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * open a recording saved with onSave, or import a flight log
+   * @param event
+   */
+  onOpen(event) {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      let recording;
+      try {
+        recording =
+          fileExtension(file.name) in IMPORT_FORMATS
+            ? importFlightLog(file.name, reader.result)
+            : JSON.parse(reader.result);
+      } catch (error) {
+        console.error(`cannot open ${file.name}: ${error.message}`);
+        return;
+      }
+      if (!recording || recording.version !== RECORDING_VERSION) {
+        console.error(`${file.name} is not a flight recording`);
+        return;
+      }
+      this.stopReplay();
+      this.recording = recording;
+      this.startReplay();
+      this.updateButtons();
+    };
+    reader.readAsText(file);
+    // allow the same file to be opened again
+    event.target.value = "";
+  }
+
+  /**
+   * the player for the current recording, created when first needed
+   * @returns {FlightPlayer}
+   */
+  startReplay() {
+    if (!this.player) {
+      this.onReplay(true);
+      this.player = new FlightPlayer({
+        airplane: this.airplane,
+        instruments: this.instruments,
+        recording: this.recording,
+        speed: Number(this.speedSelect.value),
+        loop: this.loopCheckbox.checked
+      });
+      this.player.on("position", position => this.updateTime(position));
+      this.player.on("playing", () => this.updateButtons());
+      this.updateTime(this.player.position);
+      this.updateButtons();
+    }
+    return this.player;
+  }
+
+  /**
+   * end any replay
+   */
+  stopReplay() {
+    if (this.player) {
+      this.player.dispose();
+      this.player = null;
+      this.onReplay(false);
+    }
+  }
+
+  /**
+   * show the position and duration of the recording
+   * @param position
+   */
+  updateTime(position) {
+    const duration = this.recording ? this.recording.duration : 0;
+    this.seekSlider.setAttribute("max", duration);
+    this.seekSlider.value = position;
+    this.timeText.textContent = `${formatTime(position)} / ${formatTime(
+      duration
+    )}`;
+  }
+
+  /**
+   * enable the controls that can be used now and label the buttons
+   */
+  updateButtons() {
+    const recording = !!this.recorder.recording;
+    const replayable = !recording && !!this.recording;
+    this.recordButton.textContent = recording ? "Stop" : "Record";
+    this.playButton.textContent =
+      this.player && this.player.playing ? "Pause" : "Play";
+    this.playButton.disabled = !replayable;
+    this.seekSlider.disabled = !replayable;
+    this.saveButton.disabled = !replayable;
+    this.liveButton.disabled = !this.player;
+    this.openInput.disabled = recording;
+  }
+}
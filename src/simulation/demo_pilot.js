@@ -0,0 +1,116 @@
+import Animated from "../animated";
+import { interval } from "../utils/time";
+import { clock } from "../utils/clock";
+import { angularDelta } from "../geometry/angle";
+
+/**
+ * A very simple autopilot that flies a flight model to randomly chosen headings,
+ * altitudes and power settings so that a panel in demo mode tells a consistent story.
+ */
+
+// limits on commanded bank angle, pitch and vertical speed
+const MAX_BANK = 25;
+const MIN_PITCH = -8;
+const MAX_PITCH = 12;
+const MAX_CLIMB = 700;
+const MAX_DESCENT = 800;
+
+export default class DemoPilot extends Animated {
+  /**
+   * requires a flight model to fly
+   * @param config
+   */
+  constructor(config) {
+    super();
+    Object.assign(
+      this,
+      {
+        model: null,
+        // milliseconds between control updates
+        tickRate: 50,
+        // milliseconds between new targets
+        targetRate: 30000
+      },
+      config
+    );
+    console.assert(this.model, "missing or invalid configuration options");
+    this.airplane = this.model.airplane;
+    this.targetPitch = this.airplane.pitch;
+    this.chooseTargets();
+  }
+
+  /**
+   * start flying, this also starts the flight model
+   */
+  start() {
+    this.model.start();
+    this.addLerp(
+      "targets",
+      interval(() => this.chooseTargets(), this.targetRate)
+    );
+    let last = clock.now();
+    this.addLerp(
+      "fly",
+      interval(() => {
+        const now = clock.now();
+        this.fly(Math.min(0.25, (now - last) / 1000));
+        last = now;
+      }, this.tickRate)
+    );
+  }
+
+  /**
+   * stop flying and stop the flight model
+   */
+  stop() {
+    this.cancelAllLerps();
+    this.model.stop();
+  }
+
+  /**
+   * pick a new heading, altitude and power setting
+   */
+  chooseTargets() {
+    this.targetHeading = 360 * Math.random();
+    this.targetAltitude =
+      1000 + (this.airplane.SERVICE_CEILING / 2 - 1000) * Math.random();
+    this.targetThrottle = 0.65 + 0.35 * Math.random();
+  }
+
+  /**
+   * update the controls of the flight model
+   * @param dt
+   */
+  fly(dt) {
+    const a = this.airplane;
+
+    // bank towards the target heading, then hold the bank with the ailerons
+    const headingError = angularDelta(a.heading, this.targetHeading);
+    const targetBank = Math.max(-MAX_BANK, Math.min(MAX_BANK, headingError));
+    const aileron = 0.05 * (targetBank - a.roll) - 0.02 * a.rollRate;
+
+    // trim the pitch attitude to achieve a vertical speed proportional to the altitude error
+    const targetRate = Math.max(
+      -MAX_DESCENT,
+      Math.min(MAX_CLIMB, (this.targetAltitude - a.altitude) * 2)
+    );
+    this.targetPitch = Math.max(
+      MIN_PITCH,
+      Math.min(
+        MAX_PITCH,
+        this.targetPitch + 0.002 * (targetRate - a.altitudeRate) * dt
+      )
+    );
+    // back off the climb rather than stall
+    if (a.airspeed < a.VS1 * 1.3) {
+      this.targetPitch -= 2 * dt;
+    }
+    const elevator = 0.3 * (this.targetPitch - a.pitch) - 0.05 * a.pitchRate;
+
+    // full power to climb, less to descend, and center the ball with the rudder
+    const throttle = targetRate > 100 ? 1 : this.targetThrottle;
+    const rudder = -0.1 * a.yaw;
+
+    this.model.setControls({ elevator, aileron, rudder, throttle });
+  }
+}
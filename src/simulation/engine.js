@@ -0,0 +1,311 @@
+import Animated from "../animated";
+import { interval } from "../utils/time";
+import { clock } from "../utils/clock";
+import { STANDARD_BAROMETER, celsiusToFahrenheit } from "../utils/conversions";
+import { ISA_SEA_LEVEL_DENSITY } from "../utils/atmosphere";
+
+/**
+ * A normally aspirated, carburetted piston engine. Throttle, mixture, propeller and carb heat
+ * are integrated each tick to produce RPM, manifold pressure, fuel flow, exhaust gas temperature,
+ * cylinder head temperature, oil temperature and oil pressure, which are written to the airplane.
+ * Power falls off with density altitude, RPM rises with airspeed and a dead engine windmills.
+ * RPM limits come from the airplane profile, everything else from the config. Temperatures are
+ * fahrenheit, pressures inches of mercury ( manifold ) and psi ( oil ), fuel flow gallons per hour.
+ * Like the flight model this is for training panels, the numbers are plausible, not certified.
+ */
+
+// fraction of ambient pressure in the manifold at idle and full throttle
+const IDLE_MANIFOLD = 0.35;
+const FULL_MANIFOLD = 0.97;
+// fuel / air ratio, relative to best power, with the mixture full rich at sea level
+const FULL_RICH = 1.2;
+// fuel / air ratio, relative to best power, at peak EGT and where the engine stops firing
+const PEAK_EGT_MIXTURE = 0.87;
+const LEAN_CUTOFF = 0.55;
+// carb heat lowers the density of the intake air, and so power, and richens the mixture
+const CARB_HEAT_POWER = 0.9;
+const CARB_HEAT_RICHEN = 1.1;
+// seconds for carb ice to fully block the venturi, and for carb heat to melt it
+const ICING_TIME = 180;
+const MELTING_TIME = 30;
+// manifold pressure lost with the venturi fully iced
+const ICE_MANIFOLD_LOSS = 0.5;
+// power lost and RPM roughness ( +/- ) running on one magneto
+const ROUGH_MAG_POWER = 0.93;
+const ROUGH_MAG_RPM = 40;
+// RPM gained per knot of indicated airspeed by a fixed pitch propeller, and when windmilling
+const AIRSPEED_RPM = 2;
+const WINDMILL_RPM = 9;
+// indicated airspeed below which a stopped propeller stays stopped
+const WINDMILL_START = 60;
+// the engine fires above this RPM if it has fuel, whether cranked or windmilling
+const FIRING_RPM = 300;
+// time constants in seconds
+const RPM_LAG = 0.8;
+const MANIFOLD_LAG = 0.3;
+const EGT_LAG = 8;
+const CHT_LAG = 90;
+const OIL_TEMPERATURE_LAG = 240;
+const OIL_PRESSURE_LAG = 1;
+
+/**
+ * move value towards target with the given time constant
+ * @param value
+ * @param target
+ * @param timeConstant - seconds
+ * @param dt - seconds
+ * @returns {number}
+ */
+const approach = (value, target, timeConstant, dt) =>
+  value + (target - value) * (1 - Math.exp(-dt / timeConstant));
+
+export default class Engine extends Animated {
+  /**
+   * requires an airplane
+   * @param config
+   */
+  constructor(config) {
+    super();
+    Object.assign(
+      this,
+      {
+        airplane: null,
+        // milliseconds between integration steps when running standalone, see start
+        tickRate: 50,
+        // throttle 0 ( idle ) .. 1 ( full power )
+        throttle: 0,
+        // mixture 0 ( idle cutoff ) .. 1 ( full rich )
+        mixture: 1,
+        // propeller 0 ( coarse ) .. 1 ( fine ), only used with a constant speed propeller
+        prop: 1,
+        // carb heat on or off
+        carbHeat: false,
+        // true for a constant speed propeller, false for fixed pitch
+        constantSpeed: false,
+        // lowest RPM the propeller governor can hold
+        minimumGovernedRPM: 1800,
+        // fuel flow in gallons per hour at full power, full rich, at sea level
+        fullPowerFuelFlow: 14,
+        // temperature limits, fahrenheit, used to shape the temperature curves
+        peakEGT: 1450,
+        maxCHT: 500,
+        normalOilTemperature: 190,
+        // oil pressure at red line RPM and normal oil temperature, psi
+        normalOilPressure: 75,
+        // failure modes that can be enabled at any time
+        failures: {
+          // one magneto has failed, the engine runs rough with a small loss of power
+          roughMag: false,
+          // conditions are right for carb ice, which builds unless carb heat is on
+          carbIce: false
+        }
+      },
+      config
+    );
+    console.assert(this.airplane, "missing or invalid configuration options");
+
+    // state that is not kept by the airplane, 0 .. 1 blockage of the venturi by ice
+    this.ice = 0;
+  }
+
+  /**
+   * set any or all of the engine controls
+   * @param controls - e.g. { throttle: 1, mixture: 0.8, carbHeat: true }
+   */
+  setControls(controls) {
+    ["throttle", "mixture", "prop"].forEach(key => {
+      if (key in controls) {
+        this[key] = Math.max(0, Math.min(1, controls[key]));
+      }
+    });
+    if ("carbHeat" in controls) {
+      this.carbHeat = !!controls.carbHeat;
+    }
+  }
+
+  /**
+   * enable or disable failure modes
+   * @param failures - e.g. { carbIce: true }
+   */
+  setFailures(failures) {
+    Object.assign(this.failures, failures);
+  }
+
+  /**
+   * turn the engine over with the starter, it will run if the mixture allows
+   */
+  crank() {
+    const a = this.airplane;
+    if (a.rpm < FIRING_RPM) {
+      a.update({ rpm: FIRING_RPM });
+    }
+  }
+
+  /**
+   * start integrating at the tick rate. Not required when the engine is driven by a flight model.
+   */
+  start() {
+    let last = clock.now();
+    this.addLerp(
+      "tick",
+      interval(() => {
+        const now = clock.now();
+        this.step(Math.min(0.25, (now - last) / 1000));
+        last = now;
+      }, this.tickRate)
+    );
+  }
+
+  /**
+   * stop integrating
+   */
+  stop() {
+    this.cancelLerp("tick");
+  }
+
+  /**
+   * advance the engine by the given number of seconds and update the airplane
+   * @param dt
+   */
+  step(dt) {
+    if (dt <= 0) {
+      return;
+    }
+    const a = this.airplane;
+    // gliders have no engine
+    if (a.redLine <= a.idle) {
+      a.update({
+        rpm: 0,
+        manifoldPressure: a.staticPressure,
+        fuelFlow: 0,
+        enginePower: 0
+      });
+      return;
+    }
+    const oatF = celsiusToFahrenheit(a.outsideAirTemperature);
+    const sigma = a.airDensity / ISA_SEA_LEVEL_DENSITY;
+
+    // carb ice builds while the conditions are right and melts with carb heat
+    if (this.carbHeat) {
+      this.ice = Math.max(0, this.ice - dt / MELTING_TIME);
+    } else if (this.failures.carbIce) {
+      this.ice = Math.min(1, this.ice + dt / ICING_TIME);
+    }
+
+    // the carburettor meters fuel by volume so the mixture richens as the air thins
+    let fuelAir = (this.mixture * FULL_RICH) / Math.sqrt(sigma);
+    if (this.carbHeat) {
+      fuelAir *= CARB_HEAT_RICHEN;
+    }
+    const firing = fuelAir >= LEAN_CUTOFF && a.rpm >= FIRING_RPM;
+
+    // manifold pressure follows the throttle, less whatever the ice is blocking.
+    // A stopped engine draws no vacuum.
+    const manifoldTarget = firing
+      ? a.staticPressure *
+        (IDLE_MANIFOLD + (FULL_MANIFOLD - IDLE_MANIFOLD) * this.throttle) *
+        (1 - ICE_MANIFOLD_LOSS * this.ice)
+      : a.staticPressure;
+    const manifoldPressure = approach(
+      a.manifoldPressure,
+      manifoldTarget,
+      MANIFOLD_LAG,
+      dt
+    );
+
+    // best power at 1, a little lost when rich and a lot when lean
+    const mixturePower = firing
+      ? fuelAir > 1
+        ? 1 - 0.5 * Math.pow(fuelAir - 1, 2)
+        : 1 - 2.5 * Math.pow(1 - fuelAir, 2)
+      : 0;
+
+    // power as a fraction of rated power, roughly proportional to manifold pressure and RPM
+    const power = Math.max(
+      0,
+      (manifoldPressure / STANDARD_BAROMETER) *
+        (0.4 + (0.6 * a.rpm) / a.redLine) *
+        mixturePower *
+        (this.carbHeat ? CARB_HEAT_POWER : 1) *
+        (this.failures.roughMag ? ROUGH_MAG_POWER : 1)
+    );
+
+    // RPM, from the power and airspeed for a fixed pitch propeller or the governor
+    // for a constant speed propeller. A dead engine windmills above a minimum speed.
+    let rpmTarget = 0;
+    if (firing) {
+      const fixedPitch =
+        a.idle +
+        (a.redLine - a.idle) * Math.sqrt(power / FULL_MANIFOLD) * 0.85 +
+        a.airspeed * AIRSPEED_RPM;
+      const governed =
+        this.minimumGovernedRPM +
+        (a.redLine - this.minimumGovernedRPM) * this.prop;
+      rpmTarget = this.constantSpeed
+        ? Math.min(fixedPitch, governed)
+        : fixedPitch;
+      if (this.failures.roughMag) {
+        rpmTarget += ROUGH_MAG_RPM * (2 * Math.random() - 1);
+      }
+    } else if (a.rpm > 0 || a.airspeed > WINDMILL_START) {
+      rpmTarget = a.airspeed * WINDMILL_RPM;
+    }
+    const rpm = Math.max(0, approach(a.rpm, rpmTarget, RPM_LAG, dt));
+    const rpmFraction = rpm / a.redLine;
+
+    // fuel flow is proportional to the mass of air pumped and the fuel / air ratio
+    const fuelFlow = firing
+      ? (this.fullPowerFuelFlow *
+          (manifoldPressure / STANDARD_BAROMETER) *
+          rpmFraction *
+          fuelAir *
+          sigma) /
+        FULL_RICH
+      : 0;
+
+    // exhaust gas peaks slightly lean of best power and rises with power
+    const egtTarget = firing
+      ? oatF +
+        (this.peakEGT - oatF) * (0.75 + 0.25 * power) -
+        1000 * Math.pow(fuelAir - PEAK_EGT_MIXTURE, 2) +
+        (this.failures.roughMag ? 50 : 0)
+      : oatF;
+    // cylinder heads follow power and mixture and are cooled by the airflow
+    const chtTarget = firing
+      ? oatF +
+        (this.maxCHT - oatF) *
+          (0.55 + 0.4 * power - 0.3 * Math.abs(fuelAir - 1)) -
+        a.airspeed * 0.2
+      : oatF;
+    const oilTarget = firing
+      ? oatF + (this.normalOilTemperature - oatF) * (0.75 + 0.25 * power)
+      : oatF;
+    const oilTemperature = approach(
+      a.oilTemperature,
+      oilTarget,
+      OIL_TEMPERATURE_LAG,
+      dt
+    );
+    // oil pressure rises with RPM and falls as the oil thins
+    const oilPressureTarget =
+      rpm > 0
+        ? this.normalOilPressure *
+          Math.min(1.2, Math.sqrt(rpmFraction)) *
+          (1 - (oilTemperature - this.normalOilTemperature) / 500)
+        : 0;
+
+    a.update({
+      rpm,
+      manifoldPressure,
+      fuelFlow,
+      enginePower: power,
+      egt: approach(a.egt, egtTarget, EGT_LAG, dt),
+      cht: approach(a.cht, Math.max(oatF, chtTarget), CHT_LAG, dt),
+      oilTemperature,
+      oilPressure: Math.max(
+        0,
+        approach(a.oilPressure, oilPressureTarget, OIL_PRESSURE_LAG, dt)
+      )
+    });
+  }
+}
@@ -0,0 +1,240 @@
+import Animated from "../animated";
+import { interval } from "../utils/time";
+import { clock } from "../utils/clock";
+import { D2R, R2D } from "../geometry/angle";
+import { signedDegreesToPositive360 } from "../utils/conversions";
+import { ISA_SEA_LEVEL_DENSITY } from "../utils/atmosphere";
+
+/**
+ * A simple point mass flight model. Control inputs ( elevator, aileron, rudder and throttle )
+ * are integrated each tick to produce a coherent set of airplane properties. The model is
+ * scaled by the airplanes V speeds and engine limits so it flies like whatever profile the
+ * airplane is loaded with, more or less. It is intended for training panels, not certification.
+ */
+
+// acceleration due to gravity in knots per second
+const G = 19.0621;
+// feet per second per knot
+const KNOTS_TO_FPS = 1.68781;
+// angle of attack ( degrees ) where lift is zero and where the wing stalls
+const ZERO_LIFT_AOA = -2;
+const STALL_AOA = 16;
+// fraction of maximum lift remaining when stalled
+const STALLED_LIFT = 0.6;
+// angle of attack the airplane is trimmed for and how strongly it returns to it ( per second )
+const TRIM_AOA = 4;
+const PITCH_STABILITY = 0.8;
+// pitch rate in degrees per second at full elevator and VNO
+const MAX_PITCH_RATE = 12;
+// roll rate in degrees per second at full aileron and VNO
+const MAX_ROLL_RATE = 45;
+// time constant in seconds for the roll rate to respond to aileron
+const ROLL_LAG = 0.3;
+// inclinometer degrees at full rudder and the adverse yaw per degree per second of roll rate
+const MAX_SLIP = 15;
+const ADVERSE_YAW = 0.15;
+// time constant in seconds for slip to develop
+const SLIP_LAG = 0.6;
+// time constant in seconds for the engine to spool up or down
+const RPM_LAG = 0.8;
+// additional RPM per knot of airspeed above the windmilling speed
+const WINDMILL_RPM = 3;
+
+export default class FlightModel extends Animated {
+  /**
+   * requires an airplane to drive
+   * @param config
+   */
+  constructor(config) {
+    super();
+    Object.assign(
+      this,
+      {
+        airplane: null,
+        // optional engine, see ./engine. Without one RPM simply follows the throttle
+        engine: null,
+        // milliseconds between integration steps
+        tickRate: 50,
+        // elevator -1 ( nose down ) .. +1 ( nose up )
+        elevator: 0,
+        // aileron -1 ( roll left ) .. +1 ( roll right )
+        aileron: 0,
+        // rudder -1 ( yaw left ) .. +1 ( yaw right )
+        rudder: 0,
+        // throttle 0 ( idle ) .. 1 ( full power )
+        throttle: 0
+      },
+      config
+    );
+    console.assert(this.airplane, "missing or invalid configuration options");
+
+    // flight path angle in degrees, this is the only state not kept by the airplane
+    this.flightPath = 0;
+  }
+
+  /**
+   * set any or all of the control inputs
+   * @param controls - e.g. { elevator: 0.1, throttle: 0.75 }
+   */
+  setControls(controls) {
+    ["elevator", "aileron", "rudder"].forEach(key => {
+      if (key in controls) {
+        this[key] = Math.max(-1, Math.min(1, controls[key]));
+      }
+    });
+    if ("throttle" in controls) {
+      this.throttle = Math.max(0, Math.min(1, controls.throttle));
+    }
+    // engine controls e.g. mixture and carb heat are passed through to the engine
+    if (this.engine) {
+      this.engine.setControls(
+        Object.assign({}, controls, { throttle: this.throttle })
+      );
+    }
+  }
+
+  /**
+   * start integrating at the tick rate
+   */
+  start() {
+    let last = clock.now();
+    this.addLerp(
+      "tick",
+      interval(() => {
+        const now = clock.now();
+        // clamp the step so a stalled browser tab does not throw the model into orbit
+        this.step(Math.min(0.25, (now - last) / 1000));
+        last = now;
+      }, this.tickRate)
+    );
+  }
+
+  /**
+   * stop integrating
+   */
+  stop() {
+    this.cancelLerp("tick");
+  }
+
+  /**
+   * advance the model by the given number of seconds and update the airplane
+   * @param dt
+   */
+  step(dt) {
+    if (dt <= 0) {
+      return;
+    }
+    const a = this.airplane;
+    // speeds used to scale the model
+    const vStall = a.VS1;
+    const vCruise = a.VNO;
+    const vMinDrag = a.VS1 * 1.35;
+
+    // the model works in true airspeed, the airplane displays indicated airspeed
+    const densityRatio = Math.sqrt(a.airDensity / ISA_SEA_LEVEL_DENSITY);
+    const tas = Math.max(1, a.airspeed / densityRatio);
+    const bank = D2R(a.roll);
+    const gamma = D2R(this.flightPath);
+
+    // lift as a multiple of weight ( load factor ) from angle of attack and dynamic pressure
+    const aoa = a.pitch - this.flightPath;
+    let cl = (aoa - ZERO_LIFT_AOA) / (STALL_AOA - ZERO_LIFT_AOA);
+    if (aoa > STALL_AOA) {
+      cl = STALLED_LIFT;
+    }
+    const ias = tas * densityRatio;
+    const n = Math.pow(ias / vStall, 2) * Math.max(-1, cl);
+
+    // parasitic and induced drag as a fraction of weight
+    const k = 1 / (2 * a.LIFT_DRAG);
+    const drag =
+      k * Math.pow(ias / vMinDrag, 2) + k * Math.pow((n * vMinDrag) / ias, 2);
+    // thrust as a fraction of weight, sized so full power balances drag at the cruise speed
+    const cruiseDrag =
+      k * (Math.pow(vCruise / vMinDrag, 2) + Math.pow(vMinDrag / vCruise, 2));
+    // gliders have no engine
+    const hasEngine = a.redLine > a.idle;
+    let power = 0;
+    if (this.engine) {
+      this.engine.step(dt);
+      power = a.enginePower;
+    } else if (hasEngine) {
+      power = Math.max(0, a.rpm - a.idle) / (a.redLine - a.idle);
+    }
+    const thrust =
+      ((power * cruiseDrag * (vCruise + 2 * vCruise)) / (ias + 2 * vCruise)) *
+      densityRatio;
+
+    // speed, flight path and heading from the forces acting on the point mass
+    const tasRate = G * (thrust - drag - Math.sin(gamma));
+    const gammaRate = (G * (n * Math.cos(bank) - Math.cos(gamma))) / tas;
+    const headingRate =
+      (G * n * Math.sin(bank)) / (tas * Math.max(0.1, Math.cos(gamma)));
+
+    // attitude follows the controls, pitch is weather-vaned back towards the trimmed angle of attack
+    const speedFactor = Math.min(1.5, ias / vCruise);
+    const pitchRate =
+      this.elevator * MAX_PITCH_RATE * speedFactor +
+      PITCH_STABILITY * (TRIM_AOA - aoa) * speedFactor;
+    const rollRate =
+      a.rollRate +
+      ((this.aileron * MAX_ROLL_RATE * speedFactor - a.rollRate) * dt) /
+        ROLL_LAG;
+    const slip = this.rudder * MAX_SLIP - ADVERSE_YAW * rollRate;
+    const yaw = a.yaw + ((slip - a.yaw) * dt) / SLIP_LAG;
+
+    // integrate
+    const newTas = Math.max(0, tas + tasRate * dt);
+    this.flightPath = R2D(
+      Math.max(-Math.PI / 2, Math.min(Math.PI / 2, gamma + gammaRate * dt))
+    );
+    let altitude =
+      a.altitude + newTas * Math.sin(D2R(this.flightPath)) * KNOTS_TO_FPS * dt;
+    // the ground is firm
+    if (altitude <= 0) {
+      altitude = 0;
+      this.flightPath = Math.max(0, this.flightPath);
+    }
+    let roll = a.roll + rollRate * dt;
+    if (roll > 180) {
+      roll -= 360;
+    } else if (roll < -180) {
+      roll += 360;
+    }
+    const pitch = Math.max(-90, Math.min(90, a.pitch + pitchRate * dt));
+
+    // without an engine model RPM spools towards the throttle setting,
+    // windmilling adds RPM at high speed
+    const rpmTarget =
+      a.idle +
+      this.throttle * (a.redLine - a.idle) +
+      Math.max(0, ias - vCruise) * WINDMILL_RPM;
+    const rpm = this.engine
+      ? a.rpm
+      : hasEngine
+      ? a.rpm + ((rpmTarget - a.rpm) * dt) / RPM_LAG
+      : 0;
+
+    a.batch(() => {
+      a.update({
+        airspeed: newTas * densityRatio,
+        airspeedRate: tasRate * densityRatio,
+        altitude,
+        altitudeRate:
+          newTas * Math.sin(D2R(this.flightPath)) * KNOTS_TO_FPS * 60,
+        pitch,
+        pitchRate,
+        roll,
+        rollRate,
+        heading: signedDegreesToPositive360(a.heading + R2D(headingRate) * dt),
+        headingRate: R2D(headingRate),
+        yawRate: (yaw - a.yaw) / dt,
+        yaw,
+        rpm
+      });
+      a.advance(dt);
+    });
+  }
+}
+
+// Alex Sylvain Luenga
@@ -0,0 +1,232 @@
+import Animated from "../animated";
+import { PROPERTY_UNITS, unit, convertUnits } from "./units";
+
+/**
+ * Base class for sources of live data that drive an airplane e.g. a simulator or an
+ * avionics bus. Subclasses deliver each message they receive to receive(), which maps
+ * it onto airplane properties using the fields config and updates the airplane.
+ *
+ * Fields are keyed by airplane property. Each is either the path of the value in the
+ * message or an object describing it e.g.
+ *
+ *   fields: {
+ *     airspeed: { path: "air.ias", unit: "m/s" },
+ *     altitude: { path: "air.alt", unit: "m", staleAfter: 5000 },
+ *     rpm: { path: "engine.rpm_x10", scale: 10 },
+ *     heading: "att.hdg"
+ *   }
+ *
+ * The raw value is multiplied by scale, offset is added and the result converted from
+ * unit to the unit the airplane keeps the property in, see ./units. With no fields every
+ * known airplane property in the message is used as is.
+ *
+ * A field that has not been received for staleAfter milliseconds of real time is stale, live
+ * data keeps arriving while the clock is paused or scaled. Changes are emitted as "stale"
+ * events with a hash of property to true / false, and the connection state as "status"
+ * events ( CONNECTING, OPEN or CLOSED ). Messages may also report
+ * failed sensors as { flags: { altitude: true } }. Stale and failed properties are
+ * flagged on the airplane, so the instruments showing them display an OFF flag.
+ */
+
+/**
+ * connection states
+ * @type {string}
+ */
+export const CONNECTING = "connecting";
+export const OPEN = "open";
+export const CLOSED = "closed";
+
+/**
+ * read the value at a dotted path e.g. "air.ias" or "values.0", undefined if missing
+ * @param message
+ * @param path
+ * @returns {*}
+ */
+export const valueAtPath = (message, path) =>
+  path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && value !== undefined ? value[key] : undefined,
+      message
+    );
+
+export default class DataSource extends Animated {
+  /**
+   * requires an airplane, see above for fields
+   * @param config
+   */
+  constructor(config) {
+    super();
+    Object.assign(
+      this,
+      {
+        airplane: null,
+        // field mapping, null to use messages that are already airplane properties
+        fields: null,
+        // default milliseconds without a value before a field is stale
+        staleAfter: 2000,
+        // milliseconds between staleness checks
+        checkRate: 250
+      },
+      config
+    );
+    console.assert(this.airplane, "missing or invalid configuration options");
+
+    this.mappings = this.fields
+      ? Object.keys(this.fields).map(property =>
+          this.createMapping(property, this.fields[property])
+        )
+      : null;
+    // time each property was last received, whether it is stale and whether its
+    // sensor has failed
+    this.received = {};
+    this.stale = {};
+    this.failed = {};
+    this.status = CLOSED;
+    this.addDisposable(() => this.stop());
+  }
+
+  /**
+   * validate a field config and fill in its defaults
+   * @param property
+   * @param field - path or { path, unit, scale, offset, staleAfter }
+   * @returns {object}
+   */
+  createMapping(property, field) {
+    const to = PROPERTY_UNITS[property];
+    console.assert(to, `${property} cannot be set by a data source`);
+    const mapping = Object.assign(
+      { property, unit: to, scale: 1, offset: 0, staleAfter: this.staleAfter },
+      typeof field === "string" ? { path: field } : field
+    );
+    console.assert(mapping.path, `missing path for ${property}`);
+    console.assert(
+      unit(mapping.unit).dimension === unit(to).dimension,
+      `${mapping.unit} is not a valid unit for ${property}`
+    );
+    return mapping;
+  }
+
+  /**
+   * start checking for stale fields. Subclasses connect to their source then call this.
+   */
+  start() {
+    const id = window.setInterval(() => this.checkStaleness(), this.checkRate);
+    this.addLerp("staleness", () => window.clearInterval(id));
+  }
+
+  /**
+   * stop checking for stale fields. Subclasses disconnect then call this.
+   */
+  stop() {
+    this.cancelLerp("staleness");
+  }
+
+  /**
+   * map a message to airplane properties, skipping any values that are missing or not numbers
+   * @param message
+   * @returns {object}
+   */
+  map(message) {
+    const values = {};
+    if (this.mappings) {
+      this.mappings.forEach(m => {
+        const raw = valueAtPath(message, m.path);
+        if (raw !== null && raw !== "" && isFinite(raw)) {
+          values[m.property] = convertUnits(
+            Number(raw) * m.scale + m.offset,
+            m.unit,
+            PROPERTY_UNITS[m.property]
+          );
+        }
+      });
+    } else {
+      Object.keys(message).forEach(key => {
+        if (PROPERTY_UNITS[key] && isFinite(message[key])) {
+          values[key] = Number(message[key]);
+        }
+      });
+    }
+    return values;
+  }
+
+  /**
+   * apply a message to the airplane
+   * @param message
+   */
+  receive(message) {
+    if (message.flags && typeof message.flags === "object") {
+      Object.keys(message.flags).forEach(property => {
+        this.failed[property] = !!message.flags[property];
+      });
+      this.updateFlags();
+    }
+    const values = this.map(message);
+    const properties = Object.keys(values);
+    if (properties.length) {
+      const now = Date.now();
+      properties.forEach(property => {
+        this.received[property] = now;
+      });
+      // a source that knows the ground track or speed e.g. a GPS, replaces the wind model
+      if (
+        ("groundSpeed" in values || "groundTrack" in values) &&
+        !this.airplane.measuredGround
+      ) {
+        this.airplane.setMeasuredGround(true);
+      }
+      this.airplane.update(values);
+      this.checkStaleness();
+    }
+  }
+
+  /**
+   * mark fields stale or fresh and emit a "stale" event if any have changed
+   */
+  checkStaleness() {
+    const now = Date.now();
+    const stale = {};
+    Object.keys(this.received).forEach(property => {
+      const mapping = this.mappings
+        ? this.mappings.find(m => m.property === property)
+        : null;
+      const staleAfter = mapping ? mapping.staleAfter : this.staleAfter;
+      stale[property] = now - this.received[property] > staleAfter;
+    });
+    const changed = Object.keys(stale).some(
+      property => stale[property] !== this.stale[property]
+    );
+    if (changed) {
+      const oldValue = this.stale;
+      this.stale = stale;
+      this.emit("stale", stale, oldValue);
+      this.updateFlags();
+    }
+  }
+
+  /**
+   * flag the properties that are stale or have failed on the airplane
+   */
+  updateFlags() {
+    const flags = {};
+    Object.keys(this.stale)
+      .concat(Object.keys(this.failed))
+      .forEach(property => {
+        flags[property] = !!(this.stale[property] || this.failed[property]);
+      });
+    this.airplane.setFlags(flags);
+  }
+
+  /**
+   * change the connection status and emit a "status" event
+   * @param status
+   */
+  setStatus(status) {
+    if (status !== this.status) {
+      const oldValue = this.status;
+      this.status = status;
+      this.emit("status", status, oldValue);
+    }
+  }
+}
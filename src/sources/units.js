@@ -0,0 +1,129 @@
+/**
+ * Units understood by data source field mappings, see ./data_source. Each unit belongs to a
+ * dimension and converts to the base unit of that dimension as value * factor + offset.
+ * Values are converted from the unit given in the mapping to the unit the airplane keeps the
+ * property in, listed in PROPERTY_UNITS.
+ */
+
+/**
+ * units by name, base units are meters, meters per second, degrees, degrees per second,
+ * inches of mercury, celsius, rpm, gallons per hour and fraction
+ * @type {object}
+ */
+export const UNITS = {
+  // length
+  m: { dimension: "length", factor: 1 },
+  km: { dimension: "length", factor: 1000 },
+  ft: { dimension: "length", factor: 0.3048 },
+  nm: { dimension: "length", factor: 1852 },
+  // speed
+  "m/s": { dimension: "speed", factor: 1 },
+  "km/h": { dimension: "speed", factor: 1 / 3.6 },
+  knots: { dimension: "speed", factor: 1852 / 3600 },
+  mph: { dimension: "speed", factor: 0.44704 },
+  "ft/s": { dimension: "speed", factor: 0.3048 },
+  "ft/min": { dimension: "speed", factor: 0.3048 / 60 },
+  // angles and angular rates
+  deg: { dimension: "angle", factor: 1 },
+  rad: { dimension: "angle", factor: 180 / Math.PI },
+  "deg/s": { dimension: "angularRate", factor: 1 },
+  "rad/s": { dimension: "angularRate", factor: 180 / Math.PI },
+  // pressure
+  inHg: { dimension: "pressure", factor: 1 },
+  hPa: { dimension: "pressure", factor: 1 / 33.8639 },
+  Pa: { dimension: "pressure", factor: 1 / 3386.39 },
+  kPa: { dimension: "pressure", factor: 1 / 3.38639 },
+  psi: { dimension: "pressure", factor: 2.03602 },
+  // temperature
+  C: { dimension: "temperature", factor: 1 },
+  F: { dimension: "temperature", factor: 5 / 9, offset: (-32 * 5) / 9 },
+  K: { dimension: "temperature", factor: 1, offset: -273.15 },
+  // engine
+  rpm: { dimension: "rotation", factor: 1 },
+  gph: { dimension: "flow", factor: 1 },
+  "l/h": { dimension: "flow", factor: 1 / 3.78541 },
+  // dimensionless
+  fraction: { dimension: "ratio", factor: 1 },
+  percent: { dimension: "ratio", factor: 0.01 }
+};
+
+// other names for the same units
+const ALIASES = {
+  meters: "m",
+  feet: "ft",
+  kt: "knots",
+  kts: "knots",
+  kmh: "km/h",
+  fpm: "ft/min",
+  degrees: "deg",
+  radians: "rad",
+  mbar: "hPa",
+  millibars: "hPa",
+  celsius: "C",
+  fahrenheit: "F",
+  kelvin: "K"
+};
+
+/**
+ * the unit each airplane property that a data source may set is kept in
+ * @type {object}
+ */
+export const PROPERTY_UNITS = {
+  airspeed: "knots",
+  altitude: "ft",
+  altitudeRate: "ft/min",
+  barometer: "inHg",
+  seaLevelPressure: "inHg",
+  heading: "deg",
+  trueHeading: "deg",
+  headingRate: "deg/s",
+  pitch: "deg",
+  pitchRate: "deg/s",
+  roll: "deg",
+  rollRate: "deg/s",
+  yaw: "deg",
+  yawRate: "deg/s",
+  latitude: "deg",
+  longitude: "deg",
+  groundSpeed: "knots",
+  groundTrack: "deg",
+  rpm: "rpm",
+  manifoldPressure: "inHg",
+  fuelFlow: "gph",
+  enginePower: "fraction",
+  egt: "F",
+  cht: "F",
+  oilTemperature: "F",
+  oilPressure: "psi"
+};
+
+/**
+ * look up a unit by name or alias
+ * @param name
+ * @returns {object}
+ */
+export function unit(name) {
+  const found = UNITS[ALIASES[name] || name];
+  if (!found) {
+    throw new Error(`unknown unit ${name}`);
+  }
+  return found;
+}
+
+/**
+ * convert a value between two units of the same dimension
+ * @param value
+ * @param from - unit name e.g. "m/s"
+ * @param to - unit name e.g. "ft/min"
+ * @returns {number}
+ */
+export function convertUnits(value, from, to) {
+  const a = unit(from);
+  const b = unit(to);
+  console.assert(
+    a.dimension === b.dimension,
+    `cannot convert ${from} to ${to}`
+  );
+  const base = value * a.factor + (a.offset || 0);
+  return (base - (b.offset || 0)) / b.factor;
+}
@@ -0,0 +1,134 @@
+import DataSource, { CONNECTING, OPEN, CLOSED } from "./data_source";
+
+/**
+ * A data source that receives JSON messages over a WebSocket e.g. from one of the bridges
+ * in /bridge. Each message is an object, or an array of objects, mapped onto the airplane
+ * by the fields config, see ./data_source. If the connection fails or is lost it is retried
+ * with an exponential backoff until stop is called. Messages that are not valid JSON are
+ * reported as "error" events and otherwise ignored, as are messages of the form
+ * { error: "description" }, which bridges send when they receive data they cannot decode.
+ *
+ *   const source = new WebSocketSource({ airplane, url: "ws://localhost:8181" });
+ *   source.start();
+ */
+export default class WebSocketSource extends DataSource {
+  /**
+   * requires an airplane and url
+   * @param config
+   */
+  constructor(config) {
+    super(
+      Object.assign(
+        {
+          url: "",
+          // milliseconds before the first reconnection attempt, doubling up to the maximum
+          reconnectDelay: 500,
+          maxReconnectDelay: 30000,
+          reconnectFactor: 2,
+          // creates the socket, replace to use another WebSocket implementation
+          createSocket: url => new WebSocket(url)
+        },
+        config
+      )
+    );
+    console.assert(this.url, "missing or invalid configuration options");
+    this.socket = null;
+    this.running = false;
+    this.delay = this.reconnectDelay;
+    // reconnection uses real time, the network does not pause with the simulation clock
+    this.reconnectTimer = 0;
+  }
+
+  /**
+   * connect and keep reconnecting until stopped
+   */
+  start() {
+    super.start();
+    this.running = true;
+    this.connect();
+  }
+
+  /**
+   * disconnect and stop reconnecting
+   */
+  stop() {
+    super.stop();
+    this.running = false;
+    window.clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = 0;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.setStatus(CLOSED);
+  }
+
+  /**
+   * open the socket
+   */
+  connect() {
+    this.reconnectTimer = 0;
+    this.setStatus(CONNECTING);
+    let socket;
+    try {
+      socket = this.createSocket(this.url);
+    } catch (error) {
+      // e.g. a malformed url, reported and retried like a lost connection
+      this.emit("error", `cannot connect: ${error.message}`);
+      this.setStatus(CLOSED);
+      this.reconnect();
+      return;
+    }
+    this.socket = socket;
+    socket.onopen = () => {
+      this.delay = this.reconnectDelay;
+      this.setStatus(OPEN);
+    };
+    socket.onmessage = event => this.onMessage(event.data);
+    // an error is always followed by close, so reconnect from there
+    socket.onclose = () => {
+      if (socket === this.socket) {
+        this.socket = null;
+        this.setStatus(CLOSED);
+        this.reconnect();
+      }
+    };
+  }
+
+  /**
+   * try to connect again after the current backoff delay
+   */
+  reconnect() {
+    if (this.running && !this.reconnectTimer) {
+      this.reconnectTimer = window.setTimeout(() => this.connect(), this.delay);
+      this.delay = Math.min(
+        this.maxReconnectDelay,
+        this.delay * this.reconnectFactor
+      );
+    }
+  }
+
+  /**
+   * parse and apply a message
+   * @param data
+   */
+  onMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      this.emit("error", `invalid message: ${error.message}`);
+      return;
+    }
+    (Array.isArray(message) ? message : [message]).forEach(m => {
+      if (m && typeof m === "object") {
+        if (m.error) {
+          this.emit("error", m.error);
+        } else {
+          this.receive(m);
+        }
+      }
+    });
+  }
+}
@@ -56,12 +56,8 @@ const POINTER_WIDTH = 10;
 const POINTER_ARROW = 6;
 const POINTER_RADIUS = TICK2 - POINTER_ARROW;
 
-// RPM limits and ranges
+// lowest RPM on the dial, the highest and the ranges come from the airplane profile
 const MIN_RPM = 0;
-const MAX_RPM = 3500;
-const MIN_GREEN = 2100;
-const MAX_GREEN = 2700;
-const REDLINE = 2700;
 
 // angle at low stop of tacometer and angle sweep to the
 // max rpm point
@@ -73,12 +69,16 @@ const HOUR_W = 24;
 const HOUR_H = 30;
 const HOUR_P = 8;
 const HOUR_Y = CY + 70;
+// number of hours windows, the rightmost shows tenths
+const HOUR_WHEELS = 5;
 
 export default class TachometerAnalog extends Instrument {
   constructor(options) {
     super(
       Object.assign(
         {
+          id: "tachometer",
+          flagProperties: ["rpm"],
           width: W,
           height: H
         },
@@ -100,15 +100,14 @@ export default class TachometerAnalog extends Instrument {
     this.renderImmutable();
     this.renderText();
     this.renderHours();
+    this.setHours(this.airplane.tachHours);
     this.createNeedle();
     this.setNeedle(this.airplane.rpm);
 
-    // listen for changes to the airplane
-    this.onAirplaneChanged = this.onAirplaneChanged.bind(this);
-    this.airplane.addListener(this.onAirplaneChanged);
-    this.addDisposable(() =>
-      this.airplane.removeListener(this.onAirplaneChanged)
-    );
+    // listen for changes to the airplane properties we display
+    this.listen("rpm", rpm => this.setNeedle(rpm));
+    this.listen("tachHours", hours => this.setHours(hours));
+    this.listen("profile", () => this.onProfileChanged());
 
     this.template.appendTo(this.parentElement);
   }
@@ -120,7 +119,9 @@ export default class TachometerAnalog extends Instrument {
     this.addLerp(
       "demo",
       interval(() => {
-        this.airplane.setRPM(MIN_RPM + (REDLINE - MIN_RPM) * Math.random());
+        this.airplane.setRPM(
+          MIN_RPM + (this.airplane.redLine - MIN_RPM) * Math.random()
+        );
       }, 5000)
     );
   }
@@ -137,10 +138,19 @@ export default class TachometerAnalog extends Instrument {
    */
   renderImmutable() {
     this.renderCase();
-    this.renderDial();
+    this.renderProfile();
     this.renderShadow();
   }
 
+  /**
+   * render the parts of the dial that depend on the airplane profile. This is called
+   * again, replacing the previous rendering, whenever the profile changes.
+   */
+  renderProfile() {
+    this.profileGroup = this.replaceGroup(this.profileGroup);
+    this.renderDial();
+  }
+
   /**
    * fixed text
    */
@@ -156,13 +166,13 @@ export default class TachometerAnalog extends Instrument {
   }
 
   /**
-   * fake hours windows
+   * hours windows, each with a drum of digits that rolls to show the tach hours
    */
   renderHours() {
-    // five windows including 10ths
-    const n = 5;
+    const n = HOUR_WHEELS;
     const width = n * HOUR_W + (n - 1) * HOUR_P;
     const left = CX - width / 2;
+    this.hourWheels = [];
     for (let i = 0; i < n; i += 1) {
       const x = left + i * (HOUR_W + HOUR_P);
       rectangle(
@@ -179,15 +189,26 @@ export default class TachometerAnalog extends Instrument {
         3,
         3
       );
-      const position = new Vector2D(x + HOUR_W / 2, HOUR_Y + HOUR_H / 2);
-      centeredText(
-        this.snap,
-        position,
-        Math.floor(Math.random() * 10) % 10,
-        i === n - 1 ? "black" : "white",
-        "20px",
-        "Verdana"
-      );
+      // the drum has 0..9 and another 0 so it can roll from 9 through to 0
+      const wheel = this.snap.group();
+      for (let digit = 0; digit <= 10; digit += 1) {
+        wheel.add(
+          centeredText(
+            this.snap,
+            new Vector2D(x + HOUR_W / 2, HOUR_Y + HOUR_H / 2 + digit * HOUR_H),
+            digit % 10,
+            i === n - 1 ? "black" : "white",
+            "20px",
+            "Verdana"
+          )
+        );
+      }
+      // only the part of the drum behind the window is visible
+      const mask = this.snap.rect(x, HOUR_Y, HOUR_W, HOUR_H).attr({
+        fill: "white"
+      });
+      this.snap.group(wheel).attr({ mask });
+      this.hourWheels.push(wheel);
     }
     centeredText(
       this.snap,
@@ -199,6 +220,24 @@ export default class TachometerAnalog extends Instrument {
     );
   }
 
+  /**
+   * roll the drums to show the given hours. Like an odometer the tenths drum turns continuously
+   * and each drum to its left turns while the drum to its right rolls from 9 to 0.
+   * @param hours
+   */
+  setHours(hours) {
+    const value = Math.max(0, hours);
+    // position of the tenths drum, 0 .. 10
+    let position = (value * 10) % 10;
+    for (let i = HOUR_WHEELS - 1; i >= 0; i -= 1) {
+      if (i < HOUR_WHEELS - 1) {
+        const place = Math.pow(10, HOUR_WHEELS - 2 - i);
+        position = (Math.floor(value / place) % 10) + Math.max(0, position - 9);
+      }
+      this.hourWheels[i].attr({ transform: `t 0 ${-position * HOUR_H}` });
+    }
+  }
+
   /**
    * render the shared three outer rings of the bezel
    */
@@ -234,42 +273,65 @@ export default class TachometerAnalog extends Instrument {
    * render tick marks around face and numbers for 100's of feet
    */
   renderDial() {
-    // draw green arc under all ticks
-    arc(
-      this.snap,
-      CENTER,
-      ARC_RADIUS,
-      ARC_WIDTH,
-      0,
-      "transparent",
-      "#00EE00",
-      this.rpmToAngle(MIN_GREEN),
-      this.rpmToAngle(MAX_GREEN),
-      true
-    );
+    const { greenMin, greenMax, redLine, MAX_DISPLAYED_RPM } = this.airplane;
+    // draw green arc under all ticks, airplanes without an engine have no green arc
+    if (greenMax > greenMin) {
+      this.profileGroup.add(
+        arc(
+          this.snap,
+          CENTER,
+          ARC_RADIUS,
+          ARC_WIDTH,
+          0,
+          "transparent",
+          "#00EE00",
+          this.rpmToAngle(greenMin),
+          this.rpmToAngle(greenMax),
+          true
+        )
+      );
+    }
     // draw small/large ticks across entire RPM range
-    for (let i = MIN_RPM; i <= MAX_RPM; i += 100) {
+    for (let i = MIN_RPM; i <= MAX_DISPLAYED_RPM; i += 100) {
       // large or small
       if (i % 500 === 0) {
-        tick(this.snap, CENTER, this.rpmToAngle(i), TICK1, TICK3, 5, "white");
+        this.profileGroup.add(
+          tick(this.snap, CENTER, this.rpmToAngle(i), TICK1, TICK3, 5, "white")
+        );
         // draw RPM text and 500 intervals except and upper and lower limit
-        if (i > MIN_RPM && i < MAX_RPM) {
+        if (i > MIN_RPM && i < MAX_DISPLAYED_RPM) {
           const position = POC(CENTER, LABEL_RADIUS, this.rpmToAngle(i));
-          centeredText(
-            this.snap,
-            position,
-            Math.floor(i / 100),
-            "white",
-            "34px",
-            "Verdana"
+          this.profileGroup.add(
+            centeredText(
+              this.snap,
+              position,
+              Math.floor(i / 100),
+              "white",
+              "34px",
+              "Verdana"
+            )
           );
         }
       } else {
-        tick(this.snap, CENTER, this.rpmToAngle(i), TICK1, TICK2, 3, "white");
+        this.profileGroup.add(
+          tick(this.snap, CENTER, this.rpmToAngle(i), TICK1, TICK2, 3, "white")
+        );
       }
     }
     // draw redline
-    tick(this.snap, CENTER, this.rpmToAngle(REDLINE), TICK1, TICK3, 7, "red");
+    if (redLine > MIN_RPM) {
+      this.profileGroup.add(
+        tick(
+          this.snap,
+          CENTER,
+          this.rpmToAngle(redLine),
+          TICK1,
+          TICK3,
+          7,
+          "red"
+        )
+      );
+    }
   }
 
   /**
@@ -316,19 +378,19 @@ export default class TachometerAnalog extends Instrument {
    */
   rpmToAngle(rpm) {
     // clamp to limits
-    const v = Math.max(MIN_RPM, Math.min(MAX_RPM, rpm));
+    const maxRPM = this.airplane.MAX_DISPLAYED_RPM;
+    const v = Math.max(MIN_RPM, Math.min(maxRPM, rpm));
     // normalize
-    const normalized = (v - MIN_RPM) / (MAX_RPM - MIN_RPM);
+    const normalized = (v - MIN_RPM) / (maxRPM - MIN_RPM);
     // angle
     return (START_ANGLE + ANGLE_SWEEP * normalized) % 360;
   }
 
   /**
-   * a property of the airplane was changed
-   * @param airplane
+   * the airplane profile was changed, regenerate the dial
    */
-  onAirplaneChanged(airplane) {
-    console.assert(airplane === this.airplane, "not our airplane");
+  onProfileChanged() {
+    this.renderProfile();
     this.setNeedle(this.airplane.rpm);
   }
 }
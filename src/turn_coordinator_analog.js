@@ -53,9 +53,9 @@ const INC_TICK_ANGLE = 3.5;
 // offset angle of 2 minute turn ticks
 const OFFSET_2_MINUTES = 20;
 
-// standard roll rate and instrument limit in degrees per second
-const ROLL_RATE = 3;
-const MAX_ROLL_RATE = 6;
+// standard turn rate and instrument limit in degrees per second
+const TURN_RATE = 3;
+const MAX_TURN_RATE = 6;
 
 // max number of degrees of yaw ( negative is left yaw, positive is right yaw )
 const MAX_YAW = 20;
@@ -65,6 +65,8 @@ export default class TurnCoordinatorAnalog extends Instrument {
     super(
       Object.assign(
         {
+          id: "turnCoordinator",
+          flagProperties: ["headingRate", "rollRate"],
           width: W,
           height: H
         },
@@ -86,12 +88,9 @@ export default class TurnCoordinatorAnalog extends Instrument {
     this.renderImmutable();
     this.template.appendTo(this.parentElement);
 
-    // listen for changes to the airplane
+    // listen for changes to the airplane properties we display
     this.onAirplaneChanged = this.onAirplaneChanged.bind(this);
-    this.airplane.addListener(this.onAirplaneChanged);
-    this.addDisposable(() =>
-      this.airplane.removeListener(this.onAirplaneChanged)
-    );
+    this.listenBatch(["turnCoordinatorRate", "yaw"], this.onAirplaneChanged);
   }
 
   /**
@@ -101,8 +100,8 @@ export default class TurnCoordinatorAnalog extends Instrument {
     this.addLerp(
       "demo",
       interval(() => {
-        this.airplane.setRollRate(
-          -MAX_ROLL_RATE + MAX_ROLL_RATE * 2 * Math.random()
+        this.airplane.setHeadingRate(
+          -TURN_RATE + TURN_RATE * 2 * Math.random()
         );
         this.airplane.setYaw(-MAX_YAW + MAX_YAW * 2 * Math.random());
       }, 5000)
@@ -125,7 +124,7 @@ export default class TurnCoordinatorAnalog extends Instrument {
     this.renderTicksAndText();
     this.renderShadow();
     this.renderAirplane();
-    this.setRollRate(this.airplane.rollRate);
+    this.setTurnRate(this.airplane.turnCoordinatorRate);
     this.setYaw(this.airplane.yaw);
   }
 
@@ -322,17 +321,18 @@ export default class TurnCoordinatorAnalog extends Instrument {
   }
 
   /**
-   * set the roll rate in +/- degrees per second
-   * @param rollRate
+   * set the sensed turn rate in +/- degrees per second. Like the real gyro this includes
+   * some roll rate, so the airplane banks as soon as a turn is entered.
+   * @param turnRate
    */
-  setRollRate(rollRate) {
-    // clamp between -MAX_ROLL_RATE and + MAX_ROLL_RATE
-    const clampedRollRate = Math.max(
-      -MAX_ROLL_RATE,
-      Math.min(MAX_ROLL_RATE, rollRate)
+  setTurnRate(turnRate) {
+    // clamp between -MAX_TURN_RATE and + MAX_TURN_RATE
+    const clampedTurnRate = Math.max(
+      -MAX_TURN_RATE,
+      Math.min(MAX_TURN_RATE, turnRate)
     );
     // normalize 0..1
-    const normalized = clampedRollRate / MAX_ROLL_RATE;
+    const normalized = clampedTurnRate / MAX_TURN_RATE;
     const A = OFFSET_2_MINUTES * 2 * normalized;
     this.airplaneGroup.attr({ transform: `r${A} ${CENTER.x} ${CENTER.y}` });
   }
@@ -376,12 +376,10 @@ export default class TurnCoordinatorAnalog extends Instrument {
   }
 
   /**
-   * a property of the airplane was changed
-   * @param airplane
+   * the turn rate or yaw of the airplane changed
    */
-  onAirplaneChanged(airplane) {
-    console.assert(airplane === this.airplane, "not our airplane");
-    this.setRollRate(this.airplane.rollRate);
+  onAirplaneChanged() {
+    this.setTurnRate(this.airplane.turnCoordinatorRate);
     this.setYaw(this.airplane.yaw);
   }
 }
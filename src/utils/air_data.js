@@ -0,0 +1,108 @@
+import { STANDARD_BAROMETER } from "./conversions";
+import {
+  ISA_SEA_LEVEL_TEMPERATURE,
+  pressureAltitude,
+  altitudeForDensity,
+  airDensity
+} from "./atmosphere";
+
+/**
+ * Air data computations, the same ones performed by an air data computer or an E6B.
+ * Speeds are knots, pressures inches of mercury, temperatures celsius and altitudes feet.
+ * The formulas are for subsonic compressible flow, which is all we need.
+ */
+
+/**
+ * speed of sound in knots at ISA sea level
+ * @type {number}
+ */
+export const SPEED_OF_SOUND_SEA_LEVEL = 661.4788;
+
+// kelvin at zero celsius
+const KELVIN = 273.15;
+
+/**
+ * speed of sound in knots at the given temperature
+ * @param celsius
+ * @returns {number}
+ */
+export function speedOfSound(celsius) {
+  return (
+    SPEED_OF_SOUND_SEA_LEVEL *
+    Math.sqrt((celsius + KELVIN) / ISA_SEA_LEVEL_TEMPERATURE)
+  );
+}
+
+/**
+ * correct indicated airspeed for the position error of the static system using a
+ * calibration table of [KIAS, KCAS] pairs sorted by KIAS, as found in the POH.
+ * Values between entries are interpolated, above the table the last correction is used and
+ * below it the correction tapers to zero at zero airspeed. With no table CAS is the same as IAS.
+ * @param ias
+ * @param calibration - e.g. [[50, 56], [60, 62], [70, 70]]
+ * @returns {number}
+ */
+export function calibratedAirspeed(ias, calibration = []) {
+  if (!calibration.length) {
+    return ias;
+  }
+  const correction = ([kias, kcas]) => kcas - kias;
+  const upper = calibration.findIndex(([kias]) => kias >= ias);
+  if (upper === 0) {
+    const [x0] = calibration[0];
+    return (
+      ias + correction(calibration[0]) * Math.max(0, Math.min(1, ias / x0))
+    );
+  }
+  if (upper < 0) {
+    return ias + correction(calibration[calibration.length - 1]);
+  }
+  const [x0] = calibration[upper - 1];
+  const [x1] = calibration[upper];
+  const t = (ias - x0) / (x1 - x0);
+  return (
+    ias +
+    correction(calibration[upper - 1]) * (1 - t) +
+    correction(calibration[upper]) * t
+  );
+}
+
+/**
+ * mach number for the given calibrated airspeed and static pressure. The impact pressure
+ * is recovered from CAS using the sea level calibration of the airspeed indicator.
+ * @param cas
+ * @param staticPressure
+ * @returns {number}
+ */
+export function machNumber(cas, staticPressure) {
+  const impactPressure =
+    STANDARD_BAROMETER *
+    (Math.pow(1 + 0.2 * Math.pow(cas / SPEED_OF_SOUND_SEA_LEVEL, 2), 3.5) - 1);
+  return Math.sqrt(
+    5 * (Math.pow(impactPressure / staticPressure + 1, 2 / 7) - 1)
+  );
+}
+
+/**
+ * true airspeed for the given calibrated airspeed, static pressure and outside air temperature
+ * @param cas
+ * @param staticPressure
+ * @param celsius
+ * @returns {number}
+ */
+export function trueAirspeed(cas, staticPressure, celsius) {
+  return machNumber(cas, staticPressure) * speedOfSound(celsius);
+}
+
+/**
+ * the altitude in the standard atmosphere with the same air density
+ * @param staticPressure
+ * @param celsius
+ * @returns {number}
+ */
+export function densityAltitude(staticPressure, celsius) {
+  return altitudeForDensity(airDensity(staticPressure, celsius));
+}
+
+// pressure altitude lives with the rest of the atmosphere model
+export { pressureAltitude };
@@ -0,0 +1,163 @@
+import { inchesHgToMillibars, STANDARD_BAROMETER } from "./conversions";
+
+/**
+ * International Standard Atmosphere ( ISA ) model for the troposphere and the lower
+ * stratosphere. Altitudes are in feet, pressures in inches of mercury and temperatures
+ * in degrees celsius to match the units used by the airplane model. Non-standard days are
+ * described by the actual sea level pressure and the deviation from the ISA temperature.
+ */
+
+/**
+ * sea level temperature in kelvin
+ * @type {number}
+ */
+export const ISA_SEA_LEVEL_TEMPERATURE = 288.15;
+
+/**
+ * temperature lapse rate in the troposphere, kelvin per meter
+ * @type {number}
+ */
+export const ISA_LAPSE_RATE = 0.0065;
+
+/**
+ * altitude of the tropopause in feet ( 11,000 meters )
+ * @type {number}
+ */
+export const TROPOPAUSE = 36089.24;
+
+// acceleration due to gravity m/s/s
+const G = 9.80665;
+// specific gas constant for dry air J/(kg K)
+const R_AIR = 287.05287;
+// exponent used by the barometric formula in the troposphere
+const EXPONENT = G / (ISA_LAPSE_RATE * R_AIR);
+// meters per foot
+const FEET_TO_METERS = 0.3048;
+// kelvin at zero celsius
+const KELVIN = 273.15;
+
+/**
+ * temperature at the given geometric altitude in degrees celsius. Above the tropopause
+ * the temperature is constant.
+ * @param feet
+ * @param isaDeviation - degrees celsius warmer ( + ) or colder ( - ) than standard
+ * @returns {number}
+ */
+export function temperatureAtAltitude(feet, isaDeviation = 0) {
+  const meters = Math.min(feet, TROPOPAUSE) * FEET_TO_METERS;
+  return (
+    ISA_SEA_LEVEL_TEMPERATURE + isaDeviation - ISA_LAPSE_RATE * meters - KELVIN
+  );
+}
+
+/**
+ * static pressure at the given geometric altitude. On a non-standard day the pressure
+ * falls off faster in cold air and slower in warm air, which is the source of the
+ * familiar altimeter temperature error.
+ * @param feet
+ * @param seaLevelPressure - actual sea level pressure in inches of mercury
+ * @param isaDeviation - degrees celsius warmer ( + ) or colder ( - ) than standard
+ * @returns {number}
+ */
+export function pressureAtAltitude(
+  feet,
+  seaLevelPressure = STANDARD_BAROMETER,
+  isaDeviation = 0
+) {
+  const base = ISA_SEA_LEVEL_TEMPERATURE + isaDeviation;
+  const troposphere = Math.min(feet, TROPOPAUSE) * FEET_TO_METERS;
+  const tropopauseTemperature = base - ISA_LAPSE_RATE * troposphere;
+  let pressure =
+    seaLevelPressure * Math.pow(tropopauseTemperature / base, EXPONENT);
+  // isothermal layer above the tropopause
+  if (feet > TROPOPAUSE) {
+    const meters = (feet - TROPOPAUSE) * FEET_TO_METERS;
+    pressure *= Math.exp((-G * meters) / (R_AIR * tropopauseTemperature));
+  }
+  return pressure;
+}
+
+/**
+ * the altitude in the standard atmosphere at which the given pressure occurs,
+ * referenced to 29.92 inches of mercury.
+ * @param inchesHg
+ * @returns {number}
+ */
+export function pressureAltitude(inchesHg) {
+  const tropopausePressure = pressureAtAltitude(TROPOPAUSE);
+  if (inchesHg >= tropopausePressure) {
+    const ratio = Math.pow(inchesHg / STANDARD_BAROMETER, 1 / EXPONENT);
+    return (
+      (ISA_SEA_LEVEL_TEMPERATURE / ISA_LAPSE_RATE) * (1 - ratio) / FEET_TO_METERS
+    );
+  }
+  const tropopauseTemperature =
+    ISA_SEA_LEVEL_TEMPERATURE - ISA_LAPSE_RATE * TROPOPAUSE * FEET_TO_METERS;
+  const meters =
+    ((-R_AIR * tropopauseTemperature) / G) *
+    Math.log(inchesHg / tropopausePressure);
+  return TROPOPAUSE + meters / FEET_TO_METERS;
+}
+
+/**
+ * the altitude an altimeter displays for the given static pressure and kollsman window
+ * setting. The instrument is calibrated to the standard atmosphere, the setting simply
+ * offsets the dial by the pressure altitude of the setting itself.
+ * @param staticPressure
+ * @param altimeterSetting
+ * @returns {number}
+ */
+export function indicatedAltitude(
+  staticPressure,
+  altimeterSetting = STANDARD_BAROMETER
+) {
+  return pressureAltitude(staticPressure) - pressureAltitude(altimeterSetting);
+}
+
+/**
+ * air density in kg per cubic meter for the given pressure ( inches of mercury )
+ * and temperature ( celsius )
+ * @param inchesHg
+ * @param celsius
+ * @returns {number}
+ */
+export function airDensity(inchesHg, celsius) {
+  const pascals = inchesHgToMillibars(inchesHg) * 100;
+  return pascals / (R_AIR * (celsius + KELVIN));
+}
+
+/**
+ * the altitude in the standard atmosphere at which the given density occurs
+ * i.e. the density altitude
+ * @param density - kg per cubic meter
+ * @returns {number}
+ */
+export function altitudeForDensity(density) {
+  const tropopauseTemperature =
+    ISA_SEA_LEVEL_TEMPERATURE - ISA_LAPSE_RATE * TROPOPAUSE * FEET_TO_METERS;
+  const tropopauseDensity = airDensity(
+    pressureAtAltitude(TROPOPAUSE),
+    tropopauseTemperature - KELVIN
+  );
+  if (density >= tropopauseDensity) {
+    // in the troposphere density varies with temperature to the power EXPONENT - 1
+    const ratio = Math.pow(density / ISA_SEA_LEVEL_DENSITY, 1 / (EXPONENT - 1));
+    return (
+      ((ISA_SEA_LEVEL_TEMPERATURE / ISA_LAPSE_RATE) * (1 - ratio)) /
+      FEET_TO_METERS
+    );
+  }
+  const meters =
+    ((-R_AIR * tropopauseTemperature) / G) *
+    Math.log(density / tropopauseDensity);
+  return TROPOPAUSE + meters / FEET_TO_METERS;
+}
+
+/**
+ * ISA sea level density in kg per cubic meter
+ * @type {number}
+ */
+export const ISA_SEA_LEVEL_DENSITY = airDensity(
+  STANDARD_BAROMETER,
+  ISA_SEA_LEVEL_TEMPERATURE - KELVIN
+);
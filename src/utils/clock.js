@@ -0,0 +1,327 @@
+/**
+ * The simulation clock. Everything that animates or integrates over time, lerps, intervals,
+ * response models, the flight model and the airplane itself, reads the time and requests
+ * animation frames from the clock rather than using Date.now and requestAnimationFrame
+ * directly. That allows a whole panel to be paused, slowed down, sped up or stepped one
+ * frame at a time e.g.
+ *
+ *   clock.setMode(SCALED, 4)  // run at 4x
+ *   clock.setMode(PAUSED)     // freeze, the panel still responds to its knobs
+ *   clock.setMode(MANUAL)     // nothing happens until clock.step() is called
+ *
+ * Times are milliseconds, like Date.now. The simulated time starts at the real time.
+ *
+ * The clock is also the one frame scheduler for the whole application. A single browser
+ * animation frame calls, in order, any due intervals, every animation callback ( requestFrame )
+ * and finally the render pass ( requestRender ), where change notifications are delivered
+ * once the animations for the frame have settled. Frames are only requested while there is
+ * something to animate or render, when only intervals are waiting a timer wakes the clock
+ * for the next one. While paused only the render pass runs, and while the page is hidden
+ * the clock suspends itself, requesting no frames and letting no simulated time pass.
+ */
+
+/**
+ * real time, one simulated millisecond per real millisecond
+ * @type {string}
+ */
+export const REALTIME = "realtime";
+
+/**
+ * simulated time runs at the given scale of real time e.g. 0.25 for slow motion
+ * @type {string}
+ */
+export const SCALED = "scaled";
+
+/**
+ * simulated time does not advance, render callbacks are still delivered so the panel
+ * responds to its knobs
+ * @type {string}
+ */
+export const PAUSED = "paused";
+
+/**
+ * time only advances, and frames are only delivered, when step is called.
+ * Intended for tests and frame by frame stepping.
+ * @type {string}
+ */
+export const MANUAL = "manual";
+
+// milliseconds advanced by a manual step when none is given, one frame at 60 fps
+const FRAME = 1000 / 60;
+// render callbacks may request more renders, e.g. a notification that triggers another,
+// after this many passes any still outstanding are left for the next frame
+const MAX_RENDER_PASSES = 8;
+
+export class Clock {
+  /**
+   * options are the mode and scale, see setMode
+   * @param options
+   */
+  constructor(options = {}) {
+    Object.assign(this, { mode: REALTIME, scale: 1 }, options);
+    this.time = Date.now();
+    this.lastReal = this.time;
+    // frame and render callbacks keyed by id and the id of the next one
+    this.frames = new Map();
+    this.renders = new Map();
+    this.frameId = 1;
+    // intervals, { callback, period, due }
+    this.timers = [];
+    // the browser animation frame that drives us when not in manual mode, and the timer
+    // used instead when only intervals are waiting
+    this.requestId = 0;
+    this.timeoutId = 0;
+    // true while the page is hidden
+    this.suspended = false;
+    if (typeof document !== "undefined") {
+      this.onVisibilityChange = () => this.setSuspended(document.hidden);
+      document.addEventListener("visibilitychange", this.onVisibilityChange);
+      this.suspended = !!document.hidden;
+    }
+  }
+
+  /**
+   * stop listening to the page, used when the clock is replaced
+   */
+  dispose() {
+    this.stopFrames();
+    if (this.onVisibilityChange) {
+      document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    }
+  }
+
+  /**
+   * the current simulated time in milliseconds
+   * @returns {number}
+   */
+  now() {
+    this.advance();
+    return this.time;
+  }
+
+  /**
+   * change the mode
+   * @param mode - REALTIME, SCALED, PAUSED or MANUAL
+   * @param scale - for SCALED, simulated milliseconds per real millisecond
+   */
+  setMode(mode, scale = 1) {
+    console.assert(
+      [REALTIME, SCALED, PAUSED, MANUAL].indexOf(mode) >= 0,
+      "invalid clock mode"
+    );
+    console.assert(scale > 0, "invalid clock scale");
+    // time up to now passes at the old rate
+    this.advance();
+    this.mode = mode;
+    this.scale = mode === SCALED ? scale : 1;
+    this.stopFrames();
+    this.schedule();
+  }
+
+  /**
+   * request a callback on the next frame, with the current time. Like requestAnimationFrame
+   * the callback is called once, request again to animate.
+   * @param callback
+   * @returns {number} an id that can be passed to cancelFrame
+   */
+  requestFrame(callback) {
+    const id = this.frameId;
+    this.frameId += 1;
+    this.frames.set(id, callback);
+    this.schedule();
+    return id;
+  }
+
+  /**
+   * cancel a frame callback
+   * @param id
+   */
+  cancelFrame(id) {
+    this.frames.delete(id);
+  }
+
+  /**
+   * request a callback in the render pass at the end of the current frame, or the next
+   * frame if called outside of one. Use this for work that should see the result of every
+   * animation in the frame e.g. notifying listeners of changes. Called once, like requestFrame.
+   * @param callback
+   * @returns {number} an id that can be passed to cancelRender
+   */
+  requestRender(callback) {
+    const id = this.frameId;
+    this.frameId += 1;
+    this.renders.set(id, callback);
+    this.schedule();
+    return id;
+  }
+
+  /**
+   * cancel a render callback
+   * @param id
+   */
+  cancelRender(id) {
+    this.renders.delete(id);
+  }
+
+  /**
+   * suspend or resume the clock. While suspended no frames are requested and no simulated
+   * time passes. The clock suspends itself while the page is hidden.
+   * @param suspended
+   */
+  setSuspended(suspended) {
+    this.advance();
+    this.suspended = !!suspended;
+    if (this.suspended) {
+      this.stopFrames();
+    } else {
+      this.schedule();
+    }
+  }
+
+  /**
+   * call the callback every period milliseconds of simulated time, starting on the next frame.
+   * Returns a function that cancels the interval.
+   * @param callback
+   * @param period
+   * @returns {function()}
+   */
+  interval(callback, period) {
+    console.assert(period > 0, "invalid period");
+    const timer = { callback, period, due: this.now() };
+    this.timers.push(timer);
+    this.schedule();
+    return () => {
+      this.timers = this.timers.filter(t => t !== timer);
+    };
+  }
+
+  /**
+   * advance the clock by the given milliseconds and deliver one frame. Usually used in
+   * MANUAL mode but works in any mode e.g. to step while PAUSED.
+   * @param milliseconds
+   */
+  step(milliseconds = FRAME) {
+    this.advance();
+    this.time += milliseconds;
+    this.deliver();
+  }
+
+  /**
+   * bring the simulated time up to date with the real time, unless paused, manual or suspended
+   */
+  advance() {
+    const real = Date.now();
+    if (!this.suspended && (this.mode === REALTIME || this.mode === SCALED)) {
+      this.time += (real - this.lastReal) * this.scale;
+    }
+    this.lastReal = real;
+  }
+
+  /**
+   * call any due intervals, the frame callbacks and then the render pass. Frame callbacks
+   * requested during the frame are called on the next frame, render callbacks in this one.
+   */
+  deliver() {
+    this.timers.slice().forEach(timer => {
+      if (this.time >= timer.due && this.timers.indexOf(timer) >= 0) {
+        // skip missed intervals rather than calling back repeatedly to catch up
+        timer.due = Math.max(timer.due + timer.period, this.time);
+        timer.callback();
+      }
+    });
+    const frames = this.frames;
+    this.frames = new Map();
+    frames.forEach(callback => callback(this.time));
+    this.render();
+  }
+
+  /**
+   * the render pass, calling render callbacks until none are outstanding
+   */
+  render() {
+    for (
+      let pass = 0;
+      pass < MAX_RENDER_PASSES && this.renders.size;
+      pass += 1
+    ) {
+      const renders = this.renders;
+      this.renders = new Map();
+      renders.forEach(callback => callback(this.time));
+    }
+  }
+
+  /**
+   * request a browser animation frame if there is anything to animate or render, or else
+   * set a timer for the next interval, unless in manual mode or suspended. While paused
+   * frame callbacks and intervals wait, time is not passing for them.
+   */
+  schedule() {
+    if (this.mode === MANUAL || this.suspended) {
+      return;
+    }
+    const paused = this.mode === PAUSED;
+    if (this.renders.size || (!paused && this.frames.size)) {
+      this.stopTimeout();
+      if (!this.requestId) {
+        this.requestId = requestAnimationFrame(() => {
+          this.requestId = 0;
+          this.advance();
+          if (this.mode === PAUSED) {
+            this.render();
+          } else {
+            this.deliver();
+          }
+          this.schedule();
+        });
+      }
+    } else if (!paused && !this.requestId && this.timers.length) {
+      // real milliseconds until the next interval is due
+      const due = Math.min(...this.timers.map(timer => timer.due));
+      const delay = Math.max(0, (due - this.now()) / this.scale);
+      this.stopTimeout();
+      this.timeoutId = setTimeout(() => {
+        this.timeoutId = 0;
+        this.advance();
+        this.deliver();
+        this.schedule();
+      }, delay);
+    }
+  }
+
+  /**
+   * cancel the browser animation frame and interval timer, if any
+   */
+  stopFrames() {
+    if (this.requestId) {
+      cancelAnimationFrame(this.requestId);
+      this.requestId = 0;
+    }
+    this.stopTimeout();
+  }
+
+  /**
+   * cancel the interval timer, if any
+   */
+  stopTimeout() {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = 0;
+    }
+  }
+}
+
+/**
+ * the clock shared by the whole application, see setClock
+ * @type {Clock}
+ */
+export let clock = new Clock();
+
+/**
+ * replace the shared clock e.g. with a manual clock for tests. Do this before creating
+ * the airplane and instruments, anything already animating keeps using the old clock.
+ * @param newClock
+ */
+export function setClock(newClock) {
+  clock.dispose();
+  clock = newClock;
+}
@@ -37,6 +37,15 @@ export function inchesHgToMillibars(inchesHg) {
   return inchesHg / 0.02953;
 }
 
+/**
+ * celsius to fahrenheit
+ * @param celsius
+ * @returns {number}
+ */
+export function celsiusToFahrenheit(celsius) {
+  return (celsius * 9) / 5 + 32;
+}
+
 /**
  * convert a signed degrees value to positive 0->360
  * e.g. -10 becomes 350
@@ -0,0 +1,219 @@
+import WMM from "./wmm2025.json";
+import { D2R, R2D } from "../geometry/angle";
+import { signedDegreesToPositive360 } from "./conversions";
+
+/**
+ * The World Magnetic Model ( WMM ), evaluated entirely offline from the coefficients in
+ * wmm2025.json. This is the model used by aviation charts and GPS receivers to relate true
+ * and magnetic north. The spherical harmonic synthesis follows the WMM technical report.
+ * Variation ( declination ) is positive east, dip ( inclination ) is positive down.
+ * When the model expires replace the coefficients file with the next release.
+ */
+
+// WGS84 ellipsoid semi major and semi minor axes and the geomagnetic reference radius, kilometers
+const A = 6378.137;
+const B = 6356.7523142;
+const RE = 6371.2;
+const A2 = A * A;
+const B2 = B * B;
+const C2 = A2 - B2;
+const A4 = A2 * A2;
+const C4 = A4 - B2 * B2;
+// kilometers per foot
+const FEET_TO_KM = 0.0003048;
+
+// maximum degree and order of the model
+const N = WMM.coefficients.reduce((max, [n]) => Math.max(max, n), 0);
+
+/**
+ * create an N + 1 square array of zeros
+ * @returns {Array}
+ */
+const square = () =>
+  Array.from({ length: N + 1 }, () => new Array(N + 1).fill(0));
+
+// Schmidt semi-normalized coefficients and their secular variation, indexed [n][m]
+const G = square();
+const H = square();
+const GDOT = square();
+const HDOT = square();
+// recursion constants for the associated Legendre functions
+const K = square();
+(() => {
+  const norm = square();
+  norm[0][0] = 1;
+  for (let n = 1; n <= N; n += 1) {
+    norm[n][0] = (norm[n - 1][0] * (2 * n - 1)) / n;
+    for (let m = 1; m <= n; m += 1) {
+      norm[n][m] =
+        norm[n][m - 1] * Math.sqrt(((n - m + 1) * (m === 1 ? 2 : 1)) / (n + m));
+    }
+    for (let m = 0; m <= n; m += 1) {
+      K[n][m] =
+        n > 1 ? ((n - 1) * (n - 1) - m * m) / ((2 * n - 1) * (2 * n - 3)) : 0;
+    }
+  }
+  WMM.coefficients.forEach(([n, m, g, h, gdot, hdot]) => {
+    G[n][m] = g * norm[n][m];
+    H[n][m] = h * norm[n][m];
+    GDOT[n][m] = gdot * norm[n][m];
+    HDOT[n][m] = hdot * norm[n][m];
+  });
+})();
+
+/**
+ * the name of the embedded model e.g. "WMM-2025" and the years it is valid for
+ * @type {{model: string, epoch: number, validUntil: number}}
+ */
+export const MAGNETIC_MODEL = {
+  model: WMM.model,
+  epoch: WMM.epoch,
+  validUntil: WMM.validUntil
+};
+
+/**
+ * convert a date to a decimal year e.g. 2025.5
+ * @param date
+ * @returns {number}
+ */
+export function decimalYear(date) {
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  return year + (date.getTime() - start) / (end - start);
+}
+
+/**
+ * the earths magnetic field at the given position and date
+ * @param latitude - decimal degrees, north positive
+ * @param longitude - decimal degrees, east positive
+ * @param feet - altitude above mean sea level
+ * @param date
+ * @returns {{variation: number, dip: number, north: number, east: number, down: number, horizontalIntensity: number, totalIntensity: number}}
+ * variation and dip are degrees, the field components and intensities are nanotesla
+ */
+export function magneticField(
+  latitude,
+  longitude,
+  feet = 0,
+  date = new Date()
+) {
+  const year = decimalYear(date);
+  console.assert(
+    year >= WMM.epoch && year <= WMM.validUntil,
+    `${WMM.model} is not valid for ${year.toFixed(1)}`
+  );
+  const dt = year - WMM.epoch;
+  const alt = feet * FEET_TO_KM;
+  const lat = D2R(Math.max(-90, Math.min(90, latitude)));
+  const lon = D2R(longitude);
+  const srlat = Math.sin(lat);
+  const crlat = Math.cos(lat);
+  const srlat2 = srlat * srlat;
+  const crlat2 = crlat * crlat;
+
+  // geodetic to spherical coordinates
+  const q = Math.sqrt(A2 - C2 * srlat2);
+  const q1 = alt * q;
+  const q2 = Math.pow((q1 + A2) / (q1 + B2), 2);
+  const ct = srlat / Math.sqrt(q2 * crlat2 + srlat2);
+  const st = Math.sqrt(Math.max(0, 1 - ct * ct));
+  const r = Math.sqrt(alt * alt + 2 * q1 + (A4 - C4 * srlat2) / (q * q));
+  const d = Math.sqrt(A2 * crlat2 + B2 * srlat2);
+  const ca = (alt + d) / r;
+  const sa = (C2 * crlat * srlat) / (r * d);
+
+  // field in spherical coordinates from the sum of the spherical harmonics
+  const p = square();
+  const dp = square();
+  const pp = new Array(N + 1).fill(0);
+  p[0][0] = 1;
+  pp[0] = 1;
+  const aor = RE / r;
+  let ar = aor * aor;
+  let br = 0;
+  let bt = 0;
+  let bp = 0;
+  let bpp = 0;
+  for (let n = 1; n <= N; n += 1) {
+    ar *= aor;
+    for (let m = 0; m <= n; m += 1) {
+      if (n === m) {
+        p[n][m] = st * p[n - 1][m - 1];
+        dp[n][m] = st * dp[n - 1][m - 1] + ct * p[n - 1][m - 1];
+      } else if (n === 1) {
+        p[n][m] = ct * p[n - 1][m];
+        dp[n][m] = ct * dp[n - 1][m] - st * p[n - 1][m];
+      } else {
+        const p2 = m > n - 2 ? 0 : p[n - 2][m];
+        const dp2 = m > n - 2 ? 0 : dp[n - 2][m];
+        p[n][m] = ct * p[n - 1][m] - K[n][m] * p2;
+        dp[n][m] = ct * dp[n - 1][m] - st * p[n - 1][m] - K[n][m] * dp2;
+      }
+      const g = G[n][m] + dt * GDOT[n][m];
+      const h = H[n][m] + dt * HDOT[n][m];
+      const cp = Math.cos(m * lon);
+      const sp = Math.sin(m * lon);
+      const temp1 = g * cp + h * sp;
+      const temp2 = g * sp - h * cp;
+      bt -= ar * temp1 * dp[n][m];
+      bp += m * temp2 * ar * p[n][m];
+      br += (n + 1) * temp1 * ar * p[n][m];
+      // at the geographic poles the east component needs a separate recursion
+      if (st === 0 && m === 1) {
+        pp[n] = n === 1 ? pp[n - 1] : ct * pp[n - 1] - K[n][m] * pp[n - 2];
+        bpp += m * temp2 * ar * pp[n];
+      }
+    }
+  }
+  bp = st === 0 ? bpp : bp / st;
+
+  // rotate back to geodetic coordinates
+  const north = -bt * ca - br * sa;
+  const east = bp;
+  const down = bt * sa - br * ca;
+  const horizontalIntensity = Math.sqrt(north * north + east * east);
+  return {
+    variation: R2D(Math.atan2(east, north)),
+    dip: R2D(Math.atan2(down, horizontalIntensity)),
+    north,
+    east,
+    down,
+    horizontalIntensity,
+    totalIntensity: Math.sqrt(
+      horizontalIntensity * horizontalIntensity + down * down
+    )
+  };
+}
+
+/**
+ * magnetic variation in degrees, east positive
+ * @param latitude
+ * @param longitude
+ * @param feet
+ * @param date
+ * @returns {number}
+ */
+export function magneticVariation(latitude, longitude, feet, date) {
+  return magneticField(latitude, longitude, feet, date).variation;
+}
+
+/**
+ * convert a true heading or track to magnetic, east is least, west is best
+ * @param degrees
+ * @param variation - east positive
+ * @returns {number}
+ */
+export function trueToMagnetic(degrees, variation) {
+  return signedDegreesToPositive360(degrees - variation);
+}
+
+/**
+ * convert a magnetic heading or track to true
+ * @param degrees
+ * @param variation - east positive
+ * @returns {number}
+ */
+export function magneticToTrue(degrees, variation) {
+  return signedDegreesToPositive360(degrees + variation);
+}
@@ -1,3 +1,5 @@
+import { clock } from "./clock";
+
 /**
  * round a real to given number of decimal places. This is much better than toFixed for the following reasons:
  *
@@ -8,6 +10,10 @@
  * @returns {number}
  */
 export const round = (value, decimals) => {
+  // values written with an exponent e.g. 1e-17 can't have another appended
+  if (/e/i.test(String(value))) {
+    return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+  }
   return Number(Math.round(value + "e" + decimals) + "e-" + decimals);
 };
 
@@ -61,39 +67,40 @@ export const lerp = (from, to, time, callback, ease = true) => {
     "invalid parameters"
   );
 
-  // time span over which to operate
-  const startTime = Date.now();
+  // time span over which to operate, keep the clock in case the shared clock is replaced
+  const c = clock;
+  const startTime = c.now();
   const endTime = startTime + time;
 
   let requestId = 0;
 
   const timer = () => {
     let value = to;
-    const now = Date.now();
+    const now = c.now();
     if (now < endTime) {
       const delta = now - startTime;
       const normalized = ease
         ? Math.sin((delta / time) * (Math.PI / 2))
         : delta / time;
       value = from + normalized * (to - from);
-      requestId = requestAnimationFrame(timer);
+      requestId = c.requestFrame(timer);
     } else {
       requestId = 0;
     }
     callback(value);
   };
 
-  requestId = requestAnimationFrame(timer);
+  requestId = c.requestFrame(timer);
 
   return () => {
     if (requestId) {
-      cancelAnimationFrame(requestId);
+      c.cancelFrame(requestId);
     }
   };
 };
 
 /**
- * TODO, gives this a shared requestAnimationFrame
+ * a value that lerps towards each new value it is given, timed by the shared clock
  */
 export class AnimatedValue {
   constructor(value, options = {}) {
@@ -0,0 +1,135 @@
+import { lerp } from "./math";
+import { clock } from "./clock";
+
+/**
+ * Response models describe how a property moves from its current value to a new target.
+ * Each factory returns a model, which is a function with the same signature as a lerp:
+ *
+ *   model(from, to, callback) => cancel function
+ *
+ * The callback receives each new value. Models may keep state between targets ( e.g. the
+ * velocity of a spring ) so always create a new model for each property, never share one.
+ */
+
+// once within this fraction of the step ( or this absolute amount for tiny steps ) a model settles
+const SETTLE = 0.0005;
+
+/**
+ * call update with the elapsed seconds on every animation frame until it returns false.
+ * Returns a function that cancels the loop.
+ * @param update
+ * @returns {function()}
+ */
+const frameLoop = update => {
+  const c = clock;
+  let last = c.now();
+  let requestId = 0;
+  const timer = () => {
+    const now = c.now();
+    const dt = (now - last) / 1000;
+    last = now;
+    requestId = update(dt) ? c.requestFrame(timer) : 0;
+  };
+  requestId = c.requestFrame(timer);
+  return () => {
+    if (requestId) {
+      c.cancelFrame(requestId);
+      requestId = 0;
+    }
+  };
+};
+
+/**
+ * true if value is close enough to target to stop animating
+ * @param value
+ * @param to
+ * @param from
+ * @returns {boolean}
+ */
+const settled = (value, to, from) =>
+  Math.abs(to - value) <= SETTLE * Math.max(1, Math.abs(to - from));
+
+/**
+ * jump straight to the target, suitable for live telemetry that is already smooth
+ * @returns {function}
+ */
+export const immediate = () => (from, to, callback) => {
+  callback(to);
+  return () => {};
+};
+
+/**
+ * the classic sine eased lerp over a fixed time. Fine for demos but the duration is
+ * the same regardless of the size of the change.
+ * @param time - milliseconds
+ * @returns {function}
+ */
+export const eased = time => (from, to, callback) =>
+  lerp(from, to, time, callback);
+
+/**
+ * exponential approach to the target e.g. the lag of a vertical speed indicator.
+ * After one time constant the value has covered ~63% of the change, after three ~95%.
+ * @param timeConstant - milliseconds
+ * @returns {function}
+ */
+export const firstOrderLag = timeConstant => (from, to, callback) => {
+  console.assert(timeConstant > 0, "invalid time constant");
+  let value = from;
+  return frameLoop(dt => {
+    value += (to - value) * (1 - Math.exp((-dt * 1000) / timeConstant));
+    const done = settled(value, to, from);
+    callback(done ? to : value);
+    return !done;
+  });
+};
+
+/**
+ * a critically damped spring, the fastest approach to the target without overshoot.
+ * The velocity is carried over when the target changes so motion stays smooth.
+ * @param time - approximate milliseconds to reach the target
+ * @returns {function}
+ */
+export const criticallyDamped = time => {
+  console.assert(time > 0, "invalid time");
+  // natural frequency for ~98% of the change in the given time
+  const omega = 8 / (time / 1000);
+  let velocity = 0;
+  return (from, to, callback) => {
+    let value = from;
+    return frameLoop(dt => {
+      // exact solution of the critically damped spring over the interval dt
+      const x = omega * dt;
+      const decay = Math.exp(-x);
+      const error = value - to;
+      const temp = (velocity + omega * error) * dt;
+      velocity = (velocity - omega * temp) * decay;
+      value = to + (error + temp) * decay;
+      const done =
+        settled(value, to, from) &&
+        Math.abs(velocity) * dt <= SETTLE * Math.max(1, Math.abs(to - from));
+      if (done) {
+        velocity = 0;
+      }
+      callback(done ? to : value);
+      return !done;
+    });
+  };
+};
+
+/**
+ * move towards the target at a constant maximum rate e.g. a gyro slewing to a new heading
+ * @param rate - units per second
+ * @returns {function}
+ */
+export const slew = rate => (from, to, callback) => {
+  console.assert(rate > 0, "invalid rate");
+  let value = from;
+  return frameLoop(dt => {
+    const step = rate * dt;
+    value =
+      Math.abs(to - value) <= step ? to : value + Math.sign(to - value) * step;
+    callback(value);
+    return value !== to;
+  });
+};
@@ -0,0 +1,154 @@
+import { D2R, R2D, angularDelta } from "../geometry/angle";
+import { signedDegreesToPositive360 } from "./conversions";
+
+/**
+ * Wind models describe the wind at a given altitude and time. Each factory returns a model,
+ * which is a function:
+ *
+ *   model(altitude, time) => { direction, speed }
+ *
+ * Altitude is in feet, time is in seconds since the airplane was created. Direction is the
+ * direction the wind is blowing FROM in degrees true and speed is in knots.
+ */
+
+// degrees the wind veers and backs either side of its mean direction when gusting
+const GUST_VEER = 20;
+
+/**
+ * the same wind at all altitudes and times
+ * @param direction
+ * @param speed
+ * @returns {function}
+ */
+export const constantWind = (direction = 0, speed = 0) => () => ({
+  direction: signedDegreesToPositive360(direction),
+  speed
+});
+
+/**
+ * no wind at all
+ * @returns {function}
+ */
+export const calmWind = () => constantWind(0, 0);
+
+/**
+ * wind that varies with altitude e.g. from a winds aloft forecast. The wind is interpolated
+ * between layers and held constant above the highest and below the lowest layer.
+ * @param layers - array of { altitude, direction, speed } sorted by altitude
+ * @returns {function}
+ */
+export const layeredWind = layers => {
+  console.assert(
+    layers.length &&
+      layers.every((l, i) => i === 0 || l.altitude > layers[i - 1].altitude),
+    "layers must be sorted by altitude"
+  );
+  return altitude => {
+    const upper = layers.findIndex(l => l.altitude >= altitude);
+    if (upper <= 0) {
+      const layer = layers[upper < 0 ? layers.length - 1 : 0];
+      return {
+        direction: signedDegreesToPositive360(layer.direction),
+        speed: layer.speed
+      };
+    }
+    const below = layers[upper - 1];
+    const above = layers[upper];
+    const t = (altitude - below.altitude) / (above.altitude - below.altitude);
+    return {
+      direction: signedDegreesToPositive360(
+        below.direction + angularDelta(below.direction, above.direction) * t
+      ),
+      speed: below.speed + (above.speed - below.speed) * t
+    };
+  };
+};
+
+/**
+ * add gusts to another wind model. The speed varies smoothly between the speed of the
+ * underlying model and up to gust knots more, and the direction veers and backs a little.
+ * e.g. 270 at 15 gusting 25 is gustingWind(constantWind(270, 15), 10)
+ * @param model
+ * @param gust - knots
+ * @param period - approximate seconds between gusts
+ * @returns {function}
+ */
+export const gustingWind = (model, gust, period = 10) => {
+  console.assert(period > 0, "invalid period");
+  // random phases so gusts from different models are not in step
+  const phases = [0, 1, 2].map(() => 2 * Math.PI * Math.random());
+  return (altitude, time) => {
+    const wind = model(altitude, time);
+    const t = (2 * Math.PI * time) / period;
+    // 0..1, a mix of incommensurate sines so the pattern does not obviously repeat
+    const strength =
+      (3 +
+        Math.sin(t + phases[0]) +
+        Math.sin(2.3 * t + phases[1]) +
+        Math.sin(3.7 * t + phases[2])) /
+      6;
+    return {
+      direction: signedDegreesToPositive360(
+        wind.direction + (strength - 0.5) * GUST_VEER
+      ),
+      speed: wind.speed + gust * strength
+    };
+  };
+};
+
+/**
+ * the wind that explains the difference between the air and ground vectors e.g. when the
+ * ground track and speed come from a GPS
+ * @param tas - knots
+ * @param heading - degrees true
+ * @param groundSpeed - knots
+ * @param groundTrack - degrees true
+ * @returns {{direction: number, speed: number}}
+ */
+export function windFromGround(tas, heading, groundSpeed, groundTrack) {
+  // the wind velocity, which blows towards the opposite of its direction
+  const east =
+    groundSpeed * Math.sin(D2R(groundTrack)) - tas * Math.sin(D2R(heading));
+  const north =
+    groundSpeed * Math.cos(D2R(groundTrack)) - tas * Math.cos(D2R(heading));
+  const speed = Math.sqrt(east * east + north * north);
+  return {
+    direction:
+      speed > 0
+        ? signedDegreesToPositive360(R2D(Math.atan2(-east, -north)))
+        : 0,
+    speed
+  };
+}
+
+/**
+ * solve the wind triangle for the given true airspeed, heading and wind
+ * @param tas - knots
+ * @param heading - degrees true
+ * @param wind - { direction, speed }
+ * @returns {{groundTrack: number, groundSpeed: number, driftAngle: number, headwind: number, crosswind: number}}
+ */
+export function windTriangle(tas, heading, wind) {
+  // east and north components of the air velocity plus the wind velocity,
+  // which blows towards the opposite of its direction
+  const east =
+    tas * Math.sin(D2R(heading)) - wind.speed * Math.sin(D2R(wind.direction));
+  const north =
+    tas * Math.cos(D2R(heading)) - wind.speed * Math.cos(D2R(wind.direction));
+  const groundSpeed = Math.sqrt(east * east + north * north);
+  const groundTrack =
+    groundSpeed > 0
+      ? signedDegreesToPositive360(R2D(Math.atan2(east, north)))
+      : heading;
+  const relative = D2R(wind.direction - heading);
+  return {
+    groundTrack,
+    groundSpeed,
+    // positive when the track is right of the heading
+    driftAngle: angularDelta(heading, groundTrack),
+    // positive on the nose
+    headwind: wind.speed * Math.cos(relative),
+    // positive from the right
+    crosswind: wind.speed * Math.sin(relative)
+  };
+}
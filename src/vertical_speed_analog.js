@@ -46,12 +46,6 @@ const TICK3 = TICK1 - 30;
 // radius of  large digits marking hundreds of feet
 const LABEL_RADIUS = TICK3 - 25;
 
-// max positive and negative rates displayed
-const MIN_MAX_SPEED = 2000;
-
-// only large ticks above this level
-const HUNDRED_LIMIT = 1000;
-
 // angle of zero speed
 const ZERO = 180;
 
@@ -77,6 +71,8 @@ export default class VerticalSpeedAnalog extends Instrument {
     super(
       Object.assign(
         {
+          id: "verticalSpeed",
+          flagProperties: ["altitudeRate"],
           width: W,
           height: H
         },
@@ -99,12 +95,9 @@ export default class VerticalSpeedAnalog extends Instrument {
     this.createNeedles();
     this.setNeedle(this.airplane.altitudeRate);
 
-    // listen for changes to the airplane
-    this.onAirplaneChanged = this.onAirplaneChanged.bind(this);
-    this.airplane.addListener(this.onAirplaneChanged);
-    this.addDisposable(() =>
-      this.airplane.removeListener(this.onAirplaneChanged)
-    );
+    // listen for changes to the airplane properties we display
+    this.listen("altitudeRate", rate => this.setNeedle(rate));
+    this.listen("profile", () => this.onProfileChanged());
 
     this.template.appendTo(this.parentElement);
   }
@@ -116,7 +109,8 @@ export default class VerticalSpeedAnalog extends Instrument {
     this.addLerp(
       "demo",
       interval(() => {
-        this.airplane.setAltitudeRate(-1500 + 3000 * Math.random());
+        const range = this.airplane.MAX_DISPLAYED_VERTICAL_SPEED * 0.75;
+        this.airplane.setAltitudeRate(-range + 2 * range * Math.random());
       }, 5000)
     );
   }
@@ -133,11 +127,37 @@ export default class VerticalSpeedAnalog extends Instrument {
    */
   renderImmutable() {
     this.renderCase();
-    this.renderDial();
     this.renderText();
+    this.renderProfile();
     this.renderShadow();
   }
 
+  /**
+   * render the parts of the dial that depend on the airplane profile. This is called
+   * again, replacing the previous rendering, whenever the profile changes.
+   */
+  renderProfile() {
+    this.profileGroup = this.replaceGroup(this.profileGroup);
+    this.renderDial();
+    this.renderUnits();
+  }
+
+  /**
+   * tick intervals and the units of the labels suitable for the displayed range.
+   * Larger ranges are labelled in thousands of feet per minute.
+   * @returns {{small: number, large: number, units: number}}
+   */
+  dialScale() {
+    const range = this.airplane.MAX_DISPLAYED_VERTICAL_SPEED;
+    if (range > 3000) {
+      return { small: 500, large: 1000, units: 1000 };
+    }
+    if (range > 1000) {
+      return { small: 100, large: 500, units: 100 };
+    }
+    return { small: 50, large: 200, units: 100 };
+  }
+
   /**
    * render the shared three outer rings of the bezel
    */
@@ -175,11 +195,12 @@ export default class VerticalSpeedAnalog extends Instrument {
    */
   verticalSpeedToAngle(verticalSpeed) {
     // clamp to limits
-    const v = Math.max(-MIN_MAX_SPEED, Math.min(MIN_MAX_SPEED, verticalSpeed));
+    const range = this.airplane.MAX_DISPLAYED_VERTICAL_SPEED;
+    const v = Math.max(-range, Math.min(range, verticalSpeed));
     if (v >= 0) {
-      return ZERO + (v / MIN_MAX_SPEED) * SWEEP;
+      return ZERO + (v / range) * SWEEP;
     }
-    return ZERO - (-v / MIN_MAX_SPEED) * SWEEP;
+    return ZERO - (-v / range) * SWEEP;
   }
 
   // render up/down vertical speed in 100
@@ -205,14 +226,6 @@ export default class VerticalSpeedAnalog extends Instrument {
       "16px",
       "Verdana"
     );
-    leftText(
-      this.snap,
-      new Vector2D(RATE_TEXT, CY + 30),
-      "100 FEET",
-      "white",
-      "16px",
-      "Verdana"
-    );
     leftText(
       this.snap,
       new Vector2D(RATE_TEXT, CY + 50),
@@ -224,90 +237,71 @@ export default class VerticalSpeedAnalog extends Instrument {
   }
 
   /**
-   * render tick marks around face and numbers for 100's of feet
+   * render the units of the labels
+   */
+  renderUnits() {
+    this.profileGroup.add(
+      leftText(
+        this.snap,
+        new Vector2D(RATE_TEXT, CY + 30),
+        `${this.dialScale().units} FEET`,
+        "white",
+        "16px",
+        "Verdana"
+      )
+    );
+  }
+
+  /**
+   * render tick marks around face and numbers for 100's or 1000's of feet
    */
   renderDial() {
-    for (let i = 0; i <= MIN_MAX_SPEED; i += 100) {
-      // draw large ticks at 500ft intervals
-      if (i % 500 === 0) {
-        tick(
-          this.snap,
-          CENTER,
-          this.verticalSpeedToAngle(i),
-          TICK1,
-          TICK3,
-          3,
-          "white"
-        );
-        if (i > 0) {
+    const range = this.airplane.MAX_DISPLAYED_VERTICAL_SPEED;
+    const { small, large, units } = this.dialScale();
+    // draw a tick, mirrored for descent, adding it to the profile group
+    const ticks = (i, inner, width) => {
+      (i ? [i, -i] : [0]).forEach(v => {
+        this.profileGroup.add(
           tick(
             this.snap,
             CENTER,
-            this.verticalSpeedToAngle(-i),
+            this.verticalSpeedToAngle(v),
             TICK1,
-            TICK3,
-            3,
+            inner,
+            width,
             "white"
-          );
-        }
-        // draw 500 intervals in 100's of feet, except for the last value which is centered between the extremes
-        let position;
-        if (i < MIN_MAX_SPEED) {
-          if (i === 0) {
-            position = POC(CENTER, LABEL_RADIUS, ZERO);
-            centeredText(this.snap, position, "0", "white", "30px", "Verdana");
-          } else {
-            position = POC(CENTER, LABEL_RADIUS, this.verticalSpeedToAngle(i));
-            centeredText(
-              this.snap,
-              position,
-              i / 100,
-              "white",
-              "30px",
-              "Verdana"
-            );
-            position = POC(CENTER, LABEL_RADIUS, this.verticalSpeedToAngle(-i));
-            centeredText(
-              this.snap,
-              position,
-              i / 100,
-              "white",
-              "30px",
-              "Verdana"
-            );
-          }
+          )
+        );
+      });
+    };
+    // draw a label at the given angle
+    const label = (angle, text) => {
+      this.profileGroup.add(
+        centeredText(
+          this.snap,
+          POC(CENTER, LABEL_RADIUS, angle),
+          text,
+          "white",
+          "30px",
+          "Verdana"
+        )
+      );
+    };
+    for (let i = 0; i <= range; i += small) {
+      if (i % large === 0) {
+        // large ticks and labels, except for the last value which is centered between the extremes
+        ticks(i, TICK3, 3);
+        if (i === 0) {
+          label(ZERO, "0");
+        } else if (i < range) {
+          label(this.verticalSpeedToAngle(i), i / units);
+          label(this.verticalSpeedToAngle(-i), i / units);
         } else {
-          position = POC(CENTER, LABEL_RADIUS, ZERO + 180);
-          centeredText(
-            this.snap,
-            position,
-            i / 100,
-            "white",
-            "30px",
-            "Verdana"
-          );
-        }
-      } else {
-        if (i < HUNDRED_LIMIT) {
-          tick(
-            this.snap,
-            CENTER,
-            this.verticalSpeedToAngle(i),
-            TICK1,
-            TICK2,
-            2,
-            "white"
-          );
-          tick(
-            this.snap,
-            CENTER,
-            this.verticalSpeedToAngle(-i),
-            TICK1,
-            TICK2,
-            2,
-            "white"
-          );
+          label(ZERO + 180, i / units);
         }
+      } else if (i < range / 2) {
+        // small ticks are only drawn for the lower half of the range
+        ticks(i, TICK2, 2);
       }
     }
   }
@@ -356,11 +350,10 @@ export default class VerticalSpeedAnalog extends Instrument {
   }
 
   /**
-   * a property of the airplane was changed
-   * @param airplane
+   * the airplane profile was changed, regenerate the dial
    */
-  onAirplaneChanged(airplane) {
-    console.assert(airplane === this.airplane, "not our airplane");
+  onProfileChanged() {
+    this.renderProfile();
     this.setNeedle(this.airplane.altitudeRate);
   }
 }
@@ -0,0 +1,194 @@
+import assert from "assert";
+import { afterEach, beforeEach, test } from "node:test";
+import { Clock, MANUAL, PAUSED, REALTIME, SCALED } from "../src/utils/clock.js";
+
+// the real time the clock sees, advanced by the tests
+let realTime = 0;
+const dateNow = Date.now;
+// browser animation frames, run by runFrame
+let animationFrames = new Map();
+let animationFrameId = 1;
+
+/**
+ * run the pending browser animation frames
+ */
+const runFrame = () => {
+  const frames = animationFrames;
+  animationFrames = new Map();
+  frames.forEach(callback => callback());
+};
+
+beforeEach(() => {
+  realTime = 1000000;
+  Date.now = () => realTime;
+  animationFrames = new Map();
+  globalThis.requestAnimationFrame = callback => {
+    animationFrameId += 1;
+    animationFrames.set(animationFrameId, callback);
+    return animationFrameId;
+  };
+  globalThis.cancelAnimationFrame = id => animationFrames.delete(id);
+});
+
+afterEach(() => {
+  Date.now = dateNow;
+  delete globalThis.requestAnimationFrame;
+  delete globalThis.cancelAnimationFrame;
+});
+
+test("manual time only advances when stepped", () => {
+  const clock = new Clock({ mode: MANUAL });
+  const start = clock.now();
+  const times = [];
+  clock.requestFrame(time => times.push(time));
+  realTime += 5000;
+  assert.strictEqual(clock.now(), start);
+  assert.strictEqual(animationFrames.size, 0);
+  clock.step(100);
+  assert.deepStrictEqual(times, [start + 100]);
+  // frames are called once
+  clock.step();
+  assert.strictEqual(times.length, 1);
+  assert.strictEqual(clock.now(), start + 100 + 1000 / 60);
+});
+
+test("scaled time runs at the scale of real time", () => {
+  const clock = new Clock();
+  const start = clock.now();
+  realTime += 1000;
+  assert.strictEqual(clock.now(), start + 1000);
+  clock.setMode(SCALED, 0.25);
+  realTime += 1000;
+  assert.strictEqual(clock.now(), start + 1250);
+  clock.setMode(SCALED, 4);
+  realTime += 1000;
+  assert.strictEqual(clock.now(), start + 5250);
+  // the scale only applies to scaled mode
+  clock.setMode(REALTIME, 4);
+  realTime += 1000;
+  assert.strictEqual(clock.now(), start + 6250);
+});
+
+test("paused time does not advance but can be stepped", () => {
+  const clock = new Clock();
+  const start = clock.now();
+  clock.setMode(PAUSED);
+  realTime += 1000;
+  assert.strictEqual(clock.now(), start);
+  const times = [];
+  clock.requestFrame(time => times.push(time));
+  // frame callbacks wait while paused, there is nothing for them to animate
+  assert.strictEqual(animationFrames.size, 0);
+  clock.step(50);
+  assert.deepStrictEqual(times, [start + 50]);
+  clock.setMode(REALTIME);
+  realTime += 1000;
+  assert.strictEqual(clock.now(), start + 1050);
+});
+
+test("render callbacks are delivered while paused", () => {
+  const clock = new Clock({ mode: PAUSED });
+  const calls = [];
+  clock.requestFrame(() => calls.push("frame"));
+  clock.requestRender(() => calls.push("render"));
+  assert.strictEqual(animationFrames.size, 1);
+  runFrame();
+  assert.deepStrictEqual(calls, ["render"]);
+  assert.strictEqual(animationFrames.size, 0);
+  // the waiting frame callback runs once time passes again
+  clock.setMode(REALTIME);
+  runFrame();
+  assert.deepStrictEqual(calls, ["render", "frame"]);
+});
+
+test("intervals are called on the leading edge and skip missed periods", () => {
+  const clock = new Clock({ mode: MANUAL });
+  let calls = 0;
+  const cancel = clock.interval(() => (calls += 1), 100);
+  clock.step(0);
+  assert.strictEqual(calls, 1);
+  clock.step(50);
+  assert.strictEqual(calls, 1);
+  clock.step(50);
+  assert.strictEqual(calls, 2);
+  // a long step calls once, not once for each missed period
+  clock.step(1000);
+  assert.strictEqual(calls, 3);
+  clock.step(100);
+  assert.strictEqual(calls, 4);
+  cancel();
+  clock.step(100);
+  assert.strictEqual(calls, 4);
+});
+
+test("intervals alone wake the clock with a timer, not frames", async () => {
+  const clock = new Clock();
+  Date.now = dateNow;
+  clock.lastReal = Date.now();
+  let calls = 0;
+  const cancel = clock.interval(() => (calls += 1), 20);
+  assert.strictEqual(animationFrames.size, 0);
+  await new Promise(resolve => setTimeout(resolve, 70));
+  cancel();
+  assert.ok(calls >= 2, `called ${calls} times`);
+  assert.strictEqual(animationFrames.size, 0);
+  clock.dispose();
+});
+
+test("a frame runs intervals, then frame callbacks, then the render pass", () => {
+  const clock = new Clock({ mode: MANUAL });
+  const calls = [];
+  clock.requestRender(() => {
+    calls.push("render");
+    // renders requested in the render pass are called in the same frame
+    clock.requestRender(() => calls.push("nested render"));
+  });
+  clock.requestFrame(() => {
+    calls.push("frame");
+    // renders requested by a frame callback are called in the same frame, frames in the next
+    clock.requestRender(() => calls.push("frame render"));
+    clock.requestFrame(() => calls.push("next frame"));
+  });
+  const cancelInterval = clock.interval(() => calls.push("interval"), 1000);
+  const cancelled = clock.requestFrame(() => calls.push("cancelled"));
+  clock.cancelFrame(cancelled);
+  clock.step();
+  assert.deepStrictEqual(calls, [
+    "interval",
+    "frame",
+    "render",
+    "frame render",
+    "nested render"
+  ]);
+  clock.step();
+  assert.deepStrictEqual(calls.slice(5), ["next frame"]);
+  cancelInterval();
+});
+
+test("renders that keep requesting renders are left for the next frame", () => {
+  const clock = new Clock({ mode: MANUAL });
+  let renders = 0;
+  const render = () => {
+    renders += 1;
+    clock.requestRender(render);
+  };
+  clock.requestRender(render);
+  clock.step();
+  assert.strictEqual(renders, 8);
+  clock.step();
+  assert.strictEqual(renders, 16);
+});
+
+test("a suspended clock requests no frames and lets no time pass", () => {
+  const clock = new Clock();
+  const start = clock.now();
+  clock.setSuspended(true);
+  clock.requestFrame(() => {});
+  assert.strictEqual(animationFrames.size, 0);
+  realTime += 1000;
+  assert.strictEqual(clock.now(), start);
+  clock.setSuspended(false);
+  assert.strictEqual(animationFrames.size, 1);
+  realTime += 1000;
+  assert.strictEqual(clock.now(), start + 1000);
+});